@@ -0,0 +1,113 @@
+// Yearly cost-of-ownership model for a listing: shared costs, municipal and
+// road fees (parsed into columns by utilities.js), estimated eiendomsskatt and
+// mortgage interest, plus the one-off dokumentavgift. All amounts are NOK.
+
+const DOCUMENT_FEE_RATE = 0.025; // dokumentavgift on the purchase price
+// Eiendomsskatt on housing is levied on 70 % of the assessed value (eigedomsskattelova § 8 C-1)
+const REDUCTION_FACTOR = 0.7;
+// Rate (‰) assumed for taxing municipalities whose rate is not in municipalities.json
+const DEFAULT_PROPERTY_TAX_RATE = 2;
+
+const DEFAULT_MORTGAGE = { rate: 5, equity: 10, years: 30 };
+const MORTGAGE_LIMITS = {
+  rate: [0, 20],
+  equity: [0, 100],
+  years: [1, 40],
+};
+
+/**
+ * Eiendomsskatt rate (‰) a homeowner pays in a municipality: 0 where there is
+ * no tax or it only covers commercial property and power plants, null when
+ * the municipality taxes homes at an unknown rate.
+ */
+function housingTaxRate(municipality) {
+  if (!municipality || !municipality.hasPropertyTax || municipality.propertyTaxCommercialOnly) return 0;
+  return municipality.propertyTaxRate != null ? municipality.propertyTaxRate : null;
+}
+
+/**
+ * True when the data has the rate of at least one municipality that taxes
+ * homes. Until `npm run import-tax-rates` has filled them in, only "tax-free
+ * on homes" can be told apart; a ‰ limit would match the same municipalities.
+ */
+function hasHousingTaxRates(municipalities) {
+  return municipalities.some(m => housingTaxRate(m) > 0);
+}
+
+/**
+ * Yearly eiendomsskatt: (tax_value, else asking price) × reduction factor,
+ * less the municipality's bunnfradrag, at its rate. `estimated` is set when
+ * the municipality taxes homes but its rate is unknown, and `rate` is then
+ * the assumed DEFAULT_PROPERTY_TAX_RATE.
+ */
+function estimatePropertyTax(listing, municipality) {
+  const housingRate = housingTaxRate(municipality);
+  if (housingRate === 0) return { amount: 0, rate: 0, estimated: false };
+
+  const known = housingRate !== null;
+  const rate = known ? housingRate : DEFAULT_PROPERTY_TAX_RATE;
+  const value = listing.tax_value || listing.price || 0;
+  const base = Math.max(0, value * REDUCTION_FACTOR - (municipality.propertyTaxDeduction || 0));
+  return { amount: Math.round(base * rate / 1000), rate, estimated: !known };
+}
+
+/**
+ * Mortgage settings from query params (mortgage_rate and equity in percent,
+ * mortgage_years), clamped to sane ranges, defaults for anything missing
+ */
+function parseMortgage(query = {}) {
+  const pick = (key, param) => {
+    const value = Number(query[param]);
+    if (query[param] === undefined || query[param] === '' || !Number.isFinite(value)) return DEFAULT_MORTGAGE[key];
+    const [min, max] = MORTGAGE_LIMITS[key];
+    return Math.min(Math.max(value, min), max);
+  };
+  return {
+    rate: pick('rate', 'mortgage_rate'),
+    equity: pick('equity', 'equity'),
+    years: Math.round(pick('years', 'mortgage_years')),
+  };
+}
+
+/**
+ * Cost breakdown for a listing row (snake_case columns) in its municipality.
+ * `yearly` is the first-year cost of owning: interest, shared costs, the
+ * municipal_fees and road_fees columns, and property tax. Repayments build equity, so they are reported as
+ * mortgage_payment but not counted. `estimated` is set when yearly includes
+ * property tax at an assumed rate (property_tax_rate ‰). Returns null
+ * without an asking price.
+ */
+function ownershipCost(listing, municipality, mortgage = DEFAULT_MORTGAGE) {
+  if (!listing.price) return null;
+
+  const loan = listing.price * (1 - mortgage.equity / 100);
+  const monthlyRate = mortgage.rate / 100 / 12;
+  const months = mortgage.years * 12;
+  const monthlyPayment = monthlyRate > 0
+    ? loan * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months))
+    : loan / months;
+
+  const sharedCosts = (listing.shared_cost || 0) * 12;
+  const municipalFees = listing.municipal_fees ?? null;
+  const roadFees = listing.road_fees ?? null;
+  const tax = estimatePropertyTax(listing, municipality);
+  const interest = loan * mortgage.rate / 100;
+  const documentFee = listing.price * DOCUMENT_FEE_RATE;
+
+  return {
+    yearly: Math.round(interest + sharedCosts + (municipalFees || 0) + (roadFees || 0) + tax.amount),
+    mortgage_interest: Math.round(interest),
+    mortgage_payment: Math.round(monthlyPayment * 12),
+    shared_costs: sharedCosts,
+    municipal_fees: municipalFees,
+    road_fees: roadFees,
+    property_tax: tax.amount,
+    property_tax_estimated: tax.estimated,
+    property_tax_rate: tax.rate,
+    estimated: tax.estimated && tax.amount > 0,
+    document_fee: Math.round(documentFee),
+    upfront: Math.round(listing.price - loan + documentFee),
+  };
+}
+
+module.exports = { housingTaxRate, hasHousingTaxRates, estimatePropertyTax, parseMortgage, ownershipCost, DEFAULT_MORTGAGE };
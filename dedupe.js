@@ -0,0 +1,154 @@
+// Likely-duplicate detection: the same property republished under a new ad id,
+// returned by both the homes and plots searches, or listed on several sources.
+
+// Listings closer than this are treated as the same spot
+const NEAR_METERS = 25;
+// Areas of the same category within this fraction count as equal
+const AREA_TOLERANCE = 0.05;
+// Grid cell for near-match candidates, in degrees latitude (~55 m)
+const GRID_DEG = 0.0005;
+
+/**
+ * Great-circle distance in meters
+ */
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function hasCoords(l) {
+  return l.latitude != null && l.longitude != null;
+}
+
+/**
+ * Split a cadastre string ("gnr. 12 bnr. 34 snr. 2") into its numbers, or
+ * null if it has no gnr/bnr
+ */
+function parseCadastre(text) {
+  const parts = {};
+  for (const [, key, value] of String(text).matchAll(/\b(gnr|bnr|fnr|snr)\.?\s*(\d+)/gi)) {
+    parts[key.toLowerCase()] = value;
+  }
+  return parts.gnr && parts.bnr ? parts : null;
+}
+
+/**
+ * Whether two cadastres can name the same unit: gnr/bnr must be equal, and
+ * fnr/snr too where both state one (rows scraped before those were recorded
+ * only have gnr/bnr). Unparseable cadastres have to be identical.
+ */
+function cadastresAgree(a, b) {
+  const pa = parseCadastre(a);
+  const pb = parseCadastre(b);
+  if (!pa || !pb) return a === b;
+  return ['gnr', 'bnr', 'fnr', 'snr'].every(k => pa[k] === undefined || pb[k] === undefined || pa[k] === pb[k]);
+}
+
+/**
+ * Bucket key for a cadastre: gnr/bnr only, so every unit on a plot is compared
+ */
+function cadastreBucket(text) {
+  const parts = parseCadastre(text);
+  return parts ? `${parts.gnr}/${parts.bnr}` : text;
+}
+
+/**
+ * Whether two listing rows likely describe the same property. Differing
+ * cadastres rule a match out. A shared cadastre or street address only makes
+ * two listings candidates: they also need to be at the same spot or of the
+ * same area. A shared image is weaker still (agents reuse stock photos across
+ * a development), so it needs the same spot, or the same area and price.
+ * Living area and plot area are not comparable, so area only counts within
+ * one category.
+ */
+function isLikelyDuplicate(a, b) {
+  if (a.cadastre && b.cadastre && !cadastresAgree(a.cadastre, b.cadastre)) return false;
+
+  const areaComparable = a.category === b.category && a.area_m2 > 0 && b.area_m2 > 0;
+  if (areaComparable && Math.abs(a.area_m2 - b.area_m2) > AREA_TOLERANCE * Math.max(a.area_m2, b.area_m2)) {
+    return false;
+  }
+
+  const near = hasCoords(a) && hasCoords(b) &&
+    distanceMeters(a.latitude, a.longitude, b.latitude, b.longitude) <= NEAR_METERS;
+  const samePrice = a.price != null && a.price === b.price;
+
+  if (a.cadastre && b.cadastre) return near || areaComparable;
+  if (a.address_key && a.address_key === b.address_key) return near || areaComparable;
+  if (a.image_url && a.image_url === b.image_url) return near || (areaComparable && samePrice);
+
+  // Without an address match, neighbouring plots in a new development can share
+  // location and size, so the asking price has to match as well
+  return near && areaComparable && samePrice;
+}
+
+/**
+ * Cluster listing rows into groups of likely duplicates. Only rows that can
+ * match are compared: same gnr/bnr, image or address, or neighbouring grid
+ * cells. Returns groups of two or more as { canonicalId, firstSeen, ids }:
+ * the canonical listing is the earliest-seen active one, and firstSeen is the
+ * earliest first_seen in the group so time on market survives a republish.
+ */
+function groupDuplicates(rows) {
+  const parent = rows.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const buckets = new Map();
+  const addToBucket = (key, i) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  };
+  const cellOf = l => [Math.floor(l.latitude / GRID_DEG), Math.floor(l.longitude / (GRID_DEG * 2))];
+
+  rows.forEach((l, i) => {
+    if (l.cadastre) addToBucket(`c:${cadastreBucket(l.cadastre)}`, i);
+    if (l.image_url) addToBucket(`i:${l.image_url}`, i);
+    if (l.address_key) addToBucket(`a:${l.address_key}`, i);
+    if (hasCoords(l)) addToBucket(`g:${cellOf(l).join(':')}`, i);
+  });
+
+  rows.forEach((l, i) => {
+    const candidates = new Set();
+    const collect = key => (buckets.get(key) || []).forEach(j => { if (j > i) candidates.add(j); });
+    if (l.cadastre) collect(`c:${cadastreBucket(l.cadastre)}`);
+    if (l.image_url) collect(`i:${l.image_url}`);
+    if (l.address_key) collect(`a:${l.address_key}`);
+    if (hasCoords(l)) {
+      const [y, x] = cellOf(l);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) collect(`g:${y + dy}:${x + dx}`);
+      }
+    }
+    for (const j of candidates) {
+      if (find(i) !== find(j) && isLikelyDuplicate(l, rows[j])) parent[find(j)] = find(i);
+    }
+  });
+
+  const members = new Map();
+  rows.forEach((l, i) => {
+    const root = find(i);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(l);
+  });
+
+  const groups = [];
+  for (const group of members.values()) {
+    if (group.length < 2) continue;
+    group.sort((a, b) =>
+      (a.status === 'active' ? 0 : 1) - (b.status === 'active' ? 0 : 1) ||
+      String(a.first_seen).localeCompare(String(b.first_seen)) ||
+      String(a.id).localeCompare(String(b.id)));
+    groups.push({
+      canonicalId: group[0].id,
+      firstSeen: group.map(l => l.first_seen).sort()[0],
+      ids: group.map(l => l.id),
+    });
+  }
+  return groups;
+}
+
+module.exports = { isLikelyDuplicate, groupDuplicates, distanceMeters };
@@ -0,0 +1,291 @@
+const path = require('path');
+const fs = require('fs');
+
+const BOUNDARIES_FILE = path.join(__dirname, 'kommuner.geojson');
+
+// Simplification tolerance (degrees) per zoom bucket — roughly one screen pixel
+const ZOOM_TOLERANCES = [
+  { maxZoom: 5, tolerance: 0.03 },
+  { maxZoom: 7, tolerance: 0.008 },
+  { maxZoom: 9, tolerance: 0.002 },
+  { maxZoom: Infinity, tolerance: 0 },
+];
+
+let boundaries = null;
+const simplifiedCache = new Map();
+
+/**
+ * Load kommune polygons from kommuner.geojson (lazily, once)
+ */
+function loadBoundaries() {
+  if (!boundaries) {
+    boundaries = JSON.parse(fs.readFileSync(BOUNDARIES_FILE, 'utf8'));
+  }
+  return boundaries;
+}
+
+/**
+ * Map a Leaflet zoom level to a simplification tolerance
+ */
+function toleranceForZoom(zoom) {
+  const z = Number.isFinite(zoom) ? zoom : 0;
+  return ZOOM_TOLERANCES.find(t => z <= t.maxZoom).tolerance;
+}
+
+/**
+ * Perpendicular distance from point p to the segment a-b (planar, in degrees)
+ */
+function segmentDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  if (dx === 0 && dy === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy)));
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+/**
+ * Douglas-Peucker simplification of a coordinate line (iterative, no recursion limit)
+ */
+function simplifyLine(points, tolerance) {
+  if (tolerance <= 0 || points.length <= 4) return points;
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const d = segmentDistance(points[i], points[start], points[end]);
+      if (d > maxDist) { maxDist = d; index = i; }
+    }
+    if (index !== -1 && maxDist > tolerance) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplify a closed ring; returns null if it collapses below a valid polygon
+ * or is smaller than the tolerance (islets invisible at this zoom)
+ */
+function simplifyRing(ring, tolerance) {
+  if (tolerance > 0) {
+    let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+    for (const [lon, lat] of ring) {
+      if (lon < minLon) minLon = lon;
+      if (lon > maxLon) maxLon = lon;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    }
+    if (maxLon - minLon < tolerance && maxLat - minLat < tolerance) return null;
+  }
+
+  const simplified = simplifyLine(ring, tolerance);
+  if (simplified.length < 4) return null;
+  return simplified.map(([lon, lat]) => [Math.round(lon * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5]);
+}
+
+/**
+ * Simplify a Polygon/MultiPolygon geometry, dropping rings that collapse
+ */
+function simplifyGeometry(geometry, tolerance) {
+  const simplifyPolygon = (rings) => {
+    const outer = simplifyRing(rings[0], tolerance);
+    if (!outer) return null;
+    return [outer, ...rings.slice(1).map(r => simplifyRing(r, tolerance)).filter(Boolean)];
+  };
+
+  if (geometry.type === 'Polygon') {
+    // Never drop a whole kommune: fall back to the original outline
+    return { type: 'Polygon', coordinates: simplifyPolygon(geometry.coordinates) || geometry.coordinates };
+  }
+
+  const polygons = geometry.coordinates.map(simplifyPolygon).filter(Boolean);
+  return {
+    type: 'MultiPolygon',
+    coordinates: polygons.length > 0 ? polygons : geometry.coordinates,
+  };
+}
+
+/**
+ * Get the kommune FeatureCollection simplified for a zoom level (cached per tolerance)
+ */
+function getSimplifiedBoundaries(zoom) {
+  const tolerance = toleranceForZoom(zoom);
+  if (simplifiedCache.has(tolerance)) return simplifiedCache.get(tolerance);
+
+  const source = loadBoundaries();
+  const collection = {
+    type: 'FeatureCollection',
+    features: source.features.map(f => ({
+      type: 'Feature',
+      properties: { code: f.properties.kommunenummer, name: f.properties.kommunenavn || f.properties.name },
+      geometry: simplifyGeometry(f.geometry, tolerance),
+    })),
+  };
+
+  simplifiedCache.set(tolerance, collection);
+  return collection;
+}
+
+// --- AREA SELECTION ---
+
+// Limits on the `area` param: the client caps drawn shapes at 150 vertices,
+// anything past these is not from the UI and would make in_area() expensive
+const MAX_AREA_POLYGONS = 20;
+const MAX_AREA_VERTICES = 200;
+const MAX_AREA_LENGTH = 100000;
+
+/**
+ * Whether a point lies on one of the ring's edges (within floating-point slack)
+ */
+function pointOnRingEdge(lon, lat, ring) {
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (lon < Math.min(xi, xj) - 1e-12 || lon > Math.max(xi, xj) + 1e-12) continue;
+    if (lat < Math.min(yi, yj) - 1e-12 || lat > Math.max(yi, yj) + 1e-12) continue;
+    if (Math.abs((xj - xi) * (lat - yi) - (yj - yi) * (lon - xi)) <= 1e-12) return true;
+  }
+  return false;
+}
+
+/**
+ * Ray-casting point-in-ring test; ring is [[lon, lat], ...]
+ */
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point-in-polygon for a GeoJSON polygon (outer ring + holes). Points on the
+ * outline or on a hole's edge count as inside, so a listing on a border
+ * matches every area that shares it.
+ */
+function pointInPolygon(lon, lat, polygon) {
+  if (pointOnRingEdge(lon, lat, polygon[0])) return true;
+  if (!pointInRing(lon, lat, polygon[0])) return false;
+  for (let i = 1; i < polygon.length; i++) {
+    if (pointOnRingEdge(lon, lat, polygon[i])) return true;
+    if (pointInRing(lon, lat, polygon[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a point lies in any of a list of polygons (a MultiPolygon's parts,
+ * or several drawn shapes and kommuner)
+ */
+function pointInArea(lon, lat, polygons) {
+  return polygons.some(polygon => pointInPolygon(lon, lat, polygon));
+}
+
+/**
+ * Parse the `area` query param into GeoJSON-style polygons.
+ * Format: polygons separated by "|", vertices by ";", each vertex "lat,lon".
+ * Vertices that are not valid coordinates are skipped; an oversized param
+ * parses to no polygons at all.
+ */
+function parseAreaParam(area) {
+  if (!area || typeof area !== 'string' || area.length > MAX_AREA_LENGTH) return [];
+  const parts = area.split('|');
+  if (parts.length > MAX_AREA_POLYGONS) return [];
+
+  const polygons = [];
+  for (const part of parts) {
+    const vertices = part.split(';');
+    if (vertices.length > MAX_AREA_VERTICES) return [];
+    const ring = vertices
+      .map(v => v.split(',').map(Number))
+      .filter(coords => coords.length === 2)
+      .filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180)
+      .map(([lat, lon]) => [lon, lat]);
+    if (ring.length >= 3) polygons.push([ring]);
+  }
+  return polygons;
+}
+
+/**
+ * Full-resolution polygons for a list of kommune codes
+ */
+function kommunePolygons(codes) {
+  const wanted = new Set(codes);
+  const polygons = [];
+  for (const f of loadBoundaries().features) {
+    if (!wanted.has(f.properties.kommunenummer)) continue;
+    if (f.geometry.type === 'Polygon') polygons.push(f.geometry.coordinates);
+    else polygons.push(...f.geometry.coordinates);
+  }
+  return polygons;
+}
+
+/**
+ * Straight-line distance in km between two { lat, lon } points
+ */
+function haversineKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Parse `near_lat` / `near_lon` / `radius_km` query params into
+ * { lat, lon, radiusKm }, or null without a valid point. radiusKm is null
+ * when unset or not a positive number.
+ */
+function parseNearParams(query) {
+  if (!query.near_lat || !query.near_lon) return null;
+  const lat = Number(query.near_lat);
+  const lon = Number(query.near_lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  const radius = Number(query.radius_km);
+  return { lat, lon, radiusKm: query.radius_km && Number.isFinite(radius) && radius > 0 ? radius : null };
+}
+
+/**
+ * Bounding box around a point that contains every point within radiusKm
+ */
+function radiusBbox(lat, lon, radiusKm) {
+  const dLat = radiusKm / 111.32;
+  const dLon = radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  return { south: lat - dLat, north: lat + dLat, west: lon - dLon, east: lon + dLon };
+}
+
+/**
+ * Bounding box of a polygon list, used as an indexable SQL prefilter
+ */
+function polygonsBbox(polygons) {
+  const bbox = { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity };
+  for (const polygon of polygons) {
+    for (const [lon, lat] of polygon[0]) {
+      if (lat < bbox.south) bbox.south = lat;
+      if (lat > bbox.north) bbox.north = lat;
+      if (lon < bbox.west) bbox.west = lon;
+      if (lon > bbox.east) bbox.east = lon;
+    }
+  }
+  return bbox;
+}
+
+module.exports = {
+  loadBoundaries, toleranceForZoom, simplifyGeometry, getSimplifiedBoundaries,
+  pointInPolygon, pointInArea, parseAreaParam, kommunePolygons, polygonsBbox,
+  haversineKm, parseNearParams, radiusBbox,
+};
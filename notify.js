@@ -0,0 +1,112 @@
+const nodemailer = require('nodemailer');
+
+// A webhook that doesn't answer must not hold up the update run
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+let transporter = null;
+
+/**
+ * Lazily create the SMTP transport (defaults to a local MTA on port 25).
+ * SMTP_INSECURE_TLS=1 accepts a self-signed server certificate; without it
+ * certificates are verified.
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 25,
+      secure: process.env.SMTP_SECURE === '1',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      tls: process.env.SMTP_INSECURE_TLS === '1' ? { rejectUnauthorized: false } : undefined,
+    });
+  }
+  return transporter;
+}
+
+function formatNok(price) {
+  return price ? `${price.toLocaleString('nb-NO')} kr` : 'Price on request';
+}
+
+/**
+ * POST new matches for a saved search as JSON to its webhook URL
+ */
+async function sendWebhook(url, search, listings) {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    body: JSON.stringify({
+      search: { id: search.id, name: search.name, params: search.params },
+      new_listings: listings,
+    }),
+  });
+  if (!resp.ok) throw new Error(`Webhook HTTP ${resp.status}`);
+}
+
+/**
+ * E-mail new matches for a saved search through the configured SMTP server
+ */
+async function sendEmail(to, search, listings) {
+  const lines = listings.map(l =>
+    `- ${l.title || 'Untitled'} (${l.municipality_name}) — ${formatNok(l.price)}\n  ${l.url}`
+  );
+  await getTransporter().sendMail({
+    from: process.env.SMTP_FROM || 'norway-property-finder@localhost',
+    to,
+    subject: `${listings.length} new listing${listings.length !== 1 ? 's' : ''} for "${search.name}"`,
+    text: `New listings matching your saved search "${search.name}":\n\n${lines.join('\n')}\n`,
+  });
+}
+
+/**
+ * Deliver a new-match alert through every hook configured on the search.
+ * Failures are logged, never thrown, so one bad hook can't break the update run.
+ */
+async function deliverSavedSearchAlert(search, listings) {
+  if (listings.length === 0) return;
+
+  if (search.webhook_url) {
+    try {
+      await sendWebhook(search.webhook_url, search, listings);
+    } catch (err) {
+      console.error(`    Webhook for saved search "${search.name}" failed:`, err.message);
+    }
+  }
+  if (search.email) {
+    try {
+      await sendEmail(search.email, search, listings);
+    } catch (err) {
+      console.error(`    E-mail for saved search "${search.name}" failed:`, err.message);
+    }
+  }
+}
+
+function escapeXml(str) {
+  return String(str ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+/**
+ * Render an RSS 2.0 feed of a saved search's matches (newest first)
+ */
+function buildRssFeed(search, matches, siteUrl) {
+  const items = matches.map(m => `
+    <item>
+      <title>${escapeXml(`${m.title || 'Untitled'} — ${formatNok(m.price)}`)}</title>
+      <link>${escapeXml(m.url)}</link>
+      <guid isPermaLink="false">${escapeXml(`${search.id}-${m.id}`)}</guid>
+      <description>${escapeXml(`${m.address || ''} (${m.municipality_name})`)}</description>
+      <pubDate>${new Date(m.matched_at + 'Z').toUTCString()}</pubDate>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(`Norway Property Finder — ${search.name}`)}</title>
+    <link>${escapeXml(`${siteUrl}/?${search.params}`)}</link>
+    <description>${escapeXml(`New listings matching "${search.name}"`)}</description>${items}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = { deliverSavedSearchAlert, buildRssFeed, escapeXml };
@@ -1,8 +1,19 @@
 // State
 var map;
 var markers = [];
+var boundaryGeo = null; // simplified kommune polygons for the current zoom bucket
+var boundaryLayer = null;
+var boundaryBucket = null;
+var boundaryCache = {};
 var municipalities = [];
-var listings = [];
+var taxRatesKnown = false; // false until eiendomsskatt rates are imported; only "tax-free" can be filtered then
+var listings = []; // pages loaded so far
+var listingsTotal = 0;
+var listingsNewCount = 0;
+var listingsCursor = null; // keyset cursor for the next page, null when all loaded
+var listingsRequestId = 0;
+var isLoadingMore = false;
+var LISTINGS_PAGE_SIZE = 60;
 var showTaxMunicipalities = true;
 var currency = 'NOK';
 var eurRate = null;
@@ -11,23 +22,50 @@ var hoverMarker = null;
 var miniMap = null;
 var miniHoverMarker = null;
 var miniMapDismissed = false;
+var listingLayer = null; // clustered listing pins for the current viewport
+var mapListingsRequestId = 0;
+var mapListingsTimer = null;
 var smartSearchMunicipalities = ''; // comma-separated codes from AI search
+var smartSearchHistory = []; // queries of the current smart search; later ones refine it
+var lastSmartSearch = null; // { logId, query, filters } of the last interpretation, for flagging it
 // Draw area selection
-var selectedBounds = null; // L.LatLngBounds
+var selectedBounds = null; // L.LatLngBounds (rectangle mode)
+var selectedPolygons = []; // [[L.LatLng, ...], ...] from polygon/freehand mode
+var selectedKommuner = []; // kommune codes picked on the choropleth
+var drawShape = 'rectangle'; // 'rectangle' | 'polygon' | 'freehand' | 'kommune'
 var isDrawMode = false;
 var isDrawing = false;
 var drawRect = null;
 var drawStart = null;
+var drawPoints = []; // vertices of the polygon/freehand shape in progress
+var drawLine = null; // live preview of the shape in progress
+var areaLayers = []; // finished polygon layers on the map
+// Dropped pin (workplace, family cabin) that listings are measured from
+var pinPoint = null; // L.LatLng
+var isPinMode = false;
+var pinMarker = null;
+var pinCircle = null; // radius_km around the pin
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async function() {
   initMap();
   initMiniMap();
   initDragHandle();
+  initInfiniteScroll();
   await loadExchangeRate();
   await loadMunicipalities();
-  await loadListings();
+  await loadTravelHubs();
+  // Filter state lives in the query string so views can be shared and survive reloads
+  restoreStateFromUrl();
+  await applyFilters({ history: 'replace' });
   loadLastUpdate();
+  loadSavedSearches();
+});
+
+// Back/forward steps through previous searches
+window.addEventListener('popstate', function() {
+  restoreStateFromUrl();
+  applyFilters({ history: 'none' });
 });
 
 // --- CURRENCY ---
@@ -41,16 +79,30 @@ async function loadExchangeRate() {
   }
 }
 
+// Reflect the current currency in the title, toggle and price placeholders
+function updateCurrencyUi() {
+  document.title = 'Norway Property Finder' + (currency === 'EUR' ? ' (EUR)' : '');
+
+  var nokEl = document.getElementById('cur-nok');
+  var eurEl = document.getElementById('cur-eur');
+  nokEl.setAttribute('data-active', String(currency === 'NOK'));
+  eurEl.setAttribute('data-active', String(currency === 'EUR'));
+
+  var minPrice = document.getElementById('filter-min-price');
+  var maxPrice = document.getElementById('filter-max-price');
+  if (currency === 'EUR') {
+    minPrice.placeholder = 'Min (\u20ac)';
+    maxPrice.placeholder = 'Max (\u20ac)';
+  } else {
+    minPrice.placeholder = 'Min (kr)';
+    maxPrice.placeholder = 'Max (kr)';
+  }
+}
+
 function toggleCurrency() {
   try {
     var wasCurrency = currency;
     currency = currency === 'NOK' ? 'EUR' : 'NOK';
-    document.title = 'Norway Property Finder' + (currency === 'EUR' ? ' (EUR)' : '');
-
-    var nokEl = document.getElementById('cur-nok');
-    var eurEl = document.getElementById('cur-eur');
-    nokEl.setAttribute('data-active', String(currency === 'NOK'));
-    eurEl.setAttribute('data-active', String(currency === 'EUR'));
 
     var minPrice = document.getElementById('filter-min-price');
     var maxPrice = document.getElementById('filter-max-price');
@@ -68,15 +120,10 @@ function toggleCurrency() {
       }
     }
 
-    if (currency === 'EUR') {
-      minPrice.placeholder = 'Min (\u20ac)';
-      maxPrice.placeholder = 'Max (\u20ac)';
-    } else {
-      minPrice.placeholder = 'Min (kr)';
-      maxPrice.placeholder = 'Max (kr)';
-    }
-
+    updateCurrencyUi();
+    syncUrlState('replace');
     renderListings(listings);
+    loadMapListings();
   } catch (err) {
     document.title = 'TOGGLE ERROR: ' + err.message;
   }
@@ -120,14 +167,33 @@ function initMap() {
     '<div class="legend-item"><div class="legend-dot has-tax"></div><span>Has property tax</span></div>' +
     '</div>' +
     '<div class="draw-controls">' +
+    '<select class="draw-shape" id="draw-shape" onchange="setDrawShape(this.value)" title="Selection shape">' +
+    '<option value="rectangle">Rectangle</option>' +
+    '<option value="polygon">Polygon</option>' +
+    '<option value="freehand">Freehand</option>' +
+    '<option value="kommune">Municipalities</option>' +
+    '</select>' +
     '<button class="btn-draw" id="btn-draw" onclick="toggleDrawMode()" title="Draw area to filter listings">' +
-    '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"></rect></svg>' +
-    ' Select Area</button>' +
+    DRAW_ICON + ' Select Area</button>' +
     '<button class="btn-clear-area" id="btn-clear-area" onclick="clearDrawArea()" style="display:none">Clear Area</button>' +
-    '</div>';
+    '</div>' +
+    '<div class="draw-controls pin-controls">' +
+    '<button class="btn-draw" id="btn-pin" onclick="togglePinMode()" title="Drop a pin to see how far listings are from a workplace or cabin">' +
+    PIN_ICON + ' Drop Pin</button>' +
+    '<select class="draw-shape" id="pin-radius" onchange="onPinRadiusChange()" title="Only listings within this distance of the pin" style="display:none">' +
+    '<option value="">Any distance</option>' +
+    PIN_RADII.map(function(km) { return '<option value="' + km + '">Within ' + km + ' km</option>'; }).join('') +
+    '</select>' +
+    '<button class="btn-clear-area" id="btn-clear-pin" onclick="clearPin()" style="display:none">Clear Pin</button>' +
+    '</div>' +
+    '<div class="draw-hint" id="draw-hint"></div>';
   document.querySelector('.map-container').appendChild(controlsDiv);
 
   initDrawArea();
+  initPin();
+
+  listingLayer = L.layerGroup().addTo(map);
+  map.on('moveend', debouncedLoadMapListings);
 }
 
 // --- MINI MAP ---
@@ -177,6 +243,15 @@ function closeMiniMap() {
 }
 
 // --- DRAW AREA SELECTION ---
+var DRAW_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"></rect></svg>';
+var DRAW_HINTS = {
+  rectangle: 'Drag on the map to select a rectangle',
+  polygon: 'Click to add corners, double-click to finish (Esc cancels)',
+  freehand: 'Hold and drag to draw around an area',
+  kommune: 'Click municipalities to add or remove them',
+};
+var AREA_STYLE = { color: '#3b82f6', weight: 2, fillOpacity: 0.15, dashArray: '6 4' };
+
 function initDrawArea() {
   var mapEl = map.getContainer();
 
@@ -184,36 +259,65 @@ function initDrawArea() {
     if (!isDrawMode) return;
     // Only respond to left click on the map itself
     if (e.button !== 0) return;
+    if (drawShape !== 'rectangle' && drawShape !== 'freehand') return;
     e.preventDefault();
     e.stopPropagation();
     isDrawing = true;
     drawStart = map.mouseEventToLatLng(e);
 
+    if (drawShape === 'freehand') {
+      drawPoints = [drawStart];
+      if (drawLine) map.removeLayer(drawLine);
+      drawLine = L.polyline(drawPoints, AREA_STYLE).addTo(map);
+      return;
+    }
+
     // Remove old rectangle
     if (drawRect) { map.removeLayer(drawRect); drawRect = null; }
   });
 
   mapEl.addEventListener('mousemove', function(e) {
+    if (!isDrawMode) return;
+    var current = map.mouseEventToLatLng(e);
+
+    // Polygon: preview the edge to the cursor
+    if (drawShape === 'polygon' && drawPoints.length > 0 && drawLine) {
+      drawLine.setLatLngs(drawPoints.concat([current]));
+      return;
+    }
+
     if (!isDrawing || !drawStart) return;
     e.preventDefault();
-    var current = map.mouseEventToLatLng(e);
+
+    if (drawShape === 'freehand') {
+      // Only sample points a few pixels apart to keep the shape (and URL) small
+      var last = drawPoints[drawPoints.length - 1];
+      if (map.latLngToContainerPoint(last).distanceTo(map.mouseEventToContainerPoint(e)) >= 6) {
+        drawPoints.push(current);
+        drawLine.addLatLng(current);
+      }
+      return;
+    }
+
     var bounds = L.latLngBounds(drawStart, current);
 
     if (drawRect) {
       drawRect.setBounds(bounds);
     } else {
-      drawRect = L.rectangle(bounds, {
-        color: '#3b82f6',
-        weight: 2,
-        fillOpacity: 0.15,
-        dashArray: '6 4',
-      }).addTo(map);
+      drawRect = L.rectangle(bounds, AREA_STYLE).addTo(map);
     }
   });
 
   mapEl.addEventListener('mouseup', function(e) {
     if (!isDrawing) return;
     isDrawing = false;
+
+    if (drawShape === 'freehand') {
+      finishPolygon();
+      drawStart = null;
+      return;
+    }
+
     var current = map.mouseEventToLatLng(e);
 
     // Ignore tiny drags (accidental clicks)
@@ -224,7 +328,11 @@ function initDrawArea() {
     }
 
     if (drawRect) {
+      // A rectangle replaces any polygon / kommune selection
       selectedBounds = drawRect.getBounds();
+      selectedPolygons = [];
+      selectedKommuner = [];
+      renderAreaLayers();
       document.getElementById('btn-clear-area').style.display = '';
       // Exit draw mode after drawing
       exitDrawMode();
@@ -232,6 +340,108 @@ function initDrawArea() {
     }
     drawStart = null;
   });
+
+  // Polygon mode: click adds a vertex, double-click closes the shape
+  mapEl.addEventListener('click', function(e) {
+    if (!isDrawMode || drawShape !== 'polygon') return;
+    var point = map.mouseEventToLatLng(e);
+    drawPoints.push(point);
+    if (!drawLine) drawLine = L.polyline(drawPoints, AREA_STYLE).addTo(map);
+    else drawLine.setLatLngs(drawPoints);
+  });
+
+  mapEl.addEventListener('dblclick', function(e) {
+    if (!isDrawMode || drawShape !== 'polygon') return;
+    e.preventDefault();
+    e.stopPropagation();
+    // The double-click also fired two clicks on the same spot
+    drawPoints = drawPoints.filter(function(p, i) {
+      return i === 0 || !p.equals(drawPoints[i - 1]);
+    });
+    finishPolygon();
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && isDrawMode) exitDrawMode();
+  });
+}
+
+// Close the in-progress polygon/freehand shape and add it to the selection
+function finishPolygon() {
+  var points = drawPoints;
+  if (drawLine) { map.removeLayer(drawLine); drawLine = null; }
+  drawPoints = [];
+  if (points.length < 3) return;
+
+  // Cap vertices so the shape still fits comfortably in the URL
+  if (points.length > 150) {
+    var step = points.length / 150;
+    points = points.filter(function(p, i) { return Math.floor(i % step) === 0; });
+  }
+
+  if (drawRect) { map.removeLayer(drawRect); drawRect = null; }
+  selectedBounds = null;
+  selectedPolygons.push(points);
+  renderAreaLayers();
+  document.getElementById('btn-clear-area').style.display = '';
+  exitDrawMode();
+  applyFilters();
+}
+
+function renderAreaLayers() {
+  areaLayers.forEach(function(layer) { map.removeLayer(layer); });
+  areaLayers = selectedPolygons.map(function(points) {
+    return L.polygon(points, AREA_STYLE).addTo(map);
+  });
+}
+
+// Kommune mode: clicking a choropleth polygon toggles it in the selection
+function toggleKommuneSelection(code) {
+  var idx = selectedKommuner.indexOf(code);
+  if (idx >= 0) selectedKommuner.splice(idx, 1);
+  else selectedKommuner.push(code);
+
+  if (drawRect) { map.removeLayer(drawRect); drawRect = null; }
+  selectedBounds = null;
+  document.getElementById('btn-clear-area').style.display = hasAreaSelection() ? '' : 'none';
+  applyFilters();
+}
+
+function hasAreaSelection() {
+  return !!selectedBounds || selectedPolygons.length > 0 || selectedKommuner.length > 0;
+}
+
+// Encode drawn polygons as "lat,lon;lat,lon|..." for the `area` query param
+function encodeAreaParam() {
+  return selectedPolygons.map(function(points) {
+    return points.map(function(p) { return p.lat.toFixed(4) + ',' + p.lng.toFixed(4); }).join(';');
+  }).join('|');
+}
+
+// Restore a drawn area / kommune selection from query params (URL or saved search)
+function restoreArea(q) {
+  if (q.get('north') && q.get('south') && q.get('east') && q.get('west')) {
+    selectedBounds = L.latLngBounds([Number(q.get('south')), Number(q.get('west'))], [Number(q.get('north')), Number(q.get('east'))]);
+    drawRect = L.rectangle(selectedBounds, AREA_STYLE).addTo(map);
+  }
+  if (q.get('area')) {
+    selectedPolygons = q.get('area').split('|').map(function(part) {
+      return part.split(';').map(function(v) {
+        var ll = v.split(',').map(Number);
+        return L.latLng(ll[0], ll[1]);
+      });
+    }).filter(function(points) { return points.length >= 3; });
+    renderAreaLayers();
+  }
+  if (q.get('area_kommune')) {
+    selectedKommuner = q.get('area_kommune').split(',').filter(Boolean);
+  }
+  if (hasAreaSelection()) document.getElementById('btn-clear-area').style.display = '';
+}
+
+function setDrawShape(shape) {
+  drawShape = shape;
+  if (isDrawMode) enterDrawMode();
 }
 
 function toggleDrawMode() {
@@ -243,37 +453,181 @@ function toggleDrawMode() {
 }
 
 function enterDrawMode() {
+  exitPinMode();
   isDrawMode = true;
-  map.dragging.disable();
+  drawPoints = [];
+  if (drawLine) { map.removeLayer(drawLine); drawLine = null; }
+  map.closePopup();
+  // Kommune mode keeps panning so municipalities can be picked across the map
+  if (drawShape !== 'kommune') map.dragging.disable();
   map.doubleClickZoom.disable();
   var mapEl = map.getContainer();
-  mapEl.style.cursor = 'crosshair';
+  mapEl.style.cursor = drawShape === 'kommune' ? 'pointer' : 'crosshair';
   var btn = document.getElementById('btn-draw');
   btn.classList.add('active');
-  btn.innerHTML = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"></rect></svg> Drawing...';
+  btn.innerHTML = DRAW_ICON + (drawShape === 'kommune' ? ' Done' : ' Drawing...');
+  document.getElementById('draw-hint').textContent = DRAW_HINTS[drawShape];
 }
 
 function exitDrawMode() {
   isDrawMode = false;
   isDrawing = false;
+  drawPoints = [];
+  if (drawLine) { map.removeLayer(drawLine); drawLine = null; }
   map.dragging.enable();
   map.doubleClickZoom.enable();
   var mapEl = map.getContainer();
   mapEl.style.cursor = '';
   var btn = document.getElementById('btn-draw');
   btn.classList.remove('active');
-  btn.innerHTML = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"></rect></svg> Select Area';
+  btn.innerHTML = DRAW_ICON + ' Select Area';
+  document.getElementById('draw-hint').textContent = '';
 }
 
-function clearDrawArea() {
+function resetDrawArea() {
   if (drawRect) { map.removeLayer(drawRect); drawRect = null; }
   selectedBounds = null;
+  selectedPolygons = [];
+  selectedKommuner = [];
+  renderAreaLayers();
   drawStart = null;
   document.getElementById('btn-clear-area').style.display = 'none';
   exitDrawMode();
+}
+
+function clearDrawArea() {
+  resetDrawArea();
+  applyFilters();
+}
+
+// --- DROP PIN (distance from a point) ---
+var PIN_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 22s7-7.5 7-13a7 7 0 0 0-14 0c0 5.5 7 13 7 13z"></path><circle cx="12" cy="9" r="2.5"></circle></svg>';
+var PIN_RADII = [5, 10, 25, 50, 100];
+
+function initPin() {
+  map.on('click', function(e) {
+    if (!isPinMode) return;
+    setPin(e.latlng);
+    exitPinMode();
+    applyFilters();
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && isPinMode) exitPinMode();
+  });
+}
+
+function togglePinMode() {
+  if (isPinMode) {
+    exitPinMode();
+  } else {
+    enterPinMode();
+  }
+}
+
+function enterPinMode() {
+  if (isDrawMode) exitDrawMode();
+  isPinMode = true;
+  map.closePopup();
+  map.getContainer().style.cursor = 'crosshair';
+  document.getElementById('btn-pin').classList.add('active');
+  document.getElementById('draw-hint').textContent = 'Click the map to drop a pin (drag it later to move)';
+}
+
+function exitPinMode() {
+  if (!isPinMode) return;
+  isPinMode = false;
+  map.getContainer().style.cursor = '';
+  document.getElementById('btn-pin').classList.remove('active');
+  document.getElementById('draw-hint').textContent = '';
+}
+
+// Place or move the pin; coordinates are rounded to ~1 m to keep URLs short
+function setPin(latlng) {
+  pinPoint = L.latLng(Math.round(latlng.lat * 100000) / 100000, Math.round(latlng.lng * 100000) / 100000);
+  if (pinMarker) {
+    pinMarker.setLatLng(pinPoint);
+  } else {
+    pinMarker = L.marker(pinPoint, {
+      draggable: true,
+      title: 'Distances are measured from here',
+      icon: L.divIcon({ className: 'pin-marker', html: '<div class="pin-marker-dot"></div>', iconSize: [18, 18], iconAnchor: [9, 9] }),
+    }).addTo(map);
+    pinMarker.on('dragend', function() {
+      setPin(pinMarker.getLatLng());
+      applyFilters();
+    });
+  }
+  document.getElementById('pin-radius').style.display = '';
+  document.getElementById('btn-clear-pin').style.display = '';
+  updatePinCircle();
+  updateDistanceSortOptions();
+}
+
+function updatePinCircle() {
+  var radius = document.getElementById('pin-radius').value;
+  if (pinCircle) { map.removeLayer(pinCircle); pinCircle = null; }
+  if (pinPoint && radius) {
+    pinCircle = L.circle(pinPoint, L.extend({ radius: Number(radius) * 1000, interactive: false }, AREA_STYLE)).addTo(map);
+  }
+}
+
+function onPinRadiusChange() {
+  updatePinCircle();
+  applyFilters();
+}
+
+// "Nearest to pin" only makes sense with a pin on the map
+function updateDistanceSortOptions() {
+  ['filter-sort', 'listings-sort'].forEach(function(id) {
+    var el = document.getElementById(id);
+    var opt = el && el.querySelector('option[value="distance"]');
+    if (opt) opt.disabled = !pinPoint;
+    if (el && !pinPoint && el.value === 'distance') el.value = 'newest';
+  });
+}
+
+function resetPin() {
+  if (pinMarker) { map.removeLayer(pinMarker); pinMarker = null; }
+  if (pinCircle) { map.removeLayer(pinCircle); pinCircle = null; }
+  pinPoint = null;
+  var radiusEl = document.getElementById('pin-radius');
+  radiusEl.value = '';
+  radiusEl.style.display = 'none';
+  document.getElementById('btn-clear-pin').style.display = 'none';
+  exitPinMode();
+  updateDistanceSortOptions();
+}
+
+function clearPin() {
+  resetPin();
   applyFilters();
 }
 
+// Restore the pin and radius from query params (URL or saved search)
+function restorePin(q) {
+  var lat = parseFloat(q.get('near_lat'));
+  var lon = parseFloat(q.get('near_lon'));
+  if (!isFinite(lat) || !isFinite(lon)) return;
+  var radius = q.get('radius_km') || '';
+  var radiusEl = document.getElementById('pin-radius');
+  if (radius && !radiusEl.querySelector('option[value="' + radius + '"]')) {
+    var opt = document.createElement('option');
+    opt.value = radius;
+    opt.textContent = 'Within ' + radius + ' km';
+    radiusEl.appendChild(opt);
+  }
+  radiusEl.value = radius;
+  setPin(L.latLng(lat, lon));
+}
+
+// "850 m", "12.3 km", "140 km"
+function formatDistance(km) {
+  if (km < 1) return Math.round(km * 1000) + ' m';
+  if (km < 100) return (Math.round(km * 10) / 10) + ' km';
+  return Math.round(km) + ' km';
+}
+
 // --- DRAG HANDLE ---
 function initDragHandle() {
   var handle = document.getElementById('drag-handle');
@@ -342,22 +696,61 @@ function hasActiveFilters() {
   if (document.getElementById('filter-developed').value !== '') return true;
   if (document.getElementById('filter-obligation').value !== 'all') return true;
   if (document.getElementById('filter-ownership').value !== '') return true;
-  var taxFreeEl = document.getElementById('filter-tax-free');
-  if (taxFreeEl && taxFreeEl.checked) return true;
+  if (document.getElementById('filter-winter-access').value !== '') return true;
+  if (document.getElementById('filter-concession').value !== '') return true;
+  if (document.getElementById('filter-water-supply').value !== '') return true;
+  if (document.getElementById('filter-sewer').value !== '') return true;
+  if (document.getElementById('filter-max-municipal-fees').value !== '') return true;
+  if (document.getElementById('filter-max-tax-rate').value !== '') return true;
+  if (document.getElementById('filter-max-drive').value !== '') return true;
+  if (pinPoint && document.getElementById('pin-radius').value !== '') return true;
+  if (document.getElementById('filter-include-removed').checked) return true;
   return false;
 }
 
 function plotMunicipalities() {
   markers.forEach(function(m) { map.removeLayer(m); });
   markers = [];
+  if (boundaryLayer) { map.removeLayer(boundaryLayer); boundaryLayer = null; }
 
   var category = document.getElementById('filter-category').value;
-  var section = category === 'tomt' ? 'plots' : 'homes';
+  var section = FINN_SECTIONS[category] || 'homes';
 
   // Use non-municipality-filtered counts so all municipalities stay visible/clickable
   var countByMuni = Object.keys(statsCountByMuni).length > 0 ? statsCountByMuni : {};
   var filtersActive = Object.keys(countByMuni).length > 0;
 
+  // Choropleth of kommune polygons once loaded; circle markers until then
+  if (boundaryGeo) {
+    var muniByCode = {};
+    municipalities.forEach(function(m) { muniByCode[m.code] = m; });
+
+    boundaryLayer = L.geoJSON(boundaryGeo, {
+      filter: function(feature) {
+        var muni = muniByCode[feature.properties.code];
+        return !!muni && (!muni.hasPropertyTax || showTaxMunicipalities);
+      },
+      style: function(feature) {
+        var muni = muniByCode[feature.properties.code];
+        return municipalityStyle(muni, countByMuni[muni.code] || 0, filtersActive);
+      },
+      onEachFeature: function(feature, layer) {
+        var muni = muniByCode[feature.properties.code];
+        layer.bindPopup(buildMunicipalityPopup(muni, countByMuni[muni.code] || 0, section));
+        layer.on('click', function() {
+          // The map click handler drops the pin
+          if (isPinMode) { layer.closePopup(); return; }
+          if (!isDrawMode) return;
+          layer.closePopup();
+          if (drawShape === 'kommune') toggleKommuneSelection(muni.code);
+        });
+        layer.on('mouseover', function() { layer.setStyle({ weight: 2.5 }); });
+        layer.on('mouseout', function() { if (boundaryLayer) boundaryLayer.resetStyle(layer); });
+      },
+    }).addTo(map);
+    return;
+  }
+
   municipalities.forEach(function(muni) {
     if (muni.hasPropertyTax && !showTaxMunicipalities) return;
 
@@ -390,30 +783,103 @@ function plotMunicipalities() {
       fillOpacity: opacity * 0.7,
     }).addTo(map);
 
-    // Build popup
-    var popupHtml = '<div class="popup-title">' + escapeHtml(muni.name) + '</div>' +
-      '<span class="popup-badge ' + (muni.hasPropertyTax ? 'has-tax' : 'no-tax') + '">' +
-        (muni.hasPropertyTax ? 'Has property tax' : 'No property tax') +
-      '</span>';
+    marker.bindPopup(buildMunicipalityPopup(muni, listingCount, section));
+    markers.push(marker);
+  });
+}
 
-    if (listingCount > 0) {
-      popupHtml += '<div class="popup-listings">' + listingCount + ' listing' + (listingCount !== 1 ? 's' : '') + ' found</div>';
-    }
+// Polygon style: green/red by tax status, fill shaded by filtered listing count
+function municipalityStyle(muni, listingCount, filtersActive) {
+  if (selectedKommuner.indexOf(muni.code) >= 0) {
+    return { color: '#3b82f6', weight: 2.5, opacity: 1, fillColor: muni.hasPropertyTax ? '#ef4444' : '#22c55e', fillOpacity: 0.5 };
+  }
+  if (muni.hasPropertyTax) {
+    return { color: '#ef4444', weight: 0.5, opacity: 0.4, fillColor: '#ef4444', fillOpacity: 0.12 };
+  }
+  if (filtersActive && listingCount === 0) {
+    return { color: '#22c55e', weight: 0.5, opacity: 0.3, fillColor: '#22c55e', fillOpacity: 0.08 };
+  }
+  var fill = listingCount > 0 ? Math.min(0.35 + Math.sqrt(listingCount) * 0.05, 0.8) : 0.35;
+  return { color: '#22c55e', weight: 1, opacity: 0.9, fillColor: '#22c55e', fillOpacity: fill };
+}
 
-    if (!muni.hasPropertyTax) {
-      popupHtml += '<a class="popup-link" href="#" onclick="event.preventDefault(); filterByMunicipality(\'' + muni.code + '\')">' +
-        (listingCount > 0 ? 'Show listings' : 'Filter this municipality') +
-      '</a><br>';
-    } else {
-      popupHtml += '<div style="margin-top:6px;font-size:11px;color:#8b8fa3;">Not tracked (has property tax)</div>';
-    }
+function buildMunicipalityPopup(muni, listingCount, section) {
+  var popupHtml = '<div class="popup-title">' + escapeHtml(muni.name) + '</div>' +
+    '<span class="popup-badge ' + (muni.hasPropertyTax ? 'has-tax' : 'no-tax') + '">' +
+      (muni.hasPropertyTax ? 'Has property tax' : 'No property tax') +
+    '</span>' +
+    buildTaxRateHtml(muni);
 
-    popupHtml += '<a class="popup-link" href="https://www.finn.no/realestate/' + section + '/search.html?q=' +
-      encodeURIComponent(muni.name.split(' - ')[0]) + '" target="_blank" rel="noopener">Browse on Finn.no</a>';
+  if (listingCount > 0) {
+    popupHtml += '<div class="popup-listings">' + listingCount + ' listing' + (listingCount !== 1 ? 's' : '') + ' found</div>';
+  }
 
-    marker.bindPopup(popupHtml);
-    markers.push(marker);
-  });
+  if (!muni.hasPropertyTax) {
+    popupHtml += '<a class="popup-link" href="#" onclick="event.preventDefault(); filterByMunicipality(\'' + muni.code + '\')">' +
+      (listingCount > 0 ? 'Show listings' : 'Filter this municipality') +
+    '</a><br>';
+  } else {
+    popupHtml += '<div style="margin-top:6px;font-size:11px;color:#8b8fa3;">Not tracked (has property tax)</div>';
+  }
+
+  popupHtml += '<a class="popup-link" href="https://www.finn.no/realestate/' + section + '/search.html?q=' +
+    encodeURIComponent(muni.name.split(' - ')[0]) + '" target="_blank" rel="noopener">Browse on Finn.no</a>';
+
+  return popupHtml;
+}
+
+// Rate, bunnfradrag and year-by-year history from the KOSTRA import
+function formatPromille(rate) {
+  return String(rate).replace('.', ',') + '\u2030';
+}
+
+function buildTaxRateHtml(muni) {
+  var lines = [];
+  if (muni.hasPropertyTax) {
+    lines.push(muni.propertyTaxRate != null ? formatPromille(muni.propertyTaxRate) + ' on homes' : 'Rate unknown');
+    if (muni.propertyTaxDeduction) lines.push('bunnfradrag ' + formatPrice(muni.propertyTaxDeduction));
+  } else if (muni.propertyTaxCommercialOnly) {
+    lines.push('Only commercial property and power plants taxed');
+  }
+  if (lines.length === 0) return '';
+
+  var html = '<div class="popup-tax-rate">' + escapeHtml(lines.join(', ')) +
+    (muni.propertyTaxYear ? ' (' + muni.propertyTaxYear + ')' : '') + '</div>';
+  var history = (muni.propertyTaxHistory || []).filter(function(h) { return h.rate != null; });
+  if (history.length > 1) {
+    html += '<div class="popup-tax-history">' + history.map(function(h) {
+      return h.year + ': ' + (h.rate === 0 ? (h.commercialOnly ? 'commercial only' : 'none') : formatPromille(h.rate));
+    }).join(' &middot; ') + '</div>';
+  }
+  return html;
+}
+
+// Zoom buckets match ZOOM_TOLERANCES in geo.js — refetch only when the bucket changes
+function boundaryBucketForZoom(zoom) {
+  if (zoom <= 5) return 5;
+  if (zoom <= 7) return 7;
+  if (zoom <= 9) return 9;
+  return 18;
+}
+
+async function loadBoundaries() {
+  var bucket = boundaryBucketForZoom(map.getZoom());
+  if (bucket === boundaryBucket) return;
+  boundaryBucket = bucket;
+
+  try {
+    if (!boundaryCache[bucket]) {
+      var resp = await fetch('/api/municipality-boundaries?zoom=' + bucket);
+      boundaryCache[bucket] = await resp.json();
+    }
+    // Ignore stale responses if the user zoomed on meanwhile
+    if (bucket !== boundaryBucket) return;
+    boundaryGeo = boundaryCache[bucket];
+    plotMunicipalities();
+  } catch (err) {
+    console.error('Failed to load municipality boundaries:', err);
+    boundaryBucket = null;
+  }
 }
 
 function toggleTaxMunicipalities() {
@@ -421,6 +887,149 @@ function toggleTaxMunicipalities() {
   plotMunicipalities();
 }
 
+// --- LISTING PINS ---
+// Clusters and price pins for the visible part of the map, refetched on pan/zoom
+async function loadMapListings() {
+  if (!listingLayer) return;
+  var requestId = ++mapListingsRequestId;
+  var bounds = map.getBounds();
+  var params = new URLSearchParams(buildFilterParams());
+  params.set('bbox', [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()].map(function(v) {
+    return v.toFixed(5);
+  }).join(','));
+  params.set('zoom', map.getZoom());
+
+  try {
+    var resp = await fetch('/api/map-listings?' + params.toString());
+    var data = await resp.json();
+    // Ignore stale responses if the map moved on meanwhile
+    if (requestId !== mapListingsRequestId) return;
+
+    listingLayer.clearLayers();
+    data.clusters.forEach(function(cluster) {
+      var marker = L.marker([cluster.lat, cluster.lon], { icon: buildClusterIcon(cluster) });
+      marker.on('click', function() { zoomToCluster(cluster); });
+      listingLayer.addLayer(marker);
+    });
+    data.listings.forEach(function(listing) {
+      var marker = L.marker([listing.latitude, listing.longitude], { icon: buildPinIcon(listing) });
+      marker.bindPopup(buildListingPopup(listing), { minWidth: 220, maxWidth: 260 });
+      marker.on('click', function() { focusListingCard(listing.id); });
+      listingLayer.addLayer(marker);
+    });
+  } catch (err) {
+    console.error('Failed to load map listings:', err);
+  }
+}
+
+function debouncedLoadMapListings() {
+  clearTimeout(mapListingsTimer);
+  mapListingsTimer = setTimeout(loadMapListings, 250);
+}
+
+function buildClusterIcon(cluster) {
+  var size = Math.round(30 + Math.min(Math.log10(cluster.count) * 10, 24));
+  var title = cluster.count + ' listings' + (cluster.min_price ? ', from ' + formatPrice(cluster.min_price) : '');
+  return L.divIcon({
+    className: 'listing-cluster-icon',
+    html: '<div class="listing-cluster" title="' + escapeHtml(title) + '" style="width:' + size + 'px;height:' + size + 'px;line-height:' + size + 'px">' +
+      cluster.count.toLocaleString('nb-NO') + '</div>',
+    iconSize: [size, size],
+  });
+}
+
+function buildPinIcon(listing) {
+  return L.divIcon({
+    className: 'listing-pin-icon',
+    html: '<div class="listing-pin' + (listing.status === 'removed' ? ' is-removed' : '') + '">' +
+      (listing.price ? formatPriceShort(listing.price) : '?') + '</div>',
+    iconSize: null,
+    popupAnchor: [0, -26],
+  });
+}
+
+// Compact price for map pins: 2.4M kr / €210k
+function formatPriceShort(price) {
+  var value = currency === 'EUR' && eurRate ? price * eurRate : price;
+  var text;
+  if (value >= 1000000) {
+    text = (Math.round(value / 100000) / 10).toLocaleString(currency === 'EUR' ? 'de-DE' : 'nb-NO') + 'M';
+  } else {
+    text = Math.round(value / 1000) + 'k';
+  }
+  return currency === 'EUR' ? '\u20ac' + text : text + ' kr';
+}
+
+// Display names for listings.source
+var SOURCE_LABELS = { finn: 'Finn.no' };
+
+// Display names for listings.category, and the Finn.no section each is listed in
+var CATEGORY_LABELS = { home: 'Home', tomt: 'Plot', cabin: 'Cabin', farm: 'Farm' };
+var CATEGORY_TITLES = { home: 'Properties', tomt: 'Plots (Tomt)', cabin: 'Cabins (Hytte)', farm: 'Farms (Gårdsbruk)', all: 'All Properties & Plots' };
+var FINN_SECTIONS = { home: 'homes', tomt: 'plots', cabin: 'leisuresale', farm: 'agriculture' };
+
+function sourceLabel(source) {
+  return SOURCE_LABELS[source] || source || 'Finn.no';
+}
+
+function buildListingPopup(listing) {
+  var priceHtml = listing.price ? formatPrice(listing.price) : escapeHtml(listing.price_text || 'Price on request');
+  var meta = [escapeHtml(listing.municipality_name)];
+  if (listing.area_m2) meta.push(listing.area_m2 + ' m\u00b2');
+
+  return '<div class="pin-popup">' +
+    (listing.image_url ? '<img class="pin-popup-image" src="' + escapeHtml(listing.image_url) + '" alt="" onerror="this.style.display=\'none\'">' : '') +
+    '<div class="popup-title">' + escapeHtml(listing.title) + '</div>' +
+    '<div class="pin-popup-price">' + priceHtml + '</div>' +
+    '<div class="popup-listings">' + (listing.address ? escapeHtml(listing.address) + '<br>' : '') + meta.join(' &middot; ') + '</div>' +
+    '<a class="popup-link" href="' + escapeHtml(listing.url) + '" target="_blank" rel="noopener">View on ' + escapeHtml(sourceLabel(listing.source)) + '</a>' +
+    '</div>';
+}
+
+function zoomToCluster(cluster) {
+  var bounds = L.latLngBounds(cluster.bounds);
+  // Stacked listings at one address: zoom past the cluster threshold instead
+  if (bounds.getNorth() === bounds.getSouth() && bounds.getEast() === bounds.getWest()) {
+    map.setView(bounds.getCenter(), Math.max(map.getZoom() + 2, 14));
+  } else {
+    map.fitBounds(bounds, { padding: [40, 40] });
+  }
+}
+
+// Scroll the grid to a listing's card and flash it. A listing on a page that
+// isn't loaded yet is fetched by id and its card put at the top of the grid.
+async function focusListingCard(id) {
+  var card = document.getElementById('listing-card-' + id);
+  if (!card) {
+    var requestId = listingsRequestId;
+    try {
+      var params = new URLSearchParams(buildFilterParams());
+      params.set('id', id);
+      params.set('limit', 1);
+      var resp = await fetch('/api/listings?' + params.toString());
+      var page = await resp.json();
+      if (requestId !== listingsRequestId || page.listings.length === 0) return;
+      card = document.getElementById('listing-card-' + id);
+      if (!card) {
+        var grid = document.getElementById('listings-grid');
+        var empty = grid.querySelector('.empty-state');
+        if (empty) empty.remove();
+        listings.unshift(page.listings[0]);
+        grid.insertAdjacentHTML('afterbegin', renderListingCard(page.listings[0]));
+        card = grid.firstElementChild;
+      }
+    } catch (err) {
+      console.error('Failed to load listing ' + id + ':', err);
+      return;
+    }
+  }
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  card.classList.remove('card-highlight');
+  // Force a reflow so the animation restarts on repeated clicks
+  void card.offsetWidth;
+  card.classList.add('card-highlight');
+}
+
 function filterByMunicipality(code) {
   // Only change municipality — keep all other filters (category, price, etc.) intact
   smartSearchMunicipalities = ''; // clear multi-municipality from AI search
@@ -459,30 +1068,130 @@ async function loadMunicipalities() {
 
     select.appendChild(noTaxGroup);
     select.appendChild(hasTaxGroup);
+    updateTaxRateOptions();
 
     plotMunicipalities();
+    loadBoundaries();
+    map.on('zoomend', loadBoundaries);
   } catch (err) {
     console.error('Failed to load municipalities:', err);
   }
 }
 
+// ‰ limits need known rates; without them they would match the tax-free municipalities only
+function updateTaxRateOptions() {
+  taxRatesKnown = municipalities.some(function(m) {
+    return m.hasPropertyTax && !m.propertyTaxCommercialOnly && m.propertyTaxRate > 0;
+  });
+  if (taxRatesKnown) return;
+  var taxRateEl = document.getElementById('filter-max-tax-rate');
+  [].slice.call(taxRateEl.options).forEach(function(opt) {
+    if (Number(opt.value) > 0) taxRateEl.removeChild(opt);
+  });
+  document.getElementById('tax-rate-hint').textContent =
+    'Eiendomsskatt on homes. Rates are not loaded yet, so only tax-free municipalities can be selected. Municipalities that only tax commercial property count as tax-free.';
+}
+
+// Hub cities for the driving time filter
+async function loadTravelHubs() {
+  try {
+    var resp = await fetch('/api/travel-hubs');
+    var data = await resp.json();
+    var select = document.getElementById('filter-drive-from');
+    data.hubs.forEach(function(hub) {
+      var opt = document.createElement('option');
+      opt.value = hub.code;
+      opt.textContent = 'From ' + hub.name;
+      select.appendChild(opt);
+    });
+    if (data.method === 'great-circle') {
+      document.getElementById('drive-time-note').textContent =
+        'By car from the municipality centre, estimated from distance with allowances for fjords and ferries';
+    }
+  } catch (err) {
+    console.error('Failed to load travel hubs:', err);
+  }
+}
+
+// "45 min", "2 h", "1.5 h"
+function formatDriveMinutes(minutes) {
+  var m = Number(minutes);
+  if (m < 60) return m + ' min';
+  return (Math.round(m / 6) / 10) + ' h';
+}
+
 async function loadListings() {
   var grid = document.getElementById('listings-grid');
   grid.innerHTML = '<div class="loading"><div class="spinner"></div><p>Loading listings...</p></div>';
+  var requestId = ++listingsRequestId;
 
   try {
-    var params = buildFilterParams();
-    var resp = await fetch('/api/listings?' + params);
-    listings = await resp.json();
+    var params = new URLSearchParams(buildFilterParams());
+    params.set('limit', LISTINGS_PAGE_SIZE);
+    var resp = await fetch('/api/listings?' + params.toString());
+    var page = await resp.json();
+    // A newer filter change superseded this request
+    if (requestId !== listingsRequestId) return;
+    listings = page.listings;
+    listingsTotal = page.total;
+    listingsNewCount = page.new_count;
+    listingsCursor = page.next_cursor;
     renderListings(listings);
     await updateStats();
     plotMunicipalities();
+    loadMapListings();
   } catch (err) {
     console.error('Failed to load listings:', err);
     grid.innerHTML = '<div class="empty-state"><h3>Could not load listings</h3><p>Try refreshing in a few minutes.</p></div>';
   }
 }
 
+// Infinite scroll: fetch the next page when the sentinel below the grid comes into view
+async function loadMoreListings() {
+  if (!listingsCursor || isLoadingMore) return;
+  isLoadingMore = true;
+  var requestId = listingsRequestId;
+  var sentinel = document.getElementById('listings-sentinel');
+  sentinel.classList.add('loading-more');
+
+  try {
+    var params = new URLSearchParams(buildFilterParams());
+    params.set('limit', LISTINGS_PAGE_SIZE);
+    params.set('cursor', listingsCursor);
+    var resp = await fetch('/api/listings?' + params.toString());
+    var page = await resp.json();
+    if (requestId === listingsRequestId) {
+      listings = listings.concat(page.listings);
+      listingsCursor = page.next_cursor;
+      appendListings(page.listings);
+    }
+  } catch (err) {
+    console.error('Failed to load more listings:', err);
+  }
+
+  sentinel.classList.remove('loading-more');
+  isLoadingMore = false;
+  // Still in view (short page or tall screen)? Keep going
+  if (listingsCursor && isSentinelVisible()) loadMoreListings();
+}
+
+function isSentinelVisible() {
+  var content = document.querySelector('.content');
+  var sentinel = document.getElementById('listings-sentinel');
+  if (!content || !sentinel) return false;
+  return sentinel.getBoundingClientRect().top < content.getBoundingClientRect().bottom + 600;
+}
+
+function initInfiniteScroll() {
+  var content = document.querySelector('.content');
+  var sentinel = document.getElementById('listings-sentinel');
+  if (!content || !sentinel) return;
+  var observer = new IntersectionObserver(function(entries) {
+    if (entries[0].isIntersecting) loadMoreListings();
+  }, { root: content, rootMargin: '600px' });
+  observer.observe(sentinel);
+}
+
 // Load lastUpdate time from server (separate from filtered stats)
 async function loadLastUpdate() {
   try {
@@ -495,19 +1204,57 @@ async function loadLastUpdate() {
   } catch (e) {
     // ignore
   }
+  loadScraperHealth();
 }
 
-// Compute header stats from filtered listings, sidebar stats from non-municipality-filtered data
-async function updateStats() {
-  var total = listings.length;
-  var newCount = 0;
+// Warn next to the update time when the last scrape looked broken (e.g. Finn.no markup change)
+async function loadScraperHealth() {
+  var el = document.getElementById('scraper-health');
+  try {
+    var resp = await fetch('/api/scraper-health');
+    var health = await resp.json();
+    if (health.status === 'degraded') {
+      el.textContent = 'Scraper degraded';
+      el.title = health.degraded_reason + '. Listings may be stale; nothing is archived until it recovers.';
+      el.style.display = '';
+    } else {
+      el.style.display = 'none';
+    }
+  } catch (e) {
+    el.style.display = 'none';
+  }
+}
 
-  listings.forEach(function(l) {
-    if (l.is_new) newCount++;
-  });
+// Average time-on-market of removed listings for the selected municipality
+async function loadTimeOnMarket() {
+  var el = document.getElementById('time-on-market');
+  var muniCode = document.getElementById('filter-municipality').value;
+  if (!el) return;
+  if (!muniCode) { el.textContent = ''; return; }
 
-  document.getElementById('total-count').textContent = total;
-  document.getElementById('new-count').textContent = newCount;
+  var p = new URLSearchParams({ municipality: muniCode });
+  var category = document.getElementById('filter-category').value;
+  if (category && category !== 'all') p.set('category', category);
+
+  try {
+    var resp = await fetch('/api/time-on-market?' + p.toString());
+    var rows = await resp.json();
+    if (rows.length === 0) {
+      el.textContent = 'No removed listings yet to measure time on market';
+      return;
+    }
+    var row = rows[0];
+    el.textContent = row.municipality_name + ': ' + row.removed_count + ' removed, on market ' +
+      row.avg_days + ' days on average (' + row.min_days + '\u2013' + row.max_days + ')';
+  } catch (e) {
+    el.textContent = '';
+  }
+}
+
+// Compute header stats from filtered listings, sidebar stats from non-municipality-filtered data
+async function updateStats() {
+  document.getElementById('total-count').textContent = listingsTotal;
+  document.getElementById('new-count').textContent = listingsNewCount;
 
   // Sidebar stats: fetch counts WITHOUT municipality filter so all municipalities stay clickable
   var statsParams = buildFilterParams();
@@ -549,7 +1296,7 @@ async function updateStats() {
 function renderListings(items) {
   var grid = document.getElementById('listings-grid');
   var countEl = document.getElementById('listings-count');
-  countEl.textContent = items.length.toLocaleString('nb-NO') + ' properties';
+  countEl.textContent = listingsTotal.toLocaleString('nb-NO') + ' properties';
 
   if (items.length === 0) {
     grid.innerHTML = '<div class="empty-state">' +
@@ -560,109 +1307,270 @@ function renderListings(items) {
     return;
   }
 
-  grid.innerHTML = items.map(function(listing) {
-    var hasTax = listing.has_property_tax === 1;
-    var isTomt = listing.category === 'tomt';
-    var obl = listing.building_obligation;
+  grid.innerHTML = items.map(renderListingCard).join('');
+}
 
-    var badges = '';
-    if (listing.is_new) badges += '<span class="listing-badge new-badge">NEW</span>';
-    if (isTomt) badges += '<span class="listing-badge tomt-badge">TOMT</span>';
-    if (isTomt && listing.is_developed === 1) badges += '<span class="listing-badge developed-badge" title="Water, sewer & road connected">Utilities connected</span>';
-    if (isTomt && listing.is_developed === 0) badges += '<span class="listing-badge undeveloped-badge" title="No utilities connected yet">No utilities</span>';
+// Append the next page of cards without re-rendering the ones already shown
+// (skipping any already put at the top by focusListingCard)
+function appendListings(items) {
+  var grid = document.getElementById('listings-grid');
+  grid.insertAdjacentHTML('beforeend', items.filter(function(listing) {
+    return !document.getElementById('listing-card-' + listing.id);
+  }).map(renderListingCard).join(''));
+}
 
-    if (isTomt && listing.plot_owned === 'selveier') {
-      badges += '<span class="listing-badge ownership-selveier">Selveier</span>';
-    } else if (isTomt && listing.plot_owned === 'tomtefeste') {
-      badges += '<span class="listing-badge ownership-tomtefeste">Tomtefeste</span>';
-    }
+function renderListingCard(listing) {
+  var hasTax = listing.has_property_tax === 1;
+  var isTomt = listing.category === 'tomt';
+  var isCabin = listing.category === 'cabin';
+  var isFarm = listing.category === 'farm';
+  var obl = listing.building_obligation;
+
+  var badges = '';
+  var isRemoved = listing.status === 'removed';
+  if (isRemoved) badges += '<span class="listing-badge removed-badge" title="No longer listed on ' + escapeHtml(sourceLabel(listing.source)) + '">Removed</span>';
+  if (listing.is_new) badges += '<span class="listing-badge new-badge">NEW</span>';
+  if (isTomt) badges += '<span class="listing-badge tomt-badge">TOMT</span>';
+  if (isCabin) badges += '<span class="listing-badge cabin-badge">HYTTE</span>';
+  if (isFarm) badges += '<span class="listing-badge farm-badge">GÅRD</span>';
+  if (isCabin && listing.winter_access === 1) badges += '<span class="listing-badge developed-badge" title="Road kept open (brøytet) in winter">Winter road</span>';
+  if (isCabin && listing.winter_access === 0) badges += '<span class="listing-badge undeveloped-badge" title="No car access in winter">No winter road</span>';
+  if (isFarm && listing.concession === 'free') badges += '<span class="listing-badge ownership-selveier" title="No konsesjon needed to buy">Konsesjonsfri</span>';
+  if (isFarm && listing.concession === 'required') badges += '<span class="listing-badge ownership-tomtefeste" title="Buyer must apply for konsesjon">Konsesjon</span>';
+  if (isTomt && listing.is_developed === 1) badges += '<span class="listing-badge developed-badge" title="Water, sewer & road connected">Utilities connected</span>';
+  if (isTomt && listing.is_developed === 0) badges += '<span class="listing-badge undeveloped-badge" title="No utilities connected yet">No utilities</span>';
+
+  if (isTomt && listing.plot_owned === 'selveier') {
+    badges += '<span class="listing-badge ownership-selveier">Selveier</span>';
+  } else if (isTomt && listing.plot_owned === 'tomtefeste') {
+    badges += '<span class="listing-badge ownership-tomtefeste">Tomtefeste</span>';
+  }
 
-    if (isTomt && obl === 'none') {
-      badges += '<span class="listing-badge obligation-none" title="No byggeklausul detected">No obligation</span>';
-    } else if (isTomt && obl === 'has_clause') {
-      badges += '<span class="listing-badge obligation-clause" title="Tied to specific builder">Builder clause</span>';
-    } else if (isTomt && obl === 'has_deadline') {
-      badges += '<span class="listing-badge obligation-deadline" title="Must build within deadline">Build deadline</span>';
-    }
+  var oblConfidence = listing.building_obligation_confidence != null
+    ? ' (' + Math.round(listing.building_obligation_confidence * 100) + '% confidence)'
+    : '';
+  if (isTomt && obl === 'none') {
+    badges += '<span class="listing-badge obligation-none" title="No byggeklausul detected' + oblConfidence + '">No obligation</span>';
+  } else if (isTomt && obl === 'has_clause') {
+    badges += '<span class="listing-badge obligation-clause" title="Tied to specific builder' + oblConfidence + '">Builder clause</span>';
+  } else if (isTomt && obl === 'has_deadline') {
+    badges += '<span class="listing-badge obligation-deadline" title="Must build within deadline' + oblConfidence + '">Build deadline</span>';
+  }
 
-    if (listing.property_type) badges += '<span class="listing-badge type-badge">' + escapeHtml(listing.property_type) + '</span>';
-    badges += '<span class="listing-badge municipality-badge">' + escapeHtml(listing.municipality_name) + '</span>';
-    if (!hasTax) {
-      badges += '<span class="listing-badge" style="background:rgba(34,197,94,0.1);color:#22c55e">No tax</span>';
-    } else {
-      badges += '<span class="listing-badge tax-badge">Has tax</span>';
-    }
+  if (listing.overrides) {
+    badges += '<span class="listing-badge verified-badge" title="' + escapeHtml(describeCorrections(listing.overrides)) + '">Verified by team</span>';
+  }
 
-    var imgHtml = listing.image_url
-      ? '<img class="listing-image" src="' + escapeHtml(listing.image_url) + '" alt="" loading="lazy" onerror="this.style.display=\'none\'">'
-      : '<div class="listing-image-placeholder">No image</div>';
+  if (listing.property_type) badges += '<span class="listing-badge type-badge">' + escapeHtml(listing.property_type) + '</span>';
+  badges += '<span class="listing-badge municipality-badge">' + escapeHtml(listing.municipality_name) + '</span>';
+  if (!hasTax) {
+    badges += '<span class="listing-badge" style="background:rgba(34,197,94,0.1);color:#22c55e">No tax</span>';
+  } else {
+    badges += '<span class="listing-badge tax-badge">Has tax</span>';
+  }
 
-    var priceHtml = listing.price ? formatPrice(listing.price) : (listing.price_text || 'Price on request');
+  var imgHtml = listing.image_url
+    ? '<img class="listing-image" src="' + escapeHtml(listing.image_url) + '" alt="" loading="lazy" onerror="this.style.display=\'none\'">'
+    : '<div class="listing-image-placeholder">No image</div>';
 
-    var metaParts = [];
-    if (listing.area_m2) metaParts.push('<span>' + listing.area_m2 + ' m\u00b2</span>');
-    if (listing.bedrooms) metaParts.push('<span>' + listing.bedrooms + ' bed</span>');
-    if (listing.shared_cost > 0) {
-      metaParts.push('<span style="color:var(--orange)">' + formatSharedCost(listing.shared_cost) + '</span>');
-    } else if (!isTomt) {
-      metaParts.push('<span style="color:var(--green)">No fees</span>');
-    }
+  var priceHtml = listing.price ? formatPrice(listing.price) : (listing.price_text || 'Price on request');
 
-    var obligationHint = '';
-    if (isTomt && listing.building_obligation_text) {
-      obligationHint = '<div class="listing-obligation-hint">"...' + escapeHtml(listing.building_obligation_text) + '..."</div>';
-    }
+  // Price drop since the listing was first seen
+  if (listing.price && listing.first_price && listing.first_price > listing.price) {
+    badges = '<span class="listing-badge price-drop-badge" title="First seen at ' + formatPrice(listing.first_price) + '">' +
+      'Reduced by ' + formatPrice(listing.first_price - listing.price) + '</span>' + badges;
+  }
+  var sparklineHtml = buildSparkline(listing.price_points);
+
+  var metaParts = [];
+  if (listing.area_m2) metaParts.push('<span>' + listing.area_m2 + ' m\u00b2</span>');
+  if (listing.bedrooms) metaParts.push('<span>' + listing.bedrooms + ' bed</span>');
+  if (listing.shared_cost > 0) {
+    metaParts.push('<span style="color:var(--orange)">' + formatSharedCost(listing.shared_cost) + '</span>');
+  } else if (!isTomt) {
+    metaParts.push('<span style="color:var(--green)">No fees</span>');
+  }
+  if (listing.days_on_market != null) {
+    var daysTitle = listing.group_first_seen && listing.group_first_seen < listing.first_seen
+      ? 'Days since first listed, including earlier ads for the same property'
+      : 'Days on ' + sourceLabel(listing.source);
+    metaParts.push('<span title="' + escapeHtml(daysTitle) + '">' + listing.days_on_market + 'd on market</span>');
+  }
+  if (listing.distance_km != null) {
+    metaParts.push('<span class="listing-distance" title="Straight-line distance from the pin">' + formatDistance(listing.distance_km) + ' from pin</span>');
+  }
 
-    // Total price line (when different from asking price)
-    var totalPriceHtml = '';
-    if (isTomt && listing.total_price && listing.total_price !== listing.price) {
-      totalPriceHtml = '<div class="listing-total-price">Total incl. costs: ' + formatPrice(listing.total_price) + '</div>';
-    }
+  var obligationHint = '';
+  var oblEvidence = listing.building_obligation_evidence || [];
+  if (isTomt && listing.building_obligation_text) {
+    obligationHint = '<div class="listing-obligation-hint">"...' + escapeHtml(listing.building_obligation_text) + '..."' +
+      (oblEvidence.length > 1 ? ' <span class="obligation-more">+' + (oblEvidence.length - 1) + ' more in details</span>' : '') +
+      '</div>';
+  }
 
-    // Expandable plot details section
-    var plotDetailsHtml = '';
-    if (isTomt) {
-      var detailRows = [];
-      if (listing.cadastre) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Cadastre</span><span>' + escapeHtml(listing.cadastre) + '</span></div>');
-      if (listing.plot_owned) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Ownership</span><span>' + escapeHtml(listing.plot_owned === 'selveier' ? 'Selveier (freehold)' : 'Tomtefeste (leasehold)') + '</span></div>');
-      if (listing.tax_value) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Tax value</span><span>' + formatPrice(listing.tax_value) + '</span></div>');
-      if (listing.facilities) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Facilities</span><span>' + escapeHtml(listing.facilities) + '</span></div>');
-      if (listing.utilities) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Utilities</span><span class="plot-detail-text">' + escapeHtml(listing.utilities) + '</span></div>');
-      if (listing.regulations) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Zoning</span><span class="plot-detail-text">' + escapeHtml(listing.regulations) + '</span></div>');
-      if (listing.yearly_costs_text) {
-        detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Yearly costs</span><span class="plot-detail-text">' + escapeHtml(listing.yearly_costs_text) + '</span></div>');
-      } else {
-        detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Yearly costs</span><span class="plot-detail-muted">Not specified — check with municipality</span></div>');
-      }
-      var zeroPrice = currency === 'EUR' ? '\u20ac0' : '0 kr';
-      detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Property tax</span><span style="color:var(--green)">' + zeroPrice + ' (tax-free municipality)</span></div>');
+  // Total price line (when different from asking price)
+  var totalPriceHtml = '';
+  if ((isTomt || isCabin || isFarm) && listing.total_price && listing.total_price !== listing.price) {
+    totalPriceHtml = '<div class="listing-total-price">Total incl. costs: ' + formatPrice(listing.total_price) + '</div>';
+  }
 
-      if (detailRows.length > 1) {
-        var cardId = 'plot-details-' + listing.id;
-        plotDetailsHtml = '<div class="plot-details-toggle" onclick="event.preventDefault(); event.stopPropagation(); togglePlotDetails(\'' + cardId + '\', this)">Plot details &#9662;</div>' +
-          '<div class="plot-details-content" id="' + cardId + '" style="display:none">' + detailRows.join('') + '</div>';
-      }
+  var ownershipHtml = buildOwnershipCostHtml(listing.ownership_cost);
+
+  // Expandable details section (plots, cabins and farms have detail-page data)
+  var plotDetailsHtml = '';
+  if (isTomt || isCabin || isFarm) {
+    var detailRows = [];
+    if (isCabin && listing.winter_access_text) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Winter access</span><span class="plot-detail-text">"...' + escapeHtml(listing.winter_access_text) + '..."</span></div>');
+    if (isFarm && listing.concession_text) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Konsesjon</span><span class="plot-detail-text">"...' + escapeHtml(listing.concession_text) + '..."</span></div>');
+    if (isTomt && oblEvidence.length > 0) detailRows.push(buildObligationEvidenceHtml(oblEvidence));
+    if (listing.cadastre) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Cadastre</span><span>' + escapeHtml(listing.cadastre) + '</span></div>');
+    if (listing.plot_owned) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Ownership</span><span>' + escapeHtml(listing.plot_owned === 'selveier' ? 'Selveier (freehold)' : 'Tomtefeste (leasehold)') + '</span></div>');
+    if (listing.tax_value) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Tax value</span><span>' + formatPrice(listing.tax_value) + '</span></div>');
+    if (listing.facilities) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Facilities</span><span>' + escapeHtml(listing.facilities) + '</span></div>');
+    if (listing.regulations) detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Zoning</span><span class="plot-detail-text">' + escapeHtml(listing.regulations) + '</span></div>');
+    detailRows.push(buildUtilityTableHtml(listing));
+    detailRows.push('<div class="plot-detail-row"><span class="plot-detail-label">Property tax</span>' + formatPropertyTax(listing) + '</div>');
+    detailRows.push(buildCorrectionHtml(listing));
+
+    if (detailRows.length > 1) {
+      var cardId = 'plot-details-' + listing.id;
+      var detailsLabel = isCabin ? 'Cabin details' : isFarm ? 'Farm details' : 'Plot details';
+      plotDetailsHtml = '<div class="plot-details-toggle" data-label="' + detailsLabel + '" onclick="event.preventDefault(); event.stopPropagation(); togglePlotDetails(\'' + cardId + '\', this)">' + detailsLabel + ' &#9662;</div>' +
+        '<div class="plot-details-content" id="' + cardId + '" style="display:none">' + detailRows.join('') + '</div>';
     }
+  }
 
-    var hoverAttrs = '';
-    if (listing.latitude && listing.longitude) {
-      hoverAttrs = ' onmouseenter="highlightOnMap(' + listing.latitude + ',' + listing.longitude + ')" onmouseleave="removeMapHighlight()"';
-    }
+  var duplicatesHtml = buildDuplicatesHtml(listing);
 
-    return '<a class="listing-card' + (listing.is_new ? ' is-new' : '') + '" href="' + listing.finn_url + '" target="_blank" rel="noopener"' + hoverAttrs + '>' +
-      imgHtml +
-      '<div class="listing-body">' +
-        '<div class="listing-badges">' + badges + '</div>' +
-        '<div class="listing-title">' + escapeHtml(listing.title) + '</div>' +
-        '<div class="listing-address">' + escapeHtml(listing.address) + '</div>' +
-        obligationHint +
-        '<div class="listing-details">' +
-          '<div class="listing-price">' + priceHtml + totalPriceHtml + '</div>' +
-          '<div class="listing-meta">' + metaParts.join('') + '</div>' +
-        '</div>' +
-        plotDetailsHtml +
-      '</div></a>';
-  }).join('');
+  var hoverAttrs = '';
+  if (listing.latitude && listing.longitude) {
+    hoverAttrs = ' onmouseenter="highlightOnMap(' + listing.latitude + ',' + listing.longitude + ')" onmouseleave="removeMapHighlight()"';
+  }
+
+  return '<a class="listing-card' + (listing.is_new ? ' is-new' : '') + (isRemoved ? ' is-removed' : '') + '" id="listing-card-' + escapeHtml(listing.id) + '" href="' + escapeHtml(listing.url) + '" target="_blank" rel="noopener"' + hoverAttrs + '>' +
+    imgHtml +
+    '<div class="listing-body">' +
+      '<div class="listing-badges">' + badges + '</div>' +
+      '<div class="listing-title">' + escapeHtml(listing.title) + '</div>' +
+      '<div class="listing-address">' + escapeHtml(listing.address) + '</div>' +
+      obligationHint +
+      '<div class="listing-details">' +
+        '<div class="listing-price">' + priceHtml + sparklineHtml + totalPriceHtml + ownershipHtml + '</div>' +
+        '<div class="listing-meta">' + metaParts.join('') + '</div>' +
+      '</div>' +
+      plotDetailsHtml +
+      duplicatesHtml +
+    '</div></a>';
+}
+
+// Monthly cost-of-ownership line, with the yearly breakdown in the tooltip
+function buildOwnershipCostHtml(cost) {
+  if (!cost) return '';
+  var lines = [
+    'Interest: ' + formatPrice(cost.mortgage_interest) + '/yr',
+    'Shared costs: ' + (cost.shared_costs ? formatPrice(cost.shared_costs) + '/yr' : 'none'),
+    'Municipal fees: ' + (cost.municipal_fees ? formatPrice(cost.municipal_fees) + '/yr' : 'not stated'),
+    'Road fees: ' + (cost.road_fees ? formatPrice(cost.road_fees) + '/yr' : 'not stated'),
+    'Property tax: ' + (cost.property_tax ? (cost.property_tax_estimated ? '~' : '') + formatPrice(cost.property_tax) + '/yr' : 'none') +
+      (cost.estimated ? ' (rate unknown, assumed ' + cost.property_tax_rate + '\u2030)' : ''),
+    'Dokumentavgift (one-off): ' + formatPrice(cost.document_fee),
+    'Equity + dokumentavgift: ' + formatPrice(cost.upfront),
+  ];
+  return '<div class="listing-total-price listing-ownership-cost" title="' + escapeHtml(lines.join('\n')) + '">' +
+    '\u2248 ' + formatPrice(Math.round(cost.yearly / 12)) + '/mo to own' +
+    (cost.estimated ? ' <span class="cost-estimated">(tax estimated)</span>' : '') + '</div>';
+}
+
+var OBLIGATION_ASPECT_LABELS = { clause: 'Builder clause', deadline: 'Build deadline' };
+
+// Every obligation phrase the classifier matched, marked as for or against
+function buildObligationEvidenceHtml(evidence) {
+  var items = evidence.map(function(e) {
+    return '<li class="' + (e.asserts ? 'evidence-for' : 'evidence-against') + '">' +
+      '<span class="evidence-aspect">' + (e.asserts ? '+ ' : '\u2212 ') + escapeHtml(OBLIGATION_ASPECT_LABELS[e.aspect] || e.aspect) + '</span> ' +
+      '"...' + escapeHtml(e.text) + '..."</li>';
+  });
+  return '<div class="plot-detail-row plot-detail-block"><span class="plot-detail-label">Obligation evidence</span>' +
+    '<ul class="obligation-evidence">' + items.join('') + '</ul></div>';
+}
+
+var WATER_SUPPLY_LABELS = { public: 'Public (kommunalt)', private: 'Private / well', none: 'Not connected' };
+var SEWER_LABELS = { public: 'Public (kommunalt)', septic: 'Septic / private plant', none: 'Not connected' };
+
+// Fees and water/sewer parsed from the ad text, with the original text under the table
+function buildUtilityTableHtml(listing) {
+  var muted = function(text) { return '<span class="plot-detail-muted">' + text + '</span>'; };
+  var yearly = function(amount) { return amount != null ? formatPrice(amount) + '/yr' : muted('Not stated'); };
+  var rows = [
+    ['Kommunale avgifter', listing.municipal_fees != null ? yearly(listing.municipal_fees) : muted('Not specified — check with municipality')],
+    ['Road (veilag)', yearly(listing.road_fees)],
+    ['Connection fees', listing.connection_fees != null ? formatPrice(listing.connection_fees) + ' one-off' : muted('Not stated')],
+    ['Water', listing.water_supply ? escapeHtml(WATER_SUPPLY_LABELS[listing.water_supply] || listing.water_supply) : muted('Not stated')],
+    ['Sewer', listing.sewer ? escapeHtml(SEWER_LABELS[listing.sewer] || listing.sewer) : muted('Not stated')]
+  ];
+
+  var html = '<table class="utility-table">' + rows.map(function(row) {
+    return '<tr><th>' + row[0] + '</th><td>' + row[1] + '</td></tr>';
+  }).join('') + '</table>';
+
+  var sourceText = [listing.utilities, listing.yearly_costs_text].filter(Boolean).join(' \u2014 ');
+  if (sourceText) html += '<div class="plot-detail-text utility-source">"' + escapeHtml(sourceText) + '"</div>';
+  return '<div class="plot-detail-row plot-detail-block">' + html + '</div>';
+}
+
+function formatPropertyTax(listing) {
+  var cost = listing.ownership_cost;
+  var zeroPrice = currency === 'EUR' ? '\u20ac0' : '0 kr';
+  if (listing.has_property_tax !== 1) return '<span style="color:var(--green)">' + zeroPrice + ' (tax-free municipality)</span>';
+  if (!cost) return '<span class="plot-detail-muted">Depends on value — check with municipality</span>';
+  if (!cost.property_tax) return '<span style="color:var(--green)">' + zeroPrice + '</span>';
+  return '<span>' + (cost.property_tax_estimated ? '~' : '') + formatPrice(cost.property_tax) + '/yr' +
+    (cost.property_tax_estimated ? ' (estimated at ' + cost.property_tax_rate + '\u2030, rate unknown)' : '') + '</span>';
+}
+
+// "Also listed as" expander for the other listings in a duplicate group.
+// Rows open their own ad; nested links aren't allowed inside the card anchor.
+function buildDuplicatesHtml(listing) {
+  if (!listing.duplicates || listing.duplicates.length === 0) return '';
+
+  var rows = listing.duplicates.map(function(dup) {
+    var label = sourceLabel(dup.source) + (dup.category !== 'home' ? ' (' + CATEGORY_LABELS[dup.category].toLowerCase() + ')' : '');
+    var price = dup.price ? formatPrice(dup.price) : 'Price on request';
+    return '<div class="plot-detail-row duplicate-row' + (dup.status === 'removed' ? ' is-removed' : '') + '"' +
+      ' data-url="' + escapeHtml(dup.url) + '" onclick="event.preventDefault(); event.stopPropagation(); openDuplicate(this)">' +
+      '<span class="plot-detail-label">' + escapeHtml(label) + '</span>' +
+      '<span>' + price + (dup.status === 'removed' ? ' &middot; removed' : '') + ' &middot; since ' + escapeHtml(String(dup.first_seen).slice(0, 10)) + '</span>' +
+      '</div>';
+  });
+
+  var contentId = 'duplicates-' + listing.id;
+  var toggleText = 'Also listed as ' + listing.duplicates.length + ' other ad' + (listing.duplicates.length > 1 ? 's' : '');
+  return '<div class="plot-details-toggle" data-label="' + toggleText + '" onclick="event.preventDefault(); event.stopPropagation(); togglePlotDetails(\'' + escapeHtml(contentId) + '\', this)">' + toggleText + ' &#9662;</div>' +
+    '<div class="plot-details-content" id="' + escapeHtml(contentId) + '" style="display:none">' + rows.join('') + '</div>';
+}
+
+// Inline SVG sparkline from the comma-separated price_points column
+function buildSparkline(pricePoints) {
+  if (!pricePoints) return '';
+  var prices = String(pricePoints).split(',').map(Number).filter(function(p) { return p > 0; });
+  if (prices.length < 2) return '';
+
+  var width = 60, height = 16;
+  var min = Math.min.apply(null, prices);
+  var max = Math.max.apply(null, prices);
+  var range = max - min || 1;
+  var points = prices.map(function(p, i) {
+    var x = (i / (prices.length - 1)) * width;
+    var y = height - 1 - ((p - min) / range) * (height - 2);
+    return x.toFixed(1) + ',' + y.toFixed(1);
+  }).join(' ');
+  var dropped = prices[prices.length - 1] < prices[0];
+  // The first point is the original asking price, not a change
+  var changes = prices.length - 1;
+
+  return '<svg class="price-sparkline' + (dropped ? ' dropped' : '') + '" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">' +
+    '<title>' + changes + ' price change' + (changes === 1 ? '' : 's') + '</title>' +
+    '<polyline points="' + points + '" fill="none" stroke="currentColor" stroke-width="1.5"></polyline></svg>';
 }
 
 // --- FILTERS ---
@@ -682,6 +1590,11 @@ function buildFilterParams() {
   var developed = document.getElementById('filter-developed').value;
   var obligation = document.getElementById('filter-obligation').value;
   var ownership = document.getElementById('filter-ownership').value;
+  var winterAccess = document.getElementById('filter-winter-access').value;
+  var concession = document.getElementById('filter-concession').value;
+  var waterSupply = document.getElementById('filter-water-supply').value;
+  var sewer = document.getElementById('filter-sewer').value;
+  var maxMunicipalFees = document.getElementById('filter-max-municipal-fees').value;
 
   // Smart search multi-municipality takes priority over dropdown
   if (smartSearchMunicipalities) {
@@ -708,8 +1621,30 @@ function buildFilterParams() {
   if (developed) params.set('developed', developed);
   if (obligation && obligation !== 'all') params.set('building_obligation', obligation);
   if (ownership) params.set('plot_owned', ownership);
-  var taxFreeEl = document.getElementById('filter-tax-free');
-  if (taxFreeEl && taxFreeEl.checked) params.set('tax_free', '1');
+  if (winterAccess) params.set('winter_access', winterAccess);
+  if (concession) params.set('concession', concession);
+  if (waterSupply) params.set('water_supply', waterSupply);
+  if (sewer) params.set('sewer', sewer);
+  if (maxMunicipalFees) {
+    var fees = Number(maxMunicipalFees);
+    if (currency === 'EUR' && eurRate) fees = Math.round(fees / eurRate);
+    params.set('max_municipal_fees', fees);
+  }
+  // Mortgage settings only feed the cost-of-ownership model, they don't filter
+  var mortgageRate = document.getElementById('filter-mortgage-rate').value;
+  var equity = document.getElementById('filter-equity').value;
+  if (mortgageRate !== '') params.set('mortgage_rate', mortgageRate);
+  if (equity !== '') params.set('equity', equity);
+  var maxTaxRate = document.getElementById('filter-max-tax-rate').value;
+  if (maxTaxRate !== '') params.set('max_tax_rate', maxTaxRate);
+  var maxDrive = document.getElementById('filter-max-drive').value;
+  if (maxDrive !== '') {
+    params.set('from', document.getElementById('filter-drive-from').value);
+    var minDrive = document.getElementById('filter-min-drive').value;
+    if (minDrive !== '') params.set('min_drive_minutes', minDrive);
+    params.set('max_drive_minutes', maxDrive);
+  }
+  if (document.getElementById('filter-include-removed').checked) params.set('include_removed', '1');
 
   // Bounding box from draw area
   if (selectedBounds) {
@@ -718,22 +1653,82 @@ function buildFilterParams() {
     params.set('east', selectedBounds.getEast());
     params.set('west', selectedBounds.getWest());
   }
+  // Polygon / freehand shapes and selected kommuner (point-in-polygon on the server)
+  if (selectedPolygons.length > 0) params.set('area', encodeAreaParam());
+  if (selectedKommuner.length > 0) params.set('area_kommune', selectedKommuner.join(','));
+  // Dropped pin: distance on every card, plus the optional radius filter
+  if (pinPoint) {
+    params.set('near_lat', pinPoint.lat);
+    params.set('near_lon', pinPoint.lng);
+    var radius = document.getElementById('pin-radius').value;
+    if (radius) params.set('radius_km', radius);
+  }
 
   return params.toString();
 }
 
 function onCategoryChange() {
+  updateCategoryFilters();
+  applyFilters();
+}
+
+// Show category-specific filters only for their category, resetting them otherwise
+function updateCategoryFilters() {
   var category = document.getElementById('filter-category').value;
   var isTomt = category === 'tomt';
+  var isCabin = category === 'cabin';
+  var isFarm = category === 'farm';
   document.getElementById('developed-filter').style.display = isTomt ? 'block' : 'none';
   document.getElementById('obligation-filter').style.display = isTomt ? 'block' : 'none';
   document.getElementById('ownership-filter').style.display = isTomt ? 'block' : 'none';
+  document.getElementById('winter-access-filter').style.display = isCabin ? 'block' : 'none';
+  document.getElementById('concession-filter').style.display = isFarm ? 'block' : 'none';
   if (!isTomt) {
     document.getElementById('filter-developed').value = '';
     document.getElementById('filter-obligation').value = 'all';
     document.getElementById('filter-ownership').value = '';
   }
-  applyFilters();
+  if (!isCabin) document.getElementById('filter-winter-access').value = '';
+  if (!isFarm) document.getElementById('filter-concession').value = '';
+}
+
+// --- URL STATE ---
+// Full filter state as a query string: the API params plus UI-only state (currency, 'all' category)
+function buildUrlState() {
+  var params = new URLSearchParams(buildFilterParams());
+  if (document.getElementById('filter-category').value === 'all') params.set('category', 'all');
+  if (params.get('sort') === 'newest') params.delete('sort');
+  if (currency === 'EUR') params.set('currency', 'EUR');
+  return params.toString();
+}
+
+function syncUrlState(mode) {
+  var search = buildUrlState();
+  var current = window.location.search.replace(/^\?/, '');
+  if (search === current) return;
+  var url = window.location.pathname + (search ? '?' + search : '') + window.location.hash;
+  if (mode === 'replace') history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+}
+
+function restoreStateFromUrl() {
+  var q = new URLSearchParams(window.location.search);
+  var params = {};
+  q.forEach(function(value, key) { params[key] = value; });
+
+  currency = params.currency === 'EUR' ? 'EUR' : 'NOK';
+  updateCurrencyUi();
+
+  resetDrawArea();
+  restoreArea(q);
+  resetPin();
+  restorePin(q);
+  document.getElementById('filter-include-removed').checked = params.include_removed === '1';
+  document.getElementById('filter-mortgage-rate').value = params.mortgage_rate || '';
+  document.getElementById('filter-equity').value = params.equity || '';
+
+  setFilterInputs(params);
+  updateCategoryFilters();
 }
 
 function onListingsSortChange(value) {
@@ -741,24 +1736,27 @@ function onListingsSortChange(value) {
   applyFilters();
 }
 
-async function applyFilters() {
+// options.history: 'push' (default) adds a history entry, 'replace' rewrites it, 'none' leaves the URL alone
+async function applyFilters(options) {
+  var historyMode = (options && options.history) || 'push';
+
   // Keep listings sort in sync with sidebar sort
   var sidebarSort = document.getElementById('filter-sort').value;
   var listingsSort = document.getElementById('listings-sort');
   if (listingsSort) listingsSort.value = sidebarSort;
 
   updateFilterCount();
+  if (historyMode !== 'none') syncUrlState(historyMode);
   await loadListings();
+  loadTimeOnMarket();
 
   var titleEl = document.getElementById('listings-title');
   var muniCode = document.getElementById('filter-municipality').value;
   var category = document.getElementById('filter-category').value;
 
-  var title = 'Properties';
-  if (category === 'tomt') title = 'Plots (Tomt)';
-  else if (category === 'all') title = 'All Properties & Plots';
+  var title = CATEGORY_TITLES[category] || 'Properties';
 
-  if (selectedBounds) {
+  if (hasAreaSelection()) {
     titleEl.textContent = title + ' in Selected Area';
     return;
   }
@@ -791,21 +1789,28 @@ function clearFilters() {
   document.getElementById('filter-developed').value = '';
   document.getElementById('filter-obligation').value = 'all';
   document.getElementById('filter-ownership').value = '';
+  document.getElementById('filter-winter-access').value = '';
+  document.getElementById('filter-concession').value = '';
+  document.getElementById('filter-water-supply').value = '';
+  document.getElementById('filter-sewer').value = '';
+  document.getElementById('filter-max-municipal-fees').value = '';
   document.getElementById('developed-filter').style.display = 'none';
   document.getElementById('obligation-filter').style.display = 'none';
   document.getElementById('ownership-filter').style.display = 'none';
+  document.getElementById('winter-access-filter').style.display = 'none';
+  document.getElementById('concession-filter').style.display = 'none';
   var noFees = document.getElementById('filter-no-fees');
   if (noFees) noFees.checked = false;
-  var taxFree = document.getElementById('filter-tax-free');
-  if (taxFree) taxFree.checked = false;
+  document.getElementById('filter-max-tax-rate').value = '';
+  resetDriveFilter();
+  document.getElementById('filter-include-removed').checked = false;
   document.getElementById('listings-title').textContent = 'Properties in Norway';
   // Clear draw area
-  if (drawRect) { map.removeLayer(drawRect); drawRect = null; }
-  selectedBounds = null;
-  document.getElementById('btn-clear-area').style.display = 'none';
-  exitDrawMode();
+  resetDrawArea();
+  resetPin();
   // Clear smart search too
   smartSearchMunicipalities = '';
+  resetSmartSearchSession();
   var ssInput = document.getElementById('smart-search-input');
   var ssStatus = document.getElementById('smart-search-status');
   if (ssInput) ssInput.value = '';
@@ -843,6 +1848,7 @@ async function triggerRefresh() {
           btn.classList.remove('spinning');
           await loadListings();
           await loadLastUpdate();
+          loadSavedSearches();
           return;
         }
       } catch (e) {}
@@ -862,12 +1868,239 @@ async function triggerRefresh() {
 }
 
 // --- PLOT DETAILS TOGGLE ---
+function openDuplicate(rowEl) {
+  window.open(rowEl.getAttribute('data-url'), '_blank', 'noopener');
+}
+
 function togglePlotDetails(id, toggleEl) {
   var el = document.getElementById(id);
   if (!el) return;
   var isHidden = el.style.display === 'none';
   el.style.display = isHidden ? 'block' : 'none';
-  toggleEl.innerHTML = isHidden ? 'Plot details &#9652;' : 'Plot details &#9662;';
+  toggleEl.innerHTML = (toggleEl.getAttribute('data-label') || 'Plot details') + (isHidden ? ' &#9652;' : ' &#9662;');
+}
+
+// --- CORRECTIONS ---
+// Classified attributes the team can correct per category; select values are strings
+var CORRECTION_FIELDS = {
+  building_obligation: { label: 'Obligation', options: [['none', 'No obligation'], ['has_clause', 'Builder clause'], ['has_deadline', 'Build deadline'], ['unknown', 'Unknown']] },
+  is_developed: { label: 'Utilities', options: [['1', 'Connected'], ['0', 'Not connected'], ['', 'Unknown']] },
+  plot_owned: { label: 'Ownership', options: [['selveier', 'Selveier'], ['tomtefeste', 'Tomtefeste'], ['', 'Unknown']] },
+  winter_access: { label: 'Winter road', options: [['1', 'Kept open'], ['0', 'No winter road'], ['', 'Unknown']] },
+  concession: { label: 'Konsesjon', options: [['free', 'Konsesjonsfri'], ['required', 'Required'], ['', 'Unknown']] },
+  water_supply: { label: 'Water', options: [['public', 'Public'], ['private', 'Private / well'], ['none', 'Not connected'], ['', 'Unknown']] },
+  sewer: { label: 'Sewer', options: [['public', 'Public'], ['septic', 'Septic / private'], ['none', 'Not connected'], ['', 'Unknown']] }
+};
+var CORRECTION_FIELDS_BY_CATEGORY = {
+  tomt: ['building_obligation', 'is_developed', 'plot_owned', 'water_supply', 'sewer'],
+  cabin: ['winter_access', 'water_supply', 'sewer'],
+  farm: ['concession', 'water_supply', 'sewer']
+};
+
+function correctionValue(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function parseCorrectionValue(field, value) {
+  if (value === '') return null;
+  if (field === 'is_developed' || field === 'winter_access') return Number(value);
+  return value;
+}
+
+function describeCorrections(overrides) {
+  return 'Corrected by hand: ' + Object.keys(overrides).map(function(field) {
+    var o = overrides[field];
+    var label = CORRECTION_FIELDS[field] ? CORRECTION_FIELDS[field].label : field;
+    return label + (o.note ? ' (' + o.note + ')' : '');
+  }).join(', ');
+}
+
+// Form in the details panel; clicks stay inside so the card link doesn't open
+function buildCorrectionHtml(listing) {
+  var fields = CORRECTION_FIELDS_BY_CATEGORY[listing.category];
+  if (!fields) return '';
+  var overrides = listing.overrides || {};
+  var formId = 'correct-' + listing.id;
+
+  var rows = fields.map(function(field) {
+    var def = CORRECTION_FIELDS[field];
+    var current = correctionValue(listing[field]);
+    var options = def.options.map(function(opt) {
+      return '<option value="' + opt[0] + '"' + (opt[0] === current ? ' selected' : '') + '>' + escapeHtml(opt[1]) + '</option>';
+    }).join('');
+    var undo = '';
+    if (overrides[field]) {
+      var scraped = correctionValue(overrides[field].scraped_value);
+      var scrapedOpt = def.options.filter(function(opt) { return opt[0] === scraped; })[0];
+      undo = '<span class="correction-undo" title="Restore the value read from the ad' + (scrapedOpt ? ': ' + escapeHtml(scrapedOpt[1]) : '') + '" ' +
+        'onclick="event.preventDefault(); event.stopPropagation(); undoCorrection(\'' + escapeHtml(listing.id) + '\', \'' + field + '\')">undo</span>';
+    }
+    return '<label class="correction-field"><span>' + def.label + '</span>' +
+      '<select data-field="' + field + '" data-current="' + current + '">' + options + '</select>' + undo + '</label>';
+  }).join('');
+
+  return '<div class="plot-detail-row plot-detail-block correction-form" id="' + formId + '" onclick="event.preventDefault(); event.stopPropagation()">' +
+    '<span class="plot-detail-label">Correct classification</span>' +
+    '<div class="correction-fields">' + rows + '</div>' +
+    '<div class="correction-actions">' +
+      '<input type="text" class="correction-note" placeholder="Note (optional)" maxlength="500">' +
+      '<button type="button" onclick="saveCorrections(\'' + escapeHtml(listing.id) + '\')">Save</button>' +
+      '<span class="correction-status"></span>' +
+    '</div>' +
+  '</div>';
+}
+
+// Replace a card after a correction, keeping its details panel open
+function refreshCorrectedCard(listingId, corrected) {
+  var listing = listings.find(function(l) { return String(l.id) === String(listingId); });
+  if (!listing) return;
+  Object.keys(CORRECTION_FIELDS).forEach(function(field) {
+    if (field in corrected) listing[field] = corrected[field];
+  });
+  listing.overrides = Object.keys(corrected.overrides || {}).length > 0 ? corrected.overrides : undefined;
+
+  var card = document.getElementById('listing-card-' + listingId);
+  if (!card) return;
+  card.outerHTML = renderListingCard(listing);
+  var toggle = document.querySelector('#listing-card-' + listingId + ' .plot-details-toggle');
+  if (toggle) togglePlotDetails('plot-details-' + listingId, toggle);
+}
+
+async function saveCorrections(listingId) {
+  var form = document.getElementById('correct-' + listingId);
+  if (!form) return;
+  var status = form.querySelector('.correction-status');
+  var body = {};
+  form.querySelectorAll('select[data-field]').forEach(function(select) {
+    if (select.value !== select.getAttribute('data-current')) {
+      body[select.getAttribute('data-field')] = parseCorrectionValue(select.getAttribute('data-field'), select.value);
+    }
+  });
+  if (Object.keys(body).length === 0) {
+    status.textContent = 'Nothing changed';
+    return;
+  }
+  var note = form.querySelector('.correction-note').value.trim();
+  if (note) body.note = note;
+
+  status.textContent = 'Saving...';
+  try {
+    var resp = await fetch('/api/listings/' + encodeURIComponent(listingId), {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    var data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || 'Save failed');
+    refreshCorrectedCard(listingId, data);
+  } catch (err) {
+    status.textContent = err.message;
+  }
+}
+
+async function undoCorrection(listingId, field) {
+  try {
+    var resp = await fetch('/api/listings/' + encodeURIComponent(listingId) + '/overrides/' + field, { method: 'DELETE' });
+    var data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || 'Undo failed');
+    refreshCorrectedCard(listingId, data);
+  } catch (err) {
+    console.error('Undo correction failed:', err);
+  }
+}
+
+// --- SAVED SEARCHES ---
+var savedSearches = [];
+
+async function loadSavedSearches() {
+  try {
+    var resp = await fetch('/api/saved-searches');
+    savedSearches = await resp.json();
+    renderSavedSearches();
+  } catch (e) {
+    // ignore
+  }
+}
+
+function renderSavedSearches() {
+  var list = document.getElementById('saved-search-list');
+  if (!list) return;
+  list.innerHTML = savedSearches.map(function(s) {
+    return '<div class="saved-search-item" onclick="applySavedSearch(' + s.id + ')" title="' + escapeHtml(s.params || 'No filters') + '">' +
+      '<span class="saved-search-name">' + escapeHtml(s.name) + '</span>' +
+      (s.new_count > 0 ? '<span class="saved-search-new">' + s.new_count + ' new</span>' : '<span class="count">' + s.match_count + '</span>') +
+      '<a class="saved-search-rss" href="/api/saved-searches/' + s.id + '/rss" target="_blank" rel="noopener" onclick="event.stopPropagation()" title="RSS feed">RSS</a>' +
+      '<button class="saved-search-delete" onclick="event.stopPropagation(); deleteSavedSearch(' + s.id + ')" title="Delete">&times;</button>' +
+      '</div>';
+  }).join('');
+}
+
+async function saveCurrentSearch() {
+  var nameEl = document.getElementById('saved-search-name');
+  var notifyEl = document.getElementById('saved-search-notify');
+  var status = document.getElementById('saved-search-status');
+  var name = nameEl.value.trim();
+  var notify = notifyEl.value.trim();
+
+  if (!name) {
+    status.className = 'saved-search-status error';
+    status.textContent = 'Give the search a name first';
+    return;
+  }
+
+  var body = { name: name, params: buildFilterParams() };
+  if (/^https?:\/\//.test(notify)) body.webhook_url = notify;
+  else if (notify) body.email = notify;
+
+  try {
+    var resp = await fetch('/api/saved-searches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!resp.ok) {
+      var err = await resp.json().catch(function() { return {}; });
+      throw new Error(err.error || 'Could not save search');
+    }
+    nameEl.value = '';
+    notifyEl.value = '';
+    status.className = 'saved-search-status';
+    status.textContent = '';
+    await loadSavedSearches();
+  } catch (err) {
+    status.className = 'saved-search-status error';
+    status.textContent = err.message;
+  }
+}
+
+async function applySavedSearch(id) {
+  var search = savedSearches.find(function(s) { return s.id === id; });
+  if (!search) return;
+
+  var q = new URLSearchParams(search.params);
+  var params = {};
+  q.forEach(function(value, key) { params[key] = value; });
+
+  resetDrawArea();
+  restoreArea(q);
+  resetPin();
+  restorePin(q);
+  document.getElementById('filter-include-removed').checked = params.include_removed === '1';
+  applySmartFilters(params);
+
+  try {
+    await fetch('/api/saved-searches/' + id + '/viewed', { method: 'POST' });
+  } catch (e) {}
+  loadSavedSearches();
+}
+
+async function deleteSavedSearch(id) {
+  var search = savedSearches.find(function(s) { return s.id === id; });
+  if (!search || !confirm('Delete saved search "' + search.name + '"?')) return;
+  try {
+    await fetch('/api/saved-searches/' + id, { method: 'DELETE' });
+  } catch (e) {}
+  loadSavedSearches();
 }
 
 // --- SMART SEARCH ---
@@ -888,10 +2121,17 @@ async function runSmartSearch() {
   status.textContent = 'Interpreting your search...';
 
   try {
+    // Follow-ups refine the filters on screen instead of starting over
+    var refining = smartSearchHistory.length > 0;
+    var body = { query: query };
+    if (refining) {
+      body.current_filters = currentSmartFilters();
+      body.history = smartSearchHistory;
+    }
     var resp = await fetch('/api/smart-search', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query: query }),
+      body: JSON.stringify(body),
     });
 
     if (!resp.ok) {
@@ -902,16 +2142,24 @@ async function runSmartSearch() {
     var data = await resp.json();
     var filters = data.filters;
 
-    if (!filters || Object.keys(filters).length === 0) {
+    if (!filters || Object.keys(filters).length === 0 || (data.diff && !hasFilterChanges(data.diff))) {
       status.className = 'smart-search-status error';
-      status.textContent = 'Could not understand the query. Try being more specific.';
+      status.textContent = refining
+        ? 'Nothing to change. Try e.g. "now only freehold", or start a new search.'
+        : 'Could not understand the query. Try being more specific.';
       btn.disabled = false;
       return;
     }
 
     applySmartFilters(filters);
+    lastSmartSearch = { logId: data.log_id, query: query, filters: JSON.stringify(currentSmartFilters()) };
+    smartSearchHistory.push(query);
+    if (smartSearchHistory.length > SMART_SEARCH_HISTORY_SIZE) smartSearchHistory.shift();
+    input.value = '';
+    updateSmartSearchSession();
     status.className = 'smart-search-status success';
-    status.textContent = buildStatusSummary(filters);
+    status.textContent = buildStatusSummary(filters, data.diff) +
+      (data.fallback ? ' (AI unavailable, used offline parser)' : '');
   } catch (err) {
     status.className = 'smart-search-status error';
     status.textContent = err.message || 'Search failed';
@@ -920,7 +2168,85 @@ async function runSmartSearch() {
   btn.disabled = false;
 }
 
+var SMART_SEARCH_HISTORY_SIZE = 5;
+var SMART_SEARCH_PLACEHOLDER = 'e.g. "cheap house in Oslo" or "tax-free plot in Asker"';
+var SMART_SEARCH_REFINE_PLACEHOLDER = 'Refine, e.g. "now only freehold" or "any price"';
+
+// Filters on screen in the form the smart-search endpoint returns them.
+// The URL leaves out category=all, but setFilterInputs would read that as homes.
+function currentSmartFilters() {
+  var filters = {};
+  new URLSearchParams(buildFilterParams()).forEach(function(value, key) { filters[key] = value; });
+  if (!filters.category) filters.category = 'all';
+  return filters;
+}
+
+function hasFilterChanges(diff) {
+  return Object.keys(diff.added).length + Object.keys(diff.changed).length + Object.keys(diff.removed).length > 0;
+}
+
+function updateSmartSearchSession() {
+  var refining = smartSearchHistory.length > 0;
+  document.getElementById('smart-search-input').placeholder = refining ? SMART_SEARCH_REFINE_PLACEHOLDER : SMART_SEARCH_PLACEHOLDER;
+  document.getElementById('smart-search-new').style.display = refining ? '' : 'none';
+  document.getElementById('smart-search-flag').style.display = lastSmartSearch && lastSmartSearch.logId ? '' : 'none';
+}
+
+function resetSmartSearchSession() {
+  smartSearchHistory = [];
+  lastSmartSearch = null;
+  updateSmartSearchSession();
+}
+
+// Report the last interpretation as wrong. Filters corrected by hand since
+// then are sent as the expected result for the prompt's regression cases.
+async function flagSmartSearch() {
+  if (!lastSmartSearch) return;
+  var note = prompt('What should "' + lastSmartSearch.query + '" have found? Tip: correct the filters first, they are saved with the report.');
+  if (note === null) return;
+
+  var status = document.getElementById('smart-search-status');
+  var body = { note: note };
+  var corrected = currentSmartFilters();
+  if (JSON.stringify(corrected) !== lastSmartSearch.filters) body.expected_filters = corrected;
+
+  try {
+    var resp = await fetch('/api/smart-search/log/' + lastSmartSearch.logId + '/flag', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!resp.ok) {
+      var err = await resp.json().catch(function() { return {}; });
+      throw new Error(err.error || 'Could not report the search');
+    }
+    lastSmartSearch = null;
+    updateSmartSearchSession();
+    status.className = 'smart-search-status success';
+    status.textContent = 'Thanks, the search was reported for review';
+  } catch (err) {
+    status.className = 'smart-search-status error';
+    status.textContent = err.message;
+  }
+}
+
+// Next query starts from scratch; the filters stay until it runs
+function startNewSmartSearch() {
+  resetSmartSearchSession();
+  var status = document.getElementById('smart-search-status');
+  status.className = 'smart-search-status';
+  status.textContent = '';
+  document.getElementById('smart-search-input').focus();
+}
+
 function applySmartFilters(params) {
+  setFilterInputs(params);
+  // Show/hide plot-specific filters and trigger search
+  onCategoryChange();
+}
+
+// Reset the sidebar inputs to defaults, then fill in the given filter params (prices in NOK)
+function setFilterInputs(params) {
   // Reset all filters to defaults
   document.getElementById('filter-municipality').value = '';
   document.getElementById('filter-min-price').value = '';
@@ -935,10 +2261,15 @@ function applySmartFilters(params) {
   document.getElementById('filter-developed').value = '';
   document.getElementById('filter-obligation').value = 'all';
   document.getElementById('filter-ownership').value = '';
+  document.getElementById('filter-winter-access').value = '';
+  document.getElementById('filter-concession').value = '';
+  document.getElementById('filter-water-supply').value = '';
+  document.getElementById('filter-sewer').value = '';
+  document.getElementById('filter-max-municipal-fees').value = '';
   var noFees = document.getElementById('filter-no-fees');
   if (noFees) noFees.checked = false;
-  var taxFreeReset = document.getElementById('filter-tax-free');
-  if (taxFreeReset) taxFreeReset.checked = false;
+  document.getElementById('filter-max-tax-rate').value = '';
+  resetDriveFilter();
 
   // Apply returned params
   smartSearchMunicipalities = ''; // reset
@@ -988,20 +2319,131 @@ function applySmartFilters(params) {
   if (params.plot_owned) {
     document.getElementById('filter-ownership').value = params.plot_owned;
   }
-  if (params.tax_free === '1') {
-    var tf = document.getElementById('filter-tax-free');
-    if (tf) tf.checked = true;
+  if (params.winter_access) {
+    document.getElementById('filter-winter-access').value = params.winter_access;
+  }
+  if (params.concession) {
+    document.getElementById('filter-concession').value = params.concession;
+  }
+  if (params.water_supply) {
+    document.getElementById('filter-water-supply').value = params.water_supply;
+  }
+  if (params.sewer) {
+    document.getElementById('filter-sewer').value = params.sewer;
+  }
+  if (params.max_municipal_fees) {
+    var maxFees = Number(params.max_municipal_fees);
+    if (currency === 'EUR' && eurRate) maxFees = Math.round(maxFees * eurRate);
+    document.getElementById('filter-max-municipal-fees').value = maxFees;
+  }
+  // tax_free=1 comes from links shared before the rate filter existed
+  var maxTax = params.max_tax_rate !== undefined ? String(params.max_tax_rate) : params.tax_free === '1' ? '0' : '';
+  if (!taxRatesKnown && Number(maxTax) > 0) maxTax = '';
+  var taxRateEl = document.getElementById('filter-max-tax-rate');
+  if (maxTax !== '' && !taxRateEl.querySelector('option[value="' + maxTax + '"]')) {
+    var customOpt = document.createElement('option');
+    customOpt.value = maxTax;
+    customOpt.textContent = 'Up to ' + maxTax + '\u2030';
+    taxRateEl.appendChild(customOpt);
   }
+  taxRateEl.value = maxTax;
+  if (params.max_drive_minutes) {
+    var fromEl = document.getElementById('filter-drive-from');
+    var from = String(params.from || '').toLowerCase();
+    for (var i = 0; i < fromEl.options.length; i++) {
+      var hubOpt = fromEl.options[i];
+      if (hubOpt.value === from || hubOpt.textContent.toLowerCase() === 'from ' + from) fromEl.value = hubOpt.value;
+    }
+    setDriveOption('filter-min-drive', params.min_drive_minutes, 'From ');
+    setDriveOption('filter-max-drive', params.max_drive_minutes, '');
+  }
+}
 
-  // Show/hide plot-specific filters and trigger search
-  onCategoryChange();
+function resetDriveFilter() {
+  var fromEl = document.getElementById('filter-drive-from');
+  if (fromEl.options.length > 0) fromEl.selectedIndex = 0;
+  document.getElementById('filter-min-drive').value = '';
+  document.getElementById('filter-max-drive').value = '';
+}
+
+// Select a minutes value, adding an option for values the list doesn't offer
+function setDriveOption(id, minutes, prefix) {
+  var el = document.getElementById(id);
+  var value = minutes !== undefined && minutes !== null && minutes !== '' ? String(Number(minutes)) : '';
+  if (value !== '' && !el.querySelector('option[value="' + value + '"]')) {
+    var opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = prefix + formatDriveMinutes(value);
+    el.appendChild(opt);
+  }
+  el.value = value;
+}
+
+// Summary of the given filters. With a diff (a refinement), what changed
+// comes first: "Added freehold, under 3M kr → under 4M kr. Now: ..."
+function buildStatusSummary(params, diff) {
+  var parts = filterSummaryParts(params);
+  var summary = parts.length > 0 ? parts.join(', ') : 'Filters applied';
+  if (!diff) return summary;
+
+  var changes = describeFilterDiff(params, diff);
+  if (changes.length === 0) return summary;
+  var text = changes.join(', ');
+  return text.charAt(0).toUpperCase() + text.slice(1) + '. Now: ' + summary;
+}
+
+// Keys described together: a drive zone reads "1h–3h from Oslo"
+var FILTER_DIFF_GROUPS = [['from', 'min_drive_minutes', 'max_drive_minutes'], ['min_price'], ['max_price']];
+
+function describeFilterDiff(after, diff) {
+  var before = {};
+  Object.keys(after).forEach(function(key) { if (!(key in diff.added)) before[key] = after[key]; });
+  Object.keys(diff.removed).forEach(function(key) { before[key] = diff.removed[key]; });
+  Object.keys(diff.changed).forEach(function(key) { before[key] = diff.changed[key].from; });
+
+  var keys = Object.keys(diff.added).concat(Object.keys(diff.changed), Object.keys(diff.removed));
+  var groups = [];
+  keys.forEach(function(key) {
+    var group = FILTER_DIFF_GROUPS.find(function(g) { return g.indexOf(key) >= 0; }) || [key];
+    if (!groups.some(function(g) { return g[0] === group[0]; })) groups.push(group);
+  });
+
+  return groups.map(function(group) {
+    var was = describeFilters(pickFilters(before, group));
+    var now = describeFilters(pickFilters(after, group));
+    if (was && now) return was + ' \u2192 ' + now;
+    if (now) return 'added ' + now;
+    return 'removed ' + was;
+  });
+}
+
+function pickFilters(params, keys) {
+  var picked = {};
+  keys.forEach(function(key) { if (key in params) picked[key] = params[key]; });
+  return picked;
+}
+
+// Summary text of a few filters, falling back to "key value" for filters the summary leaves out
+function describeFilters(params) {
+  var keys = Object.keys(params);
+  if (keys.length === 0) return '';
+  var parts = filterSummaryParts(params);
+  if (parts.length === 0) {
+    parts = keys.map(function(key) {
+      if (key === 'sort' && params[key] === 'newest') return 'newest first';
+      return key.replace(/_/g, ' ') + ' ' + params[key];
+    });
+  }
+  return parts.join(', ');
 }
 
-function buildStatusSummary(params) {
+function filterSummaryParts(params) {
   var parts = [];
 
   if (params.category === 'tomt') parts.push('Plots');
   else if (params.category === 'home') parts.push('Homes');
+  else if (params.category === 'cabin') parts.push('Cabins');
+  else if (params.category === 'farm') parts.push('Farms');
   else if (params.category === 'all') parts.push('All listings');
 
   if (params.municipality) {
@@ -1015,6 +2457,17 @@ function buildStatusSummary(params) {
     }
   }
 
+  if (params.max_drive_minutes) {
+    var hubEl = document.getElementById('filter-drive-from');
+    var hubOpt = params.from ? hubEl.querySelector('option[value="' + params.from + '"]') : hubEl.options[0];
+    var hubName = hubOpt ? hubOpt.textContent.replace(/^From /, '') : String(params.from || '');
+    if (Number(params.min_drive_minutes) > 0) {
+      parts.push(formatDriveMinutes(params.min_drive_minutes) + '\u2013' + formatDriveMinutes(params.max_drive_minutes) + ' from ' + hubName);
+    } else {
+      parts.push('within ' + formatDriveMinutes(params.max_drive_minutes) + ' of ' + hubName);
+    }
+  }
+
   if (params.max_price) {
     var p = Number(params.max_price);
     if (p >= 1000000) parts.push('under ' + (p / 1000000) + 'M kr');
@@ -1027,18 +2480,34 @@ function buildStatusSummary(params) {
   }
   if (params.min_area) parts.push(params.min_area + '+ m\u00b2');
   if (params.property_type) parts.push(params.property_type);
+  if (params.developed === '1') parts.push('serviced');
+  if (params.developed === '0') parts.push('unserviced');
   if (params.building_obligation === 'none') parts.push('no obligation');
   if (params.plot_owned === 'selveier') parts.push('freehold');
   if (params.plot_owned === 'tomtefeste') parts.push('leasehold');
+  if (params.winter_access === '1') parts.push('winter road');
+  if (params.winter_access === '0') parts.push('no winter road');
+  if (params.concession === 'free') parts.push('konsesjonsfri');
+  if (params.concession === 'required') parts.push('konsesjon required');
+  if (params.water_supply === 'public') parts.push('public water');
+  if (params.water_supply === 'private') parts.push('private water');
+  if (params.water_supply === 'none') parts.push('no water connected');
+  if (params.sewer === 'public') parts.push('public sewer');
+  if (params.sewer === 'septic') parts.push('septic sewer');
+  if (params.sewer === 'none') parts.push('no sewer connected');
+  if (params.max_municipal_fees) parts.push('municipal fees under ' + Number(params.max_municipal_fees).toLocaleString('nb-NO') + ' kr/yr');
   if (params.no_fees === '1') parts.push('no fees');
-  if (params.tax_free === '1') parts.push('tax-free only');
+  var taxLimit = params.max_tax_rate !== undefined ? Number(params.max_tax_rate) : params.tax_free === '1' ? 0 : null;
+  if (taxLimit === 0) parts.push('tax-free only');
+  else if (taxLimit !== null && isFinite(taxLimit)) parts.push('tax \u2264 ' + taxLimit + '\u2030');
   if (params.new_only === '1') parts.push('new only');
   if (params.sort === 'price_asc') parts.push('cheapest first');
   if (params.sort === 'price_desc') parts.push('most expensive first');
   if (params.sort === 'area_desc') parts.push('largest first');
   if (params.sort === 'area_asc') parts.push('smallest first');
+  if (params.sort === 'cost_asc') parts.push('cheapest to own first');
 
-  return parts.length > 0 ? parts.join(', ') : 'Filters applied';
+  return parts;
 }
 
 // --- MAP HOVER ---
@@ -1139,9 +2608,16 @@ function updateFilterCount() {
   if (document.getElementById('filter-developed').value !== '') count++;
   if (document.getElementById('filter-obligation').value !== 'all') count++;
   if (document.getElementById('filter-ownership').value !== '') count++;
+  if (document.getElementById('filter-winter-access').value !== '') count++;
+  if (document.getElementById('filter-concession').value !== '') count++;
+  if (document.getElementById('filter-water-supply').value !== '') count++;
+  if (document.getElementById('filter-sewer').value !== '') count++;
+  if (document.getElementById('filter-max-municipal-fees').value !== '') count++;
   if (document.getElementById('filter-sort').value !== 'newest') count++;
-  var taxFreeEl2 = document.getElementById('filter-tax-free');
-  if (taxFreeEl2 && taxFreeEl2.checked) count++;
+  if (document.getElementById('filter-max-tax-rate').value !== '') count++;
+  if (document.getElementById('filter-max-drive').value !== '') count++;
+  if (pinPoint && document.getElementById('pin-radius').value !== '') count++;
+  if (document.getElementById('filter-include-removed').checked) count++;
 
   var btn = document.getElementById('btn-clear');
   if (!btn) return;
@@ -0,0 +1,39 @@
+const defaultSleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Token-bucket rate limiter shared by concurrent callers.
+ * Holds up to `burst` tokens, refilled at `ratePerSecond`; take() resolves
+ * once a token is available, in the order callers asked for one.
+ * `now` and `sleep` can be swapped for a fake clock in tests.
+ */
+function createTokenBucket({ ratePerSecond, burst = 1, now = Date.now, sleep = defaultSleep }) {
+  let tokens = burst;
+  let lastRefill = now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const current = now();
+    tokens = Math.min(burst, tokens + ((current - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = current;
+  }
+
+  async function waitForToken() {
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  // Chain waiters so tokens are handed out first-come, first-served
+  function take() {
+    const turn = queue.then(waitForToken);
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  return { take };
+}
+
+module.exports = { createTokenBucket };
@@ -3,7 +3,19 @@ const express = require('express');
 const path = require('path');
 const cron = require('node-cron');
 const Database = require('better-sqlite3');
-const { fetchListingsForMunicipality, fetchPlotsForMunicipality } = require('./scraper');
+const { fetchMunicipalityListings, createScrapeMetrics, detectDegradation, addressKey } = require('./scraper');
+const { getEnabledSources } = require('./sources');
+const { groupDuplicates } = require('./dedupe');
+const {
+  getSimplifiedBoundaries, toleranceForZoom, pointInArea, parseAreaParam, kommunePolygons, polygonsBbox,
+  haversineKm, parseNearParams, radiusBbox,
+} = require('./geo');
+const { deliverSavedSearchAlert, buildRssFeed } = require('./notify');
+const { ownershipCost, parseMortgage, housingTaxRate } = require('./costs');
+const { parseUtilityDetails } = require('./utilities');
+const { smartSearch, sanitizeFilters, normaliseQuery } = require('./smartsearch');
+const { validateOverrides, createListingStore } = require('./store');
+const { loadTravelTimes, travelHubs, findHub, municipalitiesWithinDrive } = require('./traveltimes');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
@@ -28,7 +40,7 @@ db.exec(`
     bedrooms INTEGER,
     property_type TEXT,
     image_url TEXT,
-    finn_url TEXT NOT NULL,
+    url TEXT NOT NULL,
     latitude REAL,
     longitude REAL,
     shared_cost INTEGER DEFAULT 0,
@@ -93,10 +105,301 @@ try {
   db.exec("ALTER TABLE listings ADD COLUMN has_property_tax INTEGER DEFAULT 0");
 }
 
+// Migration: archive state — stale listings are marked removed instead of deleted
+try {
+  db.prepare("SELECT status FROM listings LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE listings ADD COLUMN status TEXT DEFAULT 'active'");
+  db.exec("ALTER TABLE listings ADD COLUMN removed_at TEXT DEFAULT NULL");
+}
+
+// Migration: listing sources — finn_url becomes the source-neutral url, and
+// address_key/duplicate_of link the same property listed on several sources
+try {
+  db.prepare("SELECT url FROM listings LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE listings RENAME COLUMN finn_url TO url");
+}
+try {
+  db.prepare("SELECT source FROM listings LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE listings ADD COLUMN source TEXT DEFAULT 'finn'");
+  db.exec("ALTER TABLE listings ADD COLUMN address_key TEXT DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN duplicate_of TEXT DEFAULT NULL");
+  const setKey = db.prepare('UPDATE listings SET address_key = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const row of db.prepare('SELECT id, address FROM listings').all()) {
+      setKey.run(addressKey(row.address), row.id);
+    }
+  })();
+}
+
+// Migration: duplicate groups — group_id is the canonical listing of a group of
+// likely duplicates, group_first_seen the earliest first_seen among them
+let backfillDuplicateGroups = false;
+try {
+  db.prepare("SELECT group_id FROM listings LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE listings ADD COLUMN group_id TEXT DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN group_first_seen TEXT DEFAULT NULL");
+  backfillDuplicateGroups = true;
+}
+
+// Migration: cabin and farm details (winter road access, konsesjon status)
+try {
+  db.prepare("SELECT winter_access FROM listings LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE listings ADD COLUMN winter_access INTEGER DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN winter_access_text TEXT DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN concession TEXT DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN concession_text TEXT DEFAULT NULL");
+}
+
+// Migration: structured fees and water/sewer, backfilled from the stored detail texts
+try {
+  db.prepare("SELECT municipal_fees FROM listings LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE listings ADD COLUMN municipal_fees INTEGER DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN road_fees INTEGER DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN connection_fees INTEGER DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN water_supply TEXT DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN sewer TEXT DEFAULT NULL");
+  const setUtilities = db.prepare(`
+    UPDATE listings SET municipal_fees = ?, road_fees = ?, connection_fees = ?, water_supply = ?, sewer = ? WHERE id = ?
+  `);
+  db.transaction(() => {
+    const rows = db.prepare(`
+      SELECT id, yearly_costs_text, utilities, facilities FROM listings
+      WHERE yearly_costs_text IS NOT NULL OR utilities IS NOT NULL OR facilities IS NOT NULL
+    `).all();
+    for (const row of rows) {
+      const u = parseUtilityDetails({ yearlyCostsText: row.yearly_costs_text, utilities: row.utilities, facilities: row.facilities });
+      setUtilities.run(u.municipalFees, u.roadFees, u.connectionFees, u.waterSupply, u.sewer, row.id);
+    }
+  })();
+}
+
+// Migration: building obligation confidence and all matched evidence (JSON array)
+try {
+  db.prepare("SELECT building_obligation_confidence FROM listings LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE listings ADD COLUMN building_obligation_confidence REAL DEFAULT NULL");
+  db.exec("ALTER TABLE listings ADD COLUMN building_obligation_evidence TEXT DEFAULT NULL");
+}
+
+// Migration: update_log records whether a run was a full sweep or incremental
+try {
+  db.prepare("SELECT mode FROM update_log LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE update_log ADD COLUMN mode TEXT DEFAULT 'full'");
+}
+
+// Scrape runs: per-run health metrics; update_log rows point at their run
+db.exec(`
+  CREATE TABLE IF NOT EXISTS scrape_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT DEFAULT (datetime('now')),
+    finished_at TEXT,
+    municipalities_ok INTEGER DEFAULT 0,
+    municipalities_failed INTEGER DEFAULT 0,
+    pages_fetched INTEGER DEFAULT 0,
+    decode_failures INTEGER DEFAULT 0,
+    docs_total INTEGER DEFAULT 0,
+    detail_fetched INTEGER DEFAULT 0,
+    detail_failures INTEGER DEFAULT 0,
+    degraded INTEGER DEFAULT 0,
+    degraded_reason TEXT
+  );
+`);
+try {
+  db.prepare("SELECT run_id FROM update_log LIMIT 1").get();
+} catch (e) {
+  db.exec("ALTER TABLE update_log ADD COLUMN run_id INTEGER DEFAULT NULL");
+}
+
+// Price history: one row per observed asking price change
+const hadPriceHistory = !!db.prepare(
+  "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'price_history'"
+).get();
+db.exec(`
+  CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    listing_id TEXT NOT NULL,
+    price INTEGER NOT NULL,
+    observed_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_price_history_listing ON price_history(listing_id, observed_at);
+`);
+
+// Migration: seed history for listings scraped before price tracking existed.
+// Runs only when the table is first created; the upsert records prices after that.
+if (!hadPriceHistory) {
+  db.exec(`
+    INSERT INTO price_history (listing_id, price, observed_at)
+    SELECT id, price, first_seen FROM listings WHERE price IS NOT NULL
+  `);
+}
+
+// Saved searches: a filter query string plus the listings it has matched so far
+db.exec(`
+  CREATE TABLE IF NOT EXISTS saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    params TEXT NOT NULL DEFAULT '',
+    email TEXT,
+    webhook_url TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_viewed_at TEXT DEFAULT (datetime('now')),
+    last_checked_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS saved_search_matches (
+    search_id INTEGER NOT NULL,
+    listing_id TEXT NOT NULL,
+    matched_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (search_id, listing_id)
+  );
+`);
+
+// Manual corrections of classified attributes. value and scraped_value are
+// JSON; scraped_value is the latest scraped value, restored when the
+// correction is removed.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS listing_overrides (
+    listing_id TEXT NOT NULL,
+    field TEXT NOT NULL,
+    value TEXT,
+    scraped_value TEXT,
+    note TEXT,
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (listing_id, field)
+  );
+`);
+
+const {
+  attachOverrides, getCorrectedListing, saveOverrides, removeOverride, getKnownListings, upsertListings,
+} = createListingStore(db);
+
+// Smart search: LLM answers cached by query, and a log of every query.
+// Flagged log entries, with the filters the query should have given, are
+// the regression cases for the prompt.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS smart_search_cache (
+    key TEXT PRIMARY KEY,
+    changes TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS smart_search_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    query TEXT NOT NULL,
+    normalised_query TEXT NOT NULL,
+    current_filters TEXT,
+    filters TEXT,
+    provider TEXT,
+    fallback INTEGER DEFAULT 0,
+    cached INTEGER DEFAULT 0,
+    latency_ms INTEGER,
+    result_count INTEGER,
+    error TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    flagged_at TEXT,
+    flag_note TEXT,
+    expected_filters TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_smart_search_log_flagged ON smart_search_log(flagged_at);
+`);
+
 db.exec("CREATE INDEX IF NOT EXISTS idx_listings_category ON listings(category)");
 db.exec("CREATE INDEX IF NOT EXISTS idx_listings_obligation ON listings(building_obligation)");
 db.exec("CREATE INDEX IF NOT EXISTS idx_listings_plot_owned ON listings(plot_owned)");
 db.exec("CREATE INDEX IF NOT EXISTS idx_listings_tax ON listings(has_property_tax)");
+db.exec("CREATE INDEX IF NOT EXISTS idx_listings_status ON listings(status)");
+db.exec("CREATE INDEX IF NOT EXISTS idx_listings_address_key ON listings(municipality_code, address_key)");
+db.exec("CREATE INDEX IF NOT EXISTS idx_listings_duplicate_of ON listings(duplicate_of)");
+db.exec("CREATE INDEX IF NOT EXISTS idx_listings_group_id ON listings(group_id)");
+
+// Municipality data (property tax rates) for the cost-of-ownership model
+const municipalitiesByCode = new Map(require('./data/municipalities.json').map(m => [m.code, m]));
+
+// Keep has_property_tax in step with the dataset after a tax rate import, so
+// stored listings don't wait for the next scrape of their municipality
+{
+  const setTax = db.prepare('UPDATE listings SET has_property_tax = ? WHERE municipality_code = ? AND has_property_tax IS NOT ?');
+  db.transaction(() => {
+    for (const muni of municipalitiesByCode.values()) {
+      const hasTax = housingTaxRate(muni) !== 0 ? 1 : 0;
+      setTax.run(hasTax, muni.code, hasTax);
+    }
+  })();
+}
+
+/**
+ * Codes of municipalities whose eiendomsskatt on homes is at most maxRate ‰.
+ * Municipalities taxing homes at an unknown rate never match.
+ */
+function municipalitiesWithTaxAtMost(maxRate) {
+  const codes = [];
+  for (const muni of municipalitiesByCode.values()) {
+    const rate = housingTaxRate(muni);
+    if (rate !== null && rate <= maxRate) codes.push(muni.code);
+  }
+  return codes;
+}
+
+// Yearly cost of ownership for sorting; mortgage settings are passed as literals
+db.function('ownership_cost', { deterministic: true }, (price, sharedCost, municipalFees, roadFees, taxValue, municipalityCode, rate, equity, years) => {
+  const cost = ownershipCost(
+    { price, shared_cost: sharedCost, municipal_fees: municipalFees, road_fees: roadFees, tax_value: taxValue },
+    municipalitiesByCode.get(municipalityCode),
+    { rate, equity, years }
+  );
+  return cost ? cost.yearly : null;
+});
+
+// Straight-line distance from a listing to a dropped pin (near_lat / near_lon)
+db.function('distance_km', { deterministic: true }, (lat, lon, nearLat, nearLon) => {
+  if (lat === null || lon === null) return null;
+  return haversineKm({ lat, lon }, { lat: nearLat, lon: nearLon });
+});
+
+// Area selection (drawn polygons / selected kommuner): parsed polygons are cached
+// per query key so the in_area() SQL function stays cheap when evaluated per row
+const areaCache = new Map();
+
+// Not deterministic: the result depends on areaCache, not only on the arguments
+db.function('in_area', (lat, lon, key) => {
+  const area = areaCache.get(key);
+  if (!area || lat === null || lon === null) return 0;
+  return pointInArea(lon, lat, area.polygons) ? 1 : 0;
+});
+
+/**
+ * Build the SQL clause for `area` / `area_kommune` query params, or null if unset
+ */
+function areaFilter(query) {
+  const area = typeof query.area === 'string' ? query.area : '';
+  const kommuner = typeof query.area_kommune === 'string' ? query.area_kommune : '';
+  if (!area && !kommuner) return null;
+
+  const key = `${area}#${kommuner}`;
+  if (!areaCache.has(key)) {
+    const codes = kommuner.split(',').map(c => c.trim()).filter(Boolean);
+    const polygons = [...parseAreaParam(area), ...kommunePolygons(codes)];
+    if (areaCache.size > 100) areaCache.clear();
+    areaCache.set(key, { polygons, bbox: polygonsBbox(polygons) });
+  }
+
+  const { polygons, bbox } = areaCache.get(key);
+  // Unparseable area: match nothing rather than silently ignoring the filter
+  if (polygons.length === 0) return { sql: ' AND 0', params: [] };
+  return {
+    sql: ' AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ? AND in_area(latitude, longitude, ?) = 1',
+    params: [bbox.south, bbox.north, bbox.west, bbox.east, key],
+  };
+}
 
 // Refresh status tracking
 let isRefreshing = false;
@@ -133,19 +436,47 @@ app.get('/api/municipalities', (req, res) => {
   res.json(municipalities);
 });
 
+// API: Hub cities for the travel time filter, and how the times were computed
+app.get('/api/travel-hubs', (req, res) => {
+  const { method, generatedAt, hubs } = loadTravelTimes();
+  res.json({ method, generated_at: generatedAt, hubs });
+});
+
+// API: Get kommune boundary polygons, simplified for the requested zoom level
+app.get('/api/municipality-boundaries', (req, res) => {
+  const zoom = Number(req.query.zoom);
+  const boundaries = getSimplifiedBoundaries(zoom);
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.set('X-Simplify-Tolerance', String(toleranceForZoom(zoom)));
+  res.json(boundaries);
+});
+
 // API: Get EUR exchange rate
 app.get('/api/exchange-rate', async (req, res) => {
   const rate = await getEurRate();
   res.json({ NOK_EUR: rate });
 });
 
-// API: Get listings with filters
-app.get('/api/listings', (req, res) => {
-  const { municipality, min_price, max_price, min_area, property_type, sort, new_only, category, developed, building_obligation, plot_owned } = req.query;
+/**
+ * Build the shared WHERE clause for listing filters (used by /api/listings,
+ * /api/listing-counts and saved-search evaluation). Returns { sql, params }
+ * where sql is a string of " AND ..." conditions.
+ */
+function buildListingFilters(query) {
+  const { municipality, min_price, max_price, min_area, property_type, new_only, category, developed, building_obligation, plot_owned } = query;
 
-  let sql = 'SELECT * FROM listings WHERE 1=1';
+  let sql = '';
   const params = [];
 
+  if (query.include_removed !== '1') {
+    sql += " AND status = 'active'";
+  }
+  // One listing by id, e.g. a map pin whose card is not on the loaded pages
+  if (typeof query.id === 'string' && query.id) {
+    sql += ' AND id = ?';
+    params.push(query.id);
+  }
+
   if (municipality) {
     const codes = municipality.split(',').map(c => c.trim()).filter(Boolean);
     if (codes.length === 1) {
@@ -175,7 +506,7 @@ app.get('/api/listings', (req, res) => {
   if (new_only === '1') {
     sql += ' AND is_new = 1';
   }
-  if (req.query.no_fees === '1') {
+  if (query.no_fees === '1') {
     sql += ' AND shared_cost = 0';
   }
   if (category && category !== 'all') {
@@ -191,87 +522,519 @@ app.get('/api/listings', (req, res) => {
     sql += ' AND building_obligation = ?';
     params.push(building_obligation);
   }
+  // Confidence (0-1) of the building obligation label; unclassified listings are
+  // left out, and a label corrected by hand always passes
+  if (query.min_confidence && !isNaN(Number(query.min_confidence))) {
+    sql += ` AND (building_obligation_confidence >= ? OR id IN
+      (SELECT listing_id FROM listing_overrides WHERE field = 'building_obligation'))`;
+    params.push(Number(query.min_confidence));
+  }
   if (plot_owned) {
     sql += ' AND plot_owned = ?';
     params.push(plot_owned);
   }
-  if (req.query.tax_free === '1') {
-    sql += ' AND has_property_tax = 0';
+  if (query.winter_access === '1' || query.winter_access === '0') {
+    sql += ' AND winter_access = ?';
+    params.push(Number(query.winter_access));
+  }
+  if (query.concession === 'free' || query.concession === 'required') {
+    sql += ' AND concession = ?';
+    params.push(query.concession);
+  }
+  // Structured fees (NOK); listings that don't state a fee are left out
+  for (const [param, column] of [['max_municipal_fees', 'municipal_fees'], ['max_road_fees', 'road_fees'], ['max_connection_fees', 'connection_fees']]) {
+    if (query[param] && !isNaN(Number(query[param]))) {
+      sql += ` AND ${column} <= ?`;
+      params.push(Number(query[param]));
+    }
+  }
+  if (['public', 'private', 'none'].includes(query.water_supply)) {
+    sql += ' AND water_supply = ?';
+    params.push(query.water_supply);
+  }
+  if (['public', 'septic', 'none'].includes(query.sewer)) {
+    sql += ' AND sewer = ?';
+    params.push(query.sewer);
+  }
+  // Property tax on homes at most max_tax_rate ‰; tax_free=1 is the same as 0
+  const maxTaxRate = query.max_tax_rate !== undefined && query.max_tax_rate !== ''
+    ? Number(query.max_tax_rate)
+    : query.tax_free === '1' ? 0 : NaN;
+  if (Number.isFinite(maxTaxRate)) {
+    const codes = municipalitiesWithTaxAtMost(maxTaxRate);
+    if (codes.length > 0) {
+      sql += ` AND municipality_code IN (${codes.map(() => '?').join(',')})`;
+      params.push(...codes);
+    } else {
+      sql += ' AND 0';
+    }
+  }
+  // Driving time from a hub city (code or name, default the first hub), by
+  // municipality: more than min_drive_minutes and at most max_drive_minutes
+  const maxDrive = Number(query.max_drive_minutes);
+  if (query.max_drive_minutes && Number.isFinite(maxDrive)) {
+    const hub = query.from ? findHub(query.from) : travelHubs()[0];
+    const codes = hub ? municipalitiesWithinDrive(hub.code, maxDrive, Number(query.min_drive_minutes) || 0) : [];
+    if (codes.length > 0) {
+      sql += ` AND municipality_code IN (${codes.map(() => '?').join(',')})`;
+      params.push(...codes);
+    } else {
+      sql += ' AND 0';
+    }
   }
   // Bounding box filter (map area selection)
-  const { north, south, east, west } = req.query;
+  const { north, south, east, west } = query;
   if (north && south && east && west) {
     sql += ' AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?';
     params.push(Number(south), Number(north), Number(west), Number(east));
   }
+  // Within radius_km of a dropped pin; the bounding box keeps it on the index
+  const near = parseNearParams(query);
+  if (near && near.radiusKm) {
+    const bbox = radiusBbox(near.lat, near.lon, near.radiusKm);
+    sql += ' AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ? AND distance_km(latitude, longitude, ?, ?) <= ?';
+    params.push(bbox.south, bbox.north, bbox.west, bbox.east, near.lat, near.lon, near.radiusKm);
+  }
+  const area = areaFilter(query);
+  if (area) {
+    sql += area.sql;
+    params.push(...area.params);
+  }
+
+  // Likely duplicates are collapsed into one listing per group: the canonical
+  // one, or the first matching duplicate when the canonical one is itself
+  // filtered out (e.g. a plot when searching homes). The filters run once, in
+  // the subquery, so SQL functions such as ownership_cost are not repeated.
+  if (query.include_duplicates !== '1') {
+    return {
+      sql: ` AND id IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (PARTITION BY COALESCE(group_id, id) ORDER BY duplicate_of IS NOT NULL, id) AS group_rank
+          FROM listings WHERE 1=1${sql}
+        ) WHERE group_rank = 1
+      )`,
+      params,
+    };
+  }
+
+  return { sql, params };
+}
+
+/**
+ * SQL for a listing's yearly cost of ownership under the request's mortgage
+ * settings. parseMortgage returns clamped numbers, so inlining them is safe.
+ */
+function ownershipCostExpr(query) {
+  const { rate, equity, years } = parseMortgage(query);
+  return `ownership_cost(price, shared_cost, municipal_fees, road_fees, tax_value, municipality_code, ${rate}, ${equity}, ${years})`;
+}
+
+/**
+ * SQL for a listing's distance in km from the request's pin. parseNearParams
+ * returns checked numbers, so inlining them is safe.
+ */
+function distanceExpr(query) {
+  const { lat, lon } = parseNearParams(query);
+  return `distance_km(latitude, longitude, ${lat}, ${lon})`;
+}
+
+// Sort options for /api/listings. Expressions map NULLs to the end so keyset
+// cursors can compare (sort value, id) tuples; id breaks ties. Function
+// expressions depend on the query (mortgage settings, pin location).
+const LISTING_SORTS = {
+  newest: { expr: 'first_seen', dir: 'DESC' },
+  price_asc: { expr: 'COALESCE(price, 1000000000000000)', dir: 'ASC' },
+  price_desc: { expr: 'COALESCE(price, -1)', dir: 'DESC' },
+  area_desc: { expr: 'COALESCE(area_m2, -1)', dir: 'DESC' },
+  area_asc: { expr: 'COALESCE(area_m2, 1000000000000000)', dir: 'ASC' },
+  cost_asc: { expr: q => `COALESCE(${ownershipCostExpr(q)}, 1000000000000000)`, dir: 'ASC' },
+  cost_desc: { expr: q => `COALESCE(${ownershipCostExpr(q)}, -1)`, dir: 'DESC' },
+  distance: { expr: q => `COALESCE(${distanceExpr(q)}, 1000000000000000)`, dir: 'ASC', needsPin: true },
+};
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+function encodeCursor(sortKey, id) {
+  return Buffer.from(JSON.stringify([sortKey, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(value) && value.length === 2 ? value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// API: Get listings with filters, paginated by keyset cursor (or limit/offset)
+app.get('/api/listings', (req, res) => {
+  const filters = buildListingFilters(req.query);
+  const near = parseNearParams(req.query);
+  let sort = LISTING_SORTS[req.query.sort] || LISTING_SORTS.newest;
+  // Distance sort without a pin has nothing to measure from
+  if (sort.needsPin && !near) sort = LISTING_SORTS.newest;
+  const sortExpr = typeof sort.expr === 'function' ? sort.expr(req.query) : sort.expr;
+  const mortgage = parseMortgage(req.query);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const totals = db.prepare(
+    'SELECT COUNT(*) as total, COALESCE(SUM(is_new), 0) as new_count FROM listings WHERE 1=1' + filters.sql
+  ).get(...filters.params);
+
+  // first_price / price_points feed the price-drop badge and sparkline on the card;
+  // GROUP_CONCAT's own ORDER BY keeps the points in observation order
+  let sql = `SELECT *,
+    (SELECT price FROM price_history WHERE listing_id = listings.id ORDER BY observed_at, id LIMIT 1) AS first_price,
+    (SELECT GROUP_CONCAT(price, ',' ORDER BY observed_at, id) FROM price_history WHERE listing_id = listings.id) AS price_points,
+    CAST(julianday(COALESCE(removed_at, datetime('now'))) - julianday(COALESCE(group_first_seen, first_seen)) AS INTEGER) AS days_on_market,
+    ${sortExpr} AS sort_key
+    FROM listings WHERE 1=1` + filters.sql;
+  const params = [...filters.params];
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const op = sort.dir === 'ASC' ? '>' : '<';
+    sql += ` AND (${sortExpr} ${op} ? OR (${sortExpr} = ? AND id ${op} ?))`;
+    params.push(cursor[0], cursor[0], cursor[1]);
+  }
 
-  switch (sort) {
-    case 'price_asc': sql += ' ORDER BY price ASC NULLS LAST'; break;
-    case 'price_desc': sql += ' ORDER BY price DESC NULLS LAST'; break;
-    case 'area_desc': sql += ' ORDER BY area_m2 DESC NULLS LAST'; break;
-    case 'area_asc': sql += ' ORDER BY area_m2 ASC NULLS LAST'; break;
-    case 'newest': sql += ' ORDER BY first_seen DESC'; break;
-    default: sql += ' ORDER BY first_seen DESC';
+  sql += ` ORDER BY ${sortExpr} ${sort.dir}, id ${sort.dir} LIMIT ?`;
+  params.push(limit + 1);
+  if (!req.query.cursor && offset > 0) {
+    sql += ' OFFSET ?';
+    params.push(offset);
   }
 
-  const listings = db.prepare(sql).all(...params);
-  res.json(listings);
+  const rows = db.prepare(sql).all(...params);
+  const hasMore = rows.length > limit;
+  const listings = rows.slice(0, limit);
+  const last = listings[listings.length - 1];
+  const nextCursor = hasMore && last ? encodeCursor(last.sort_key, last.id) : null;
+  for (const row of listings) {
+    delete row.sort_key;
+    row.building_obligation_evidence = row.building_obligation_evidence ? JSON.parse(row.building_obligation_evidence) : null;
+    row.ownership_cost = ownershipCost(row, municipalitiesByCode.get(row.municipality_code), mortgage);
+    if (near) {
+      row.distance_km = row.latitude !== null && row.longitude !== null
+        ? Math.round(haversineKm({ lat: row.latitude, lon: row.longitude }, near) * 10) / 10
+        : null;
+    }
+  }
+  attachDuplicates(listings);
+  attachOverrides(listings);
+
+  res.json({
+    total: totals.total,
+    new_count: totals.new_count,
+    limit,
+    offset: req.query.cursor ? null : offset,
+    next_cursor: nextCursor,
+    listings,
+  });
 });
 
+/**
+ * Add `duplicates` to each grouped listing: the other listings of its group,
+ * shown as "also listed as" on the card
+ */
+function attachDuplicates(listings) {
+  const groupIds = [...new Set(listings.map(l => l.group_id).filter(Boolean))];
+  if (groupIds.length === 0) return;
+
+  const members = db.prepare(`
+    SELECT id, group_id, source, category, title, price, url, status, first_seen
+    FROM listings WHERE group_id IN (${groupIds.map(() => '?').join(',')})
+    ORDER BY first_seen, id
+  `).all(...groupIds);
+
+  for (const listing of listings) {
+    if (!listing.group_id) continue;
+    listing.duplicates = members.filter(m => m.group_id === listing.group_id && m.id !== listing.id)
+      .map(({ group_id, ...m }) => m);
+  }
+}
+
 // API: Get listing counts grouped by municipality (lightweight alternative to fetching all listings)
 app.get('/api/listing-counts', (req, res) => {
-  const { min_price, max_price, min_area, property_type, sort, new_only, category, developed, building_obligation, plot_owned } = req.query;
+  const filters = buildListingFilters(req.query);
 
-  let sql = 'SELECT municipality_code, municipality_name, COUNT(*) as count FROM listings WHERE 1=1';
-  const params = [];
+  const sql = 'SELECT municipality_code, municipality_name, COUNT(*) as count FROM listings WHERE 1=1' +
+    filters.sql + ' GROUP BY municipality_code ORDER BY count DESC';
 
-  if (min_price && !isNaN(Number(min_price))) { sql += ' AND price >= ?'; params.push(Number(min_price)); }
-  if (max_price && !isNaN(Number(max_price))) { sql += ' AND price <= ?'; params.push(Number(max_price)); }
-  if (min_area && !isNaN(Number(min_area))) { sql += ' AND area_m2 >= ?'; params.push(Number(min_area)); }
-  if (property_type) { sql += ' AND property_type = ?'; params.push(property_type); }
-  if (new_only === '1') { sql += ' AND is_new = 1'; }
-  if (req.query.no_fees === '1') { sql += ' AND shared_cost = 0'; }
-  if (category && category !== 'all') { sql += ' AND category = ?'; params.push(category); }
-  if (developed === '1') { sql += ' AND is_developed = 1'; }
-  else if (developed === '0') { sql += ' AND is_developed = 0'; }
-  if (building_obligation && building_obligation !== 'all') { sql += ' AND building_obligation = ?'; params.push(building_obligation); }
-  if (plot_owned) { sql += ' AND plot_owned = ?'; params.push(plot_owned); }
-  if (req.query.tax_free === '1') { sql += ' AND has_property_tax = 0'; }
-  const { north, south, east, west } = req.query;
-  if (north && south && east && west) {
-    sql += ' AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?';
-    params.push(Number(south), Number(north), Number(west), Number(east));
+  const counts = db.prepare(sql).all(...filters.params);
+  res.json(counts);
+});
+
+// Listing pins are grouped into grid cells of ~CLUSTER_CELL_PX screen pixels
+// until CLUSTER_MAX_ZOOM, above which every listing gets its own pin
+const CLUSTER_CELL_PX = 60;
+const CLUSTER_MAX_ZOOM = 14;
+const MAX_MAP_PINS = 1000;
+const MAP_PIN_COLUMNS = 'id, source, title, price, price_text, address, area_m2, image_url, url, latitude, longitude, municipality_name, category, status';
+
+// API: Get listings in the map viewport, clustered for the zoom level
+app.get('/api/map-listings', (req, res) => {
+  const [south, west, north, east] = String(req.query.bbox || '').split(',').map(Number);
+  if (![south, west, north, east].every(Number.isFinite)) {
+    return res.status(400).json({ error: 'bbox must be south,west,north,east' });
   }
+  const zoom = Math.max(0, Math.min(Number(req.query.zoom) || 0, 22));
 
-  sql += ' GROUP BY municipality_code ORDER BY count DESC';
+  const filters = buildListingFilters(req.query);
+  const where = ' WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?' + filters.sql;
+  const params = [south, north, west, east, ...filters.params];
 
-  const counts = db.prepare(sql).all(...params);
-  res.json(counts);
+  if (zoom >= CLUSTER_MAX_ZOOM) {
+    const pins = db.prepare(`SELECT ${MAP_PIN_COLUMNS} FROM listings${where} LIMIT ?`).all(...params, MAX_MAP_PINS);
+    return res.json({ zoom, clusters: [], listings: pins });
+  }
+
+  // Cell size in degrees: CLUSTER_CELL_PX out of a 256px world tile at this zoom
+  const cell = (CLUSTER_CELL_PX / (256 * Math.pow(2, zoom))) * 360;
+  const cells = db.prepare(`SELECT COUNT(*) AS count, MIN(id) AS id,
+      AVG(latitude) AS lat, AVG(longitude) AS lon, MIN(price) AS min_price,
+      MIN(latitude) AS south, MAX(latitude) AS north, MIN(longitude) AS west, MAX(longitude) AS east
+    FROM listings${where}
+    GROUP BY CAST(latitude / ? AS INTEGER), CAST(longitude / ? AS INTEGER)`).all(...params, cell, cell);
+
+  // Lone listings in a cell are sent as pins rather than clusters of one
+  const clusters = cells.filter(c => c.count > 1).map(c => ({
+    lat: c.lat,
+    lon: c.lon,
+    count: c.count,
+    min_price: c.min_price,
+    bounds: [[c.south, c.west], [c.north, c.east]],
+  }));
+  const singleIds = cells.filter(c => c.count === 1).map(c => c.id).slice(0, MAX_MAP_PINS);
+  const pins = singleIds.length > 0
+    ? db.prepare(`SELECT ${MAP_PIN_COLUMNS} FROM listings WHERE id IN (${singleIds.map(() => '?').join(',')})`).all(...singleIds)
+    : [];
+
+  res.json({ zoom, clusters, listings: pins });
+});
+
+// API: Get price history for a single listing
+app.get('/api/listings/:id/history', (req, res) => {
+  const listing = db.prepare('SELECT id, price FROM listings WHERE id = ?').get(req.params.id);
+  if (!listing) {
+    return res.status(404).json({ error: 'Listing not found' });
+  }
+
+  const history = db.prepare(
+    'SELECT price, observed_at FROM price_history WHERE listing_id = ? ORDER BY observed_at, id'
+  ).all(req.params.id);
+
+  const firstPrice = history.length > 0 ? history[0].price : listing.price;
+  res.json({
+    id: listing.id,
+    current_price: listing.price,
+    first_price: firstPrice,
+    change: listing.price != null && firstPrice != null ? listing.price - firstPrice : null,
+    history,
+  });
+});
+
+// API: Correct classified attributes of a listing. Body: { field: value, ..., note }.
+// Corrections survive re-scrapes until removed.
+app.patch('/api/listings/:id', (req, res) => {
+  const listing = db.prepare('SELECT id FROM listings WHERE id = ?').get(req.params.id);
+  if (!listing) return res.status(404).json({ error: 'Listing not found' });
+
+  const { note, ...fields } = req.body || {};
+  const error = validateOverrides(fields);
+  if (error) return res.status(400).json({ error });
+  if (note != null && typeof note !== 'string') return res.status(400).json({ error: 'Note must be a string' });
+
+  saveOverrides(listing.id, fields, note);
+  res.json(getCorrectedListing(listing.id));
+});
+
+// API: Remove a correction, restoring the scraped value
+app.delete('/api/listings/:id/overrides/:field', (req, res) => {
+  if (!removeOverride(req.params.id, req.params.field)) return res.status(404).json({ error: 'Override not found' });
+  res.json(getCorrectedListing(req.params.id));
+});
+
+// --- Saved searches ---
+
+// Normalise a filter set (query string or object) into a stable query string
+function normaliseSearchParams(params) {
+  const source = typeof params === 'string' ? new URLSearchParams(params) : new URLSearchParams(Object.entries(params || {}));
+  const out = new URLSearchParams();
+  for (const [key, value] of source) {
+    if (value !== '' && value !== null && value !== undefined) out.set(key, value);
+  }
+  out.sort();
+  return out.toString();
+}
+
+/**
+ * Run a saved search and record listings it hasn't matched before.
+ * Returns the newly matched listings.
+ */
+function evaluateSavedSearch(search) {
+  const filters = buildListingFilters(Object.fromEntries(new URLSearchParams(search.params)));
+  const rows = db.prepare(
+    'SELECT id, title, price, address, municipality_name, url FROM listings WHERE 1=1' + filters.sql
+  ).all(...filters.params);
+
+  const insert = db.prepare('INSERT OR IGNORE INTO saved_search_matches (search_id, listing_id) VALUES (?, ?)');
+  const newMatches = [];
+  db.transaction(() => {
+    for (const row of rows) {
+      if (insert.run(search.id, row.id).changes > 0) newMatches.push(row);
+    }
+    db.prepare("UPDATE saved_searches SET last_checked_at = datetime('now') WHERE id = ?").run(search.id);
+  })();
+
+  return newMatches;
+}
+
+// Evaluate every saved search after a scrape and deliver alerts for new matches
+async function evaluateSavedSearches() {
+  const searches = db.prepare('SELECT * FROM saved_searches').all();
+  for (const search of searches) {
+    try {
+      const newMatches = evaluateSavedSearch(search);
+      if (newMatches.length > 0) {
+        console.log(`  Saved search "${search.name}": ${newMatches.length} new match(es)`);
+        await deliverSavedSearchAlert(search, newMatches);
+      }
+    } catch (err) {
+      console.error(`  Saved search "${search.name}" failed:`, err.message);
+    }
+  }
+}
+
+const SAVED_SEARCH_LIST_SQL = `
+  SELECT s.*,
+    (SELECT COUNT(*) FROM saved_search_matches m JOIN listings l ON l.id = m.listing_id
+      WHERE m.search_id = s.id AND l.status = 'active') AS match_count,
+    (SELECT COUNT(*) FROM saved_search_matches m JOIN listings l ON l.id = m.listing_id
+      WHERE m.search_id = s.id AND l.status = 'active' AND m.matched_at > s.last_viewed_at) AS new_count
+  FROM saved_searches s`;
+
+// API: List saved searches with "new since last viewed" counts
+app.get('/api/saved-searches', (req, res) => {
+  res.json(db.prepare(SAVED_SEARCH_LIST_SQL + ' ORDER BY s.created_at DESC').all());
+});
+
+// API: Create a saved search from the current filter parameters
+app.post('/api/saved-searches', (req, res) => {
+  const { name, params, email, webhook_url } = req.body || {};
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  if (email && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+    return res.status(400).json({ error: 'Invalid e-mail address' });
+  }
+  if (webhook_url && (typeof webhook_url !== 'string' || !/^https?:\/\//.test(webhook_url))) {
+    return res.status(400).json({ error: 'Webhook URL must start with http:// or https://' });
+  }
+
+  const info = db.prepare(
+    'INSERT INTO saved_searches (name, params, email, webhook_url) VALUES (?, ?, ?, ?)'
+  ).run(name.trim().slice(0, 100), normaliseSearchParams(params), email || null, webhook_url || null);
+
+  // Seed with current matches so only listings appearing later count as new
+  const search = db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(info.lastInsertRowid);
+  evaluateSavedSearch(search);
+  db.prepare('UPDATE saved_search_matches SET matched_at = ? WHERE search_id = ?').run(search.created_at, search.id);
+
+  res.status(201).json(db.prepare(SAVED_SEARCH_LIST_SQL + ' WHERE s.id = ?').get(search.id));
+});
+
+// API: Delete a saved search
+app.delete('/api/saved-searches/:id', (req, res) => {
+  const info = db.prepare('DELETE FROM saved_searches WHERE id = ?').run(req.params.id);
+  if (info.changes === 0) return res.status(404).json({ error: 'Saved search not found' });
+  db.prepare('DELETE FROM saved_search_matches WHERE search_id = ?').run(req.params.id);
+  res.json({ deleted: true });
+});
+
+// API: Mark a saved search as viewed (resets its new count)
+app.post('/api/saved-searches/:id/viewed', (req, res) => {
+  const info = db.prepare("UPDATE saved_searches SET last_viewed_at = datetime('now') WHERE id = ?").run(req.params.id);
+  if (info.changes === 0) return res.status(404).json({ error: 'Saved search not found' });
+  res.json(db.prepare(SAVED_SEARCH_LIST_SQL + ' WHERE s.id = ?').get(req.params.id));
+});
+
+// API: RSS feed of a saved search's matches
+app.get('/api/saved-searches/:id/rss', (req, res) => {
+  const search = db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(req.params.id);
+  if (!search) return res.status(404).json({ error: 'Saved search not found' });
+
+  const matches = db.prepare(`
+    SELECT l.id, l.title, l.price, l.address, l.municipality_name, l.url, m.matched_at
+    FROM saved_search_matches m JOIN listings l ON l.id = m.listing_id
+    WHERE m.search_id = ? ORDER BY m.matched_at DESC LIMIT 50
+  `).all(search.id);
+
+  res.type('application/rss+xml');
+  res.send(buildRssFeed(search, matches, `${req.protocol}://${req.get('host')}`));
 });
 
 // API: Get listing stats
 app.get('/api/stats', (req, res) => {
-  const total = db.prepare('SELECT COUNT(*) as count FROM listings').get();
-  const newCount = db.prepare('SELECT COUNT(*) as count FROM listings WHERE is_new = 1').get();
+  const total = db.prepare("SELECT COUNT(*) as count FROM listings WHERE status = 'active'").get();
+  const newCount = db.prepare("SELECT COUNT(*) as count FROM listings WHERE is_new = 1 AND status = 'active'").get();
+  const removedCount = db.prepare("SELECT COUNT(*) as count FROM listings WHERE status = 'removed'").get();
   const lastUpdate = db.prepare('SELECT MAX(updated_at) as last FROM update_log').get();
   const byMunicipality = db.prepare(`
     SELECT municipality_code, municipality_name, COUNT(*) as count
-    FROM listings GROUP BY municipality_code ORDER BY count DESC
+    FROM listings WHERE status = 'active' GROUP BY municipality_code ORDER BY count DESC
   `).all();
 
   res.json({
     total: total.count,
     new: newCount.count,
+    removed: removedCount.count,
     lastUpdate: lastUpdate.last,
     byMunicipality
   });
 });
 
-// API: Trigger manual refresh
+// API: Time-on-market for removed listings, grouped by municipality
+app.get('/api/time-on-market', (req, res) => {
+  const { municipality, category } = req.query;
+
+  let sql = `SELECT municipality_code, municipality_name, COUNT(*) as removed_count,
+    ROUND(AVG(julianday(removed_at) - julianday(COALESCE(group_first_seen, first_seen))), 1) as avg_days,
+    CAST(MIN(julianday(removed_at) - julianday(COALESCE(group_first_seen, first_seen))) AS INTEGER) as min_days,
+    CAST(MAX(julianday(removed_at) - julianday(COALESCE(group_first_seen, first_seen))) AS INTEGER) as max_days
+    FROM listings WHERE status = 'removed' AND removed_at IS NOT NULL AND duplicate_of IS NULL`;
+  const params = [];
+
+  if (municipality) {
+    const codes = municipality.split(',').map(c => c.trim()).filter(Boolean);
+    if (codes.length > 0) {
+      sql += ` AND municipality_code IN (${codes.map(() => '?').join(',')})`;
+      params.push(...codes);
+    }
+  }
+  if (category && category !== 'all') {
+    sql += ' AND category = ?';
+    params.push(category);
+  }
+
+  sql += ' GROUP BY municipality_code ORDER BY avg_days ASC';
+
+  res.json(db.prepare(sql).all(...params));
+});
+
+// API: Trigger manual refresh (409 while one is already running)
 app.post('/api/refresh', async (req, res) => {
+  if (isRefreshing) {
+    return res.status(409).json({ error: 'A refresh is already running', refreshing: true });
+  }
   res.json({ message: 'Refresh started' });
   try {
-    await runUpdate();
+    await runUpdate({ full: req.query.full === '1' });
   } catch (err) {
     console.error('Manual refresh failed:', err.message);
   }
@@ -282,6 +1045,32 @@ app.get('/api/refresh-status', (req, res) => {
   res.json({ refreshing: isRefreshing, progress: refreshProgress, total: refreshTotal });
 });
 
+// API: Scraper health — live metrics for the running refresh plus recent runs
+app.get('/api/scraper-health', (req, res) => {
+  const runs = db.prepare('SELECT * FROM scrape_runs ORDER BY id DESC LIMIT 10').all().map(formatScrapeRun);
+  const lastRun = runs.find(r => r.finished_at) || null;
+  const live = currentRun ? formatScrapeRun({
+    id: currentRun.id,
+    started_at: currentRun.startedAt,
+    finished_at: null,
+    municipalities_ok: currentRun.ok,
+    municipalities_failed: currentRun.failed,
+    ...metricsToColumns(currentRun.metrics),
+    degraded: currentRun.degradedReason ? 1 : 0,
+    degraded_reason: currentRun.degradedReason,
+  }) : null;
+
+  // A running refresh that has already tripped a threshold outranks the last finished run
+  const source = live && live.degraded ? live : lastRun;
+  res.json({
+    status: source ? (source.degraded ? 'degraded' : 'ok') : 'unknown',
+    degraded_reason: source && source.degraded ? source.degraded_reason : null,
+    current_run: live,
+    last_run: lastRun,
+    recent_runs: runs.filter(r => r.finished_at),
+  });
+});
+
 // API: Get update history
 app.get('/api/updates', (req, res) => {
   const updates = db.prepare(
@@ -290,310 +1079,443 @@ app.get('/api/updates', (req, res) => {
   res.json(updates);
 });
 
-// --- Smart Search via DeepSeek ---
-const SMART_SEARCH_SYSTEM_PROMPT = `You are a filter-extraction assistant for a Norwegian property finder app.
-Given a natural language query, return a JSON object with the matching filter parameters.
-
-The app covers ALL Norwegian municipalities. Some are tax-free (no property tax).
-
-MUNICIPALITIES (code → name):
-0301=Oslo, 4601=Bergen, 5001=Trondheim, 1103=Stavanger, 1108=Sandnes,
-3201=Bærum, 3203=Asker, 3301=Drammen, 3205=Lillestrøm, 3107=Fredrikstad,
-3105=Sarpsborg, 3403=Hamar, 3405=Lillehammer, 3407=Gjøvik, 3901=Horten,
-3903=Holmestrand, 3905=Tønsberg, 3907=Sandefjord, 3909=Larvik, 3911=Færder,
-4001=Porsgrunn, 4003=Skien, 4201=Risør, 4202=Grimstad, 4203=Arendal,
-4204=Kristiansand, 5501=Tromsø, 5503=Harstad, 5601=Alta, 1804=Bodø,
-1806=Narvik, 1506=Molde, 1505=Kristiansund, 1508=Ålesund, 1106=Haugesund,
-3303=Kongsberg, 3305=Ringerike, 3312=Lier, 3314=Øvre Eiker, 3310=Hole,
-3220=Enebakk, 3207=Nordre Follo, 1124=Sola, 1120=Klepp, 1119=Hå,
-3238=Nannestad, 3224=Rælingen, 3230=Gjerdrum, 4624=Bjørnafjorden,
-4625=Austevoll, 4612=Sveio, 5035=Stjørdal, 3447=Søndre Land
-
-DRIVING DISTANCES FROM OSLO (0301):
-<1h: 3201 Bærum, 3203 Asker, 3312 Lier, 3205 Lillestrøm, 3224 Rælingen, 3207 Nordre Follo, 3220 Enebakk, 3230 Gjerdrum, 3238 Nannestad, 3310 Hole, 3301 Drammen, 3314 Øvre Eiker, 3305 Ringerike
-1-2h: 3107 Fredrikstad, 3105 Sarpsborg, 3901 Horten, 3903 Holmestrand, 3911 Færder, 3905 Tønsberg, 3303 Kongsberg, 3907 Sandefjord, 3403 Hamar, 3909 Larvik
-2-3h: 4001 Porsgrunn, 4003 Skien, 3405 Lillehammer, 3407 Gjøvik, 3447 Søndre Land, 4203 Arendal, 4202 Grimstad, 4201 Risør
-3-4h: 4204 Kristiansand
-
-DRIVING DISTANCES FROM BERGEN (4601):
-<1h: 4624 Bjørnafjorden
-1-2h: 4625 Austevoll, 4612 Sveio, 1106 Haugesund
-
-DRIVING DISTANCES FROM TRONDHEIM (5001):
-<1h: 5035 Stjørdal
-
-DRIVING DISTANCES FROM STAVANGER (1103):
-<1h: 1108 Sandnes, 1124 Sola, 1120 Klepp, 1119 Hå
-
-NOTE: Bergen, Trondheim, Stavanger, Bodø, Tromsø are 7+ hours from Oslo by car.
-Northern Norway (Bodø, Narvik, Tromsø, Harstad, Alta) are standalone regional centers, very far apart.
-Molde, Kristiansund, Ålesund are mid-Norway coast, 4-6h from both Oslo and Trondheim.
-
-FILTER FIELDS (only include keys that the user's query implies):
-- municipality: comma-separated municipality codes for distance queries (e.g. "3301,3303,3305"), or single code for specific municipality
-- category: "home", "tomt", or "all"
-- min_price: integer in NOK
-- max_price: integer in NOK
-- min_area: integer in m²
-- property_type: "Enebolig", "Leilighet", "Gårdsbruk/Småbruk", "Rekkehus", or "Tomannsbolig"
-- developed: "1" (utilities connected) or "0" (no utilities)
-- building_obligation: "none", "has_clause", "has_deadline", or "unknown"
-- plot_owned: "selveier" (freehold) or "tomtefeste" (leasehold)
-- sort: "newest", "price_asc", "price_desc", "area_desc", or "area_asc"
-- new_only: "1" (only new listings)
-- no_fees: "1" (no shared monthly costs)
-- tax_free: "1" (only municipalities without property tax)
-
-RULES:
-- All prices must be in NOK. 1 million = 1000000. "2M" = 2000000. "500k" = 500000.
-- "cheap" or "affordable" → sort by price_asc, do NOT guess a max_price.
-- "large" or "big" → sort by area_desc.
-- "plot" or "tomt" or "land" → category: "tomt".
-- "house" or "home" or "cabin" → category: "home".
-- "apartment" or "leilighet" → property_type: "Leilighet".
-- "freehold" or "selveier" → plot_owned: "selveier".
-- "leasehold" or "tomtefeste" → plot_owned: "tomtefeste".
-- "no obligation" or "no byggeklausul" → building_obligation: "none".
-- "tax free" or "no tax" or "no property tax" or "skattefri" → tax_free: "1".
-- "detached" or "enebolig" → property_type: "Enebolig".
-- "farm" or "småbruk" → property_type: "Gårdsbruk/Småbruk".
-- Match municipality names case-insensitively and with partial matching.
-- DISTANCE QUERIES: When the user says "Xh from [city]" or "near [city]" or "X-Yh from [city]", use the driving distance data above. Include ALL municipalities that fall within the requested range. Use comma-separated codes in the municipality field.
-  - "near Oslo" or "close to Oslo" → all municipalities <1h from Oslo
-  - "1-2h from Oslo" → all municipalities in the 1-2h zone
-  - "1-3h from Oslo" → combine <1h + 1-2h + 2-3h zones
-  - "within 2h of Oslo" → combine <1h + 1-2h zones
-  - Do the same logic for Bergen, Trondheim, Stavanger.
-  - NEVER include cities 7+ hours away (e.g. Trondheim is NOT near Oslo).
-- Only output valid JSON. No extra text, no markdown.
-
-EXAMPLES:
-Input: "cheap plot in Asker under 2 million with no building obligation"
-Output: {"municipality":"3203","category":"tomt","max_price":2000000,"building_obligation":"none","sort":"price_asc"}
-
-Input: "large detached house"
-Output: {"category":"home","property_type":"Enebolig","sort":"area_desc"}
-
-Input: "apartments in Oslo under 3M"
-Output: {"municipality":"0301","category":"home","property_type":"Leilighet","max_price":3000000}
-
-Input: "cheap tomt 1-3h from Oslo"
-Output: {"municipality":"3107,3105,3901,3903,3911,3905,3303,3907,3403,3909,4001,4003,3405,3407,3447,4203,4202,4201","category":"tomt","sort":"price_asc"}
-
-Input: "plots near Bergen"
-Output: {"municipality":"4624","category":"tomt"}
-
-Input: "tax free plots in Bærum"
-Output: {"municipality":"3201","category":"tomt","tax_free":"1"}
-
-Input: "new listings under 5M"
-Output: {"max_price":5000000,"new_only":"1"}
-
-Input: "affordable homes within 2h of Oslo"
-Output: {"municipality":"3201,3203,3312,3205,3224,3207,3220,3230,3238,3310,3301,3314,3305,3107,3105,3901,3903,3911,3905,3303,3907,3403,3909","category":"home","sort":"price_asc"}`;
-
-const ALLOWED_SMART_KEYS = new Set([
-  'municipality', 'category', 'min_price', 'max_price', 'min_area',
-  'property_type', 'developed', 'building_obligation', 'plot_owned',
-  'sort', 'new_only', 'no_fees', 'tax_free'
-]);
+// --- Smart Search (LLM provider, or the offline rule-based parser) ---
+// Unset means the default; SMART_SEARCH_CACHE_HOURS=0 turns the cache off
+const envNumber = (name, fallback) => (['', undefined].includes(process.env[name]) ? fallback : Number(process.env[name]));
+const SMART_SEARCH_CACHE_HOURS = envNumber('SMART_SEARCH_CACHE_HOURS', 24);
+// Unflagged query log entries are kept this long; flagged ones until unflagged
+const SMART_SEARCH_LOG_DAYS = envNumber('SMART_SEARCH_LOG_DAYS', 30);
+
+// LLM answers for smartSearch(), reused for SMART_SEARCH_CACHE_HOURS
+const smartSearchCache = {
+  get(key) {
+    const row = db.prepare("SELECT changes FROM smart_search_cache WHERE key = ? AND created_at > datetime('now', ?)")
+      .get(key, `-${SMART_SEARCH_CACHE_HOURS} hours`);
+    return row ? JSON.parse(row.changes) : null;
+  },
+  set(key, changes) {
+    db.prepare('INSERT OR REPLACE INTO smart_search_cache (key, changes) VALUES (?, ?)').run(key, JSON.stringify(changes));
+  },
+};
+
+/**
+ * Drop expired cache rows and unflagged log entries older than
+ * SMART_SEARCH_LOG_DAYS. Runs on every logged search, so both tables stay
+ * bounded with the cache turned off too.
+ */
+function pruneSmartSearch() {
+  db.prepare("DELETE FROM smart_search_cache WHERE created_at <= datetime('now', ?)").run(`-${SMART_SEARCH_CACHE_HOURS} hours`);
+  db.prepare("DELETE FROM smart_search_log WHERE flagged_at IS NULL AND created_at <= datetime('now', ?)")
+    .run(`-${SMART_SEARCH_LOG_DAYS} days`);
+}
+
+/**
+ * Record a smart search in the query log; returns the log entry id
+ */
+function logSmartSearch(entry) {
+  const json = value => (value === undefined || value === null ? null : JSON.stringify(value));
+  pruneSmartSearch();
+  return db.prepare(`
+    INSERT INTO smart_search_log
+      (query, normalised_query, current_filters, filters, provider, fallback, cached, latency_ms, result_count, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.query, normaliseQuery(entry.query), json(entry.current), json(entry.filters), entry.provider || null,
+    entry.fallback ? 1 : 0, entry.cached ? 1 : 0, entry.latencyMs, entry.resultCount ?? null, entry.error || null
+  ).lastInsertRowid;
+}
+
+/**
+ * Listings matching an interpretation on its own (the map area and pin are
+ * not part of it), or null if the filters can't be applied
+ */
+function countSmartSearchResults(filters) {
+  try {
+    const query = Object.fromEntries(Object.entries(filters).map(([key, value]) => [key, String(value)]));
+    const { sql, params } = buildListingFilters(query);
+    return db.prepare('SELECT COUNT(*) AS total FROM listings WHERE 1=1' + sql).get(...params).total;
+  } catch (err) {
+    console.error('Smart search result count failed:', err.message);
+    return null;
+  }
+}
+
+function formatSmartSearchLog(row) {
+  const parse = value => (value === null ? null : JSON.parse(value));
+  return {
+    ...row,
+    current_filters: parse(row.current_filters),
+    filters: parse(row.filters),
+    expected_filters: parse(row.expected_filters),
+    fallback: !!row.fallback,
+    cached: !!row.cached,
+    flagged: row.flagged_at !== null,
+  };
+}
 
+// API: Interpret a free-text query as listing filters. A follow-up sends
+// current_filters (the filters on screen) and history (the session's earlier
+// queries); the reply's diff lists what the query changed. Every query is
+// logged; log_id is the entry to flag if the interpretation is wrong.
 app.post('/api/smart-search', async (req, res) => {
-  const { query } = req.body;
+  const { query, current_filters: current, history } = req.body;
   if (!query || typeof query !== 'string' || query.trim().length === 0) {
     return res.status(400).json({ error: 'Query is required' });
   }
+  if (current !== undefined && current !== null && (typeof current !== 'object' || Array.isArray(current))) {
+    return res.status(400).json({ error: 'current_filters must be an object' });
+  }
 
+  const started = Date.now();
   try {
-    const response = await fetch('https://api.deepseek.com/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'deepseek-chat',
-        temperature: 0,
-        response_format: { type: 'json_object' },
-        messages: [
-          { role: 'system', content: SMART_SEARCH_SYSTEM_PROMPT },
-          { role: 'user', content: query.trim() },
-        ],
-      }),
+    const { filters, diff, provider, fallback, cached } = await smartSearch(query.trim(), {
+      current, history, cache: SMART_SEARCH_CACHE_HOURS > 0 ? smartSearchCache : null,
     });
+    const resultCount = countSmartSearchResults(filters);
+    const logId = logSmartSearch({
+      query: query.trim(), current, filters, provider, fallback, cached, latencyMs: Date.now() - started, resultCount,
+    });
+    res.json({ filters, diff, raw_query: query.trim(), provider, fallback, cached, result_count: resultCount, log_id: logId });
+  } catch (err) {
+    console.error('Smart search error:', err.message);
+    logSmartSearch({ query: query.trim(), current, latencyMs: Date.now() - started, error: err.message });
+    res.status(500).json({ error: 'Failed to process search query' });
+  }
+});
 
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error('DeepSeek API error:', response.status, errText);
-      return res.status(502).json({ error: 'AI service unavailable' });
-    }
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content;
-    if (!content) {
-      return res.status(502).json({ error: 'No response from AI' });
-    }
+// API: Smart search query log, newest first. ?flagged=1 lists flagged
+// interpretations only, ?provider= one provider's; ?limit / ?offset page.
+app.get('/api/smart-search/log', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  let where = ' WHERE 1=1';
+  const params = [];
+  if (req.query.flagged === '1') where += ' AND flagged_at IS NOT NULL';
+  if (req.query.provider) {
+    where += ' AND provider = ?';
+    params.push(req.query.provider);
+  }
 
-    const parsed = JSON.parse(content);
+  const total = db.prepare('SELECT COUNT(*) AS total FROM smart_search_log' + where).get(...params).total;
+  const entries = db.prepare('SELECT * FROM smart_search_log' + where + ' ORDER BY id DESC LIMIT ? OFFSET ?')
+    .all(...params, limit, offset);
+  res.json({ total, limit, offset, entries: entries.map(formatSmartSearchLog) });
+});
 
-    // Whitelist-sanitize: only keep allowed keys
-    const filters = {};
-    for (const [key, value] of Object.entries(parsed)) {
-      if (ALLOWED_SMART_KEYS.has(key) && value !== null && value !== undefined && value !== '') {
-        filters[key] = value;
-      }
-    }
+// API: Flag a logged interpretation as wrong. Body: { note, expected_filters },
+// both optional; expected_filters are the filters the query should have given.
+app.post('/api/smart-search/log/:id/flag', (req, res) => {
+  const entry = db.prepare('SELECT id FROM smart_search_log WHERE id = ?').get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Log entry not found' });
 
-    res.json({ filters, raw_query: query.trim() });
-  } catch (err) {
-    console.error('Smart search error:', err.message);
-    res.status(500).json({ error: 'Failed to process search query' });
+  const { note, expected_filters: expected } = req.body || {};
+  if (note != null && typeof note !== 'string') return res.status(400).json({ error: 'Note must be a string' });
+  if (expected != null && (typeof expected !== 'object' || Array.isArray(expected))) {
+    return res.status(400).json({ error: 'expected_filters must be an object' });
   }
+
+  db.prepare("UPDATE smart_search_log SET flagged_at = datetime('now'), flag_note = ?, expected_filters = ? WHERE id = ?").run(
+    note ? note.trim().slice(0, 500) : null, expected ? JSON.stringify(sanitizeFilters(expected)) : null, entry.id
+  );
+  res.json(formatSmartSearchLog(db.prepare('SELECT * FROM smart_search_log WHERE id = ?').get(entry.id)));
 });
 
-// Upsert listings into database
-function upsertListings(municipalityCode, municipalityName, listings, hasPropertyTax) {
-  const upsert = db.prepare(`
-    INSERT INTO listings (id, municipality_code, municipality_name, title, price, price_text,
-      address, area_m2, bedrooms, property_type, image_url, finn_url, latitude, longitude,
-      shared_cost, shared_debt, category, is_developed, building_obligation, building_obligation_text,
-      plot_owned, total_price, tax_value, cadastre, facilities, regulations, yearly_costs_text, utilities,
-      has_property_tax, last_seen)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-    ON CONFLICT(id) DO UPDATE SET
-      price = excluded.price,
-      price_text = excluded.price_text,
-      title = excluded.title,
-      image_url = excluded.image_url,
-      shared_cost = excluded.shared_cost,
-      shared_debt = excluded.shared_debt,
-      category = excluded.category,
-      is_developed = excluded.is_developed,
-      building_obligation = excluded.building_obligation,
-      building_obligation_text = excluded.building_obligation_text,
-      plot_owned = excluded.plot_owned,
-      total_price = excluded.total_price,
-      tax_value = excluded.tax_value,
-      cadastre = excluded.cadastre,
-      facilities = excluded.facilities,
-      regulations = excluded.regulations,
-      yearly_costs_text = excluded.yearly_costs_text,
-      utilities = excluded.utilities,
-      has_property_tax = excluded.has_property_tax,
-      last_seen = datetime('now'),
-      is_new = 0
-  `);
+// API: Remove a flag
+app.delete('/api/smart-search/log/:id/flag', (req, res) => {
+  const info = db.prepare('UPDATE smart_search_log SET flagged_at = NULL, flag_note = NULL, expected_filters = NULL WHERE id = ?')
+    .run(req.params.id);
+  if (info.changes === 0) return res.status(404).json({ error: 'Log entry not found' });
+  res.json(formatSmartSearchLog(db.prepare('SELECT * FROM smart_search_log WHERE id = ?').get(req.params.id)));
+});
 
-  let newCount = 0;
-  const transaction = db.transaction((items) => {
-    for (const listing of items) {
-      const existing = db.prepare('SELECT id FROM listings WHERE id = ?').get(listing.id);
-      if (!existing) newCount++;
-
-      upsert.run(
-        listing.id,
-        municipalityCode,
-        municipalityName,
-        listing.title,
-        listing.price,
-        listing.priceText,
-        listing.address,
-        listing.area,
-        listing.bedrooms,
-        listing.propertyType,
-        listing.imageUrl,
-        listing.finnUrl,
-        listing.latitude || null,
-        listing.longitude || null,
-        listing.sharedCost || 0,
-        listing.sharedDebt || 0,
-        listing.category || 'home',
-        listing.isDeveloped ?? null,
-        listing.buildingObligation || 'unknown',
-        listing.buildingObligationText || null,
-        listing.plotOwned || null,
-        listing.totalPrice || null,
-        listing.taxValue || null,
-        listing.cadastre || null,
-        listing.facilities || null,
-        listing.regulations || null,
-        listing.yearlyCostsText || null,
-        listing.utilities || null,
-        hasPropertyTax ? 1 : 0
-      );
-    }
-  });
 
-  transaction(listings);
+/**
+ * Archive stale listings (not seen in 7 days) for the municipality/source
+ * pairs a run swept in full with results. Runs after the run's health check:
+ * incremental runs stop paging early, and a degraded run may have missed
+ * live ads, so neither can tell a stale listing from an unseen one.
+ * removed_at is the last time the ad was seen, so time-on-market stays accurate.
+ */
+function archiveStaleListings(run) {
+  const archive = db.prepare(`
+    UPDATE listings SET status = 'removed', removed_at = last_seen
+    WHERE municipality_code = ? AND source = ? AND status = 'active' AND last_seen < datetime('now', '-7 days')
+  `);
+  const changed = new Set();
+  for (const { municipalityCode, source } of run.swept.values()) {
+    if (archive.run(municipalityCode, source).changes > 0) changed.add(municipalityCode);
+  }
+  // Archived listings give up their place as the canonical ad of a group
+  for (const municipalityCode of changed) linkDuplicates(municipalityCode);
+  console.log(`  Archived stale listings in ${changed.size} municipalities`);
+}
 
-  // Remove stale listings (not seen in 7 days) — only if scrape returned results
-  if (listings.length > 0) {
+// Removed listings stay candidates this long, so a republished ad inherits the old one's first_seen
+const DUPLICATE_LOOKBACK_DAYS = 90;
+
+/**
+ * Group likely duplicates in a municipality (see dedupe.js): republished ads,
+ * "tomt med hus" found by both the homes and plots searches, and the same
+ * property on several sources. The canonical listing of each group keeps
+ * duplicate_of NULL; the others point at it and are hidden from results.
+ */
+function linkDuplicates(municipalityCode) {
+  const rows = db.prepare(`
+    SELECT id, category, status, first_seen, cadastre, address_key, latitude, longitude, area_m2, image_url, price
+    FROM listings
+    WHERE municipality_code = ? AND (status = 'active' OR removed_at >= datetime('now', ?))
+  `).all(municipalityCode, `-${DUPLICATE_LOOKBACK_DAYS} days`);
+  const groups = groupDuplicates(rows);
+
+  const setGroup = db.prepare('UPDATE listings SET group_id = ?, group_first_seen = ?, duplicate_of = ? WHERE id = ?');
+  db.transaction(() => {
+    // Re-evaluate from scratch so edited or expired listings leave their groups
     db.prepare(`
-      DELETE FROM listings
-      WHERE municipality_code = ? AND last_seen < datetime('now', '-7 days')
+      UPDATE listings SET group_id = NULL, group_first_seen = NULL, duplicate_of = NULL
+      WHERE municipality_code = ? AND (group_id IS NOT NULL OR duplicate_of IS NOT NULL)
     `).run(municipalityCode);
-  }
+    for (const group of groups) {
+      for (const id of group.ids) {
+        setGroup.run(group.canonicalId, group.firstSeen, id === group.canonicalId ? null : group.canonicalId, id);
+      }
+    }
+  })();
+}
 
-  return newCount;
+// Migration: group listings stored before duplicate grouping existed
+if (backfillDuplicateGroups) {
+  for (const { municipality_code } of db.prepare('SELECT DISTINCT municipality_code FROM listings').all()) {
+    linkDuplicates(municipality_code);
+  }
 }
 
-// Run full update
-async function runUpdate() {
-  const municipalities = require('./data/municipalities.json');
+// Hours between full sweeps of a municipality; runs in between are incremental.
+// Frequent manual refreshes could otherwise keep a municipality on incremental
+// runs (which stop paging early) for the whole window, so after
+// MAX_INCREMENTAL_RUNS of them the next run is a full sweep regardless.
+const FULL_SWEEP_HOURS = Number(process.env.FULL_SWEEP_HOURS) || 24;
+const MAX_INCREMENTAL_RUNS = Number(process.env.MAX_INCREMENTAL_RUNS) || 6;
+
+/**
+ * Municipality codes whose last successful full sweep is recent enough, and
+ * followed by few enough incremental runs, that this run can be incremental
+ */
+function getRecentlySweptMunicipalities() {
+  const rows = db.prepare(`
+    WITH swept AS (
+      SELECT municipality_code, MAX(updated_at) AS swept_at FROM update_log
+      WHERE mode = 'full' AND error IS NULL
+      GROUP BY municipality_code
+    )
+    SELECT municipality_code FROM swept
+    WHERE swept_at > datetime('now', ?)
+      AND (SELECT COUNT(*) FROM update_log
+           WHERE update_log.municipality_code = swept.municipality_code
+             AND mode = 'incremental' AND updated_at >= swept.swept_at) < ?
+  `).all(`-${FULL_SWEEP_HOURS} hours`, MAX_INCREMENTAL_RUNS);
+  return new Set(rows.map(r => r.municipality_code));
+}
 
-  isRefreshing = true;
-  refreshProgress = 0;
-  refreshTotal = municipalities.length;
+// The refresh in progress, for the live figures on /api/scraper-health. Safe as a
+// single global because runUpdate never runs twice at once; the scrape itself
+// is handed its run object explicitly.
+let currentRun = null; // { id, startedAt, metrics, ok, failed, degradedReason } while refreshing
+
+/**
+ * Re-evaluate the running refresh; logs once when it first turns degraded
+ */
+function isRunDegraded(run) {
+  if (!run.degradedReason) {
+    run.degradedReason = detectDegradation(run.metrics);
+    if (run.degradedReason) {
+      console.warn(`  Scraper degraded: ${run.degradedReason} — stale listings will not be archived this run`);
+    }
+  }
+  return !!run.degradedReason;
+}
 
-  console.log(`[${new Date().toISOString()}] Starting update for ${municipalities.length} municipalities...`);
+function metricsToColumns(metrics) {
+  return {
+    pages_fetched: metrics.pagesFetched,
+    decode_failures: metrics.decodeFailures,
+    docs_total: metrics.docsTotal,
+    detail_fetched: metrics.detailFetched,
+    detail_failures: metrics.detailFailures,
+  };
+}
 
-  // Mark all current listings as not-new before refresh
-  db.prepare('UPDATE listings SET is_new = 0').run();
+// Add derived rates to a scrape_runs row for the health endpoint
+function formatScrapeRun(row) {
+  const decoded = row.pages_fetched - row.decode_failures;
+  return {
+    ...row,
+    degraded: !!row.degraded,
+    decode_failure_rate: row.pages_fetched > 0 ? row.decode_failures / row.pages_fetched : null,
+    docs_per_page: decoded > 0 ? row.docs_total / decoded : null,
+    detail_failure_rate: row.detail_fetched > 0 ? row.detail_failures / row.detail_fetched : null,
+  };
+}
 
-  for (const muni of municipalities) {
-    refreshProgress++;
-    try {
-      const hasTax = muni.hasPropertyTax;
-      // Fetch homes
-      console.log(`  [${refreshProgress}/${refreshTotal}] Fetching homes for ${muni.name} (${muni.code})${hasTax ? ' [TAX]' : ''}...`);
-      const listings = await fetchListingsForMunicipality(muni);
-      const newCount = upsertListings(muni.code, muni.name, listings, hasTax);
-
-      // Fetch plots (tomt)
-      console.log(`  [${refreshProgress}/${refreshTotal}] Fetching plots for ${muni.name} (${muni.code})...`);
-      await new Promise(r => setTimeout(r, 1500));
-      const plots = await fetchPlotsForMunicipality(muni);
-      const newPlots = upsertListings(muni.code, muni.name, plots, hasTax);
-
-      const totalFound = listings.length + plots.length;
-      const totalNew = newCount + newPlots;
-
-      db.prepare(`
-        INSERT INTO update_log (municipality_code, listings_found, new_listings)
-        VALUES (?, ?, ?)
-      `).run(muni.code, totalFound, totalNew);
-
-      if (totalFound > 0) {
-        console.log(`    Found ${listings.length} homes + ${plots.length} plots (${totalNew} new)`);
+// Municipalities scraped in parallel; Finn.no request rate is capped by the shared
+// limiter in scraper.js, so more workers only help while others wait on responses
+const SCRAPE_WORKERS = Math.max(1, Number(process.env.SCRAPE_WORKERS) || 3);
+const MUNICIPALITY_ATTEMPTS = 3;
+const MUNICIPALITY_RETRY_DELAY = 30000; // ms before a failed municipality is picked up again
+
+// Source adapters to scrape (LISTING_SOURCES); resolved at startup so a typo fails fast
+const listingSources = getEnabledSources();
+
+/**
+ * Scrape one municipality job. Each source/category pair is tracked on the job
+ * so a retry only repeats the parts that failed.
+ */
+async function processMunicipality(job, run) {
+  const { muni, full } = job;
+  const hasTax = housingTaxRate(muni) !== 0;
+  const mode = full ? 'full' : 'incremental';
+  const prefix = `  [${muni.name} (${muni.code})${job.attempts > 1 ? ` attempt ${job.attempts}` : ''}]`;
+
+  for (const source of listingSources) {
+    for (const category of source.categories) {
+      const key = `${source.name}:${category}`;
+      if (job.done[key]) continue;
+
+      console.log(`${prefix} Fetching ${category} from ${source.label}${hasTax ? ' [TAX]' : ''} [${mode}]...`);
+      const listings = await fetchMunicipalityListings(source, muni, category, {
+        known: full ? null : getKnownListings(muni.code, source.name, category),
+        metrics: run.metrics,
+      });
+      job.done[key] = {
+        label: listingSources.length > 1 ? `${category} (${source.label})` : category,
+        found: listings.length,
+        new: upsertListings(muni.code, muni.name, listings, { hasPropertyTax: hasTax, source: source.name }),
+        skipped: listings.filter(l => l.detailsSkipped).length,
+      };
+      if (full && listings.length > 0) {
+        run.swept.set(`${muni.code}:${source.name}`, { municipalityCode: muni.code, source: source.name });
       }
-
-      // Rate limiting: 2s between municipalities
-      await new Promise(r => setTimeout(r, 2000));
-    } catch (err) {
-      console.error(`    Error for ${muni.name}:`, err.message);
-      db.prepare(`
-        INSERT INTO update_log (municipality_code, error)
-        VALUES (?, ?)
-      `).run(muni.code, err.message);
+      isRunDegraded(run);
     }
   }
 
-  isRefreshing = false;
+  linkDuplicates(muni.code);
+
+  const results = Object.values(job.done);
+  const totalFound = results.reduce((sum, r) => sum + r.found, 0);
+  const totalNew = results.reduce((sum, r) => sum + r.new, 0);
+  const skipped = results.reduce((sum, r) => sum + r.skipped, 0);
+
+  db.prepare(`
+    INSERT INTO update_log (municipality_code, listings_found, new_listings, mode, run_id)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(muni.code, totalFound, totalNew, mode, run.id);
+
+  if (totalFound > 0) {
+    const found = results.map(r => `${r.found} ${r.label}`).join(' + ');
+    console.log(`${prefix} Found ${found} (${totalNew} new${skipped ? `, ${skipped} unchanged` : ''})`);
+  }
+}
+
+// Run update: incremental per municipality unless a full sweep is due (or forced).
+// Only one runs at a time; a call while another is in progress does nothing.
+async function runUpdate(options = {}) {
+  if (isRefreshing) {
+    console.log('Update already running, not starting another');
+    return;
+  }
+  const municipalities = require('./data/municipalities.json');
+  const recentlySwept = options.full ? new Set() : getRecentlySweptMunicipalities();
+
+  isRefreshing = true;
+  try {
+    refreshProgress = 0;
+    refreshTotal = municipalities.length;
+
+    console.log(`[${new Date().toISOString()}] Starting update for ${municipalities.length} municipalities ` +
+      `(${municipalities.length - recentlySwept.size} due a full sweep, ${SCRAPE_WORKERS} workers)...`);
+
+    // Mark all current listings as not-new before refresh
+    db.prepare('UPDATE listings SET is_new = 0').run();
+
+    const run = {
+      id: db.prepare('INSERT INTO scrape_runs DEFAULT VALUES').run().lastInsertRowid,
+      startedAt: new Date().toISOString().replace('T', ' ').slice(0, 19),
+      metrics: createScrapeMetrics(),
+      ok: 0,
+      failed: 0,
+      degradedReason: null,
+      swept: new Map(), // municipality/source pairs whose stale listings can be archived
+    };
+    currentRun = run;
+
+    // Job queue: failed municipalities go to the back with a retry-after time
+    const queue = municipalities.map(muni => ({
+      muni, full: !recentlySwept.has(muni.code), attempts: 0, retryAt: 0, done: {},
+    }));
+    let inFlight = 0;
+
+    async function worker() {
+      while (queue.length > 0 || inFlight > 0) {
+        const index = queue.findIndex(j => j.retryAt <= Date.now());
+        if (index === -1) {
+          // Only retries pending (or others still running that may fail): wait a bit
+          await new Promise(r => setTimeout(r, 1000));
+          continue;
+        }
+
+        const job = queue.splice(index, 1)[0];
+        job.attempts++;
+        inFlight++;
+        try {
+          await processMunicipality(job, run);
+          refreshProgress++;
+          run.ok++;
+        } catch (err) {
+          if (job.attempts < MUNICIPALITY_ATTEMPTS) {
+            console.warn(`    ${err.message} — retrying later (attempt ${job.attempts}/${MUNICIPALITY_ATTEMPTS})`);
+            job.retryAt = Date.now() + MUNICIPALITY_RETRY_DELAY * job.attempts;
+            queue.push(job);
+          } else {
+            refreshProgress++;
+            run.failed++;
+            console.error(`    Error for ${job.muni.name}:`, err.message);
+            db.prepare(`
+              INSERT INTO update_log (municipality_code, error, mode, run_id)
+              VALUES (?, ?, ?, ?)
+            `).run(job.muni.code, err.message, job.full ? 'full' : 'incremental', run.id);
+          }
+        }
+        inFlight--;
+      }
+    }
+
+    await Promise.all(Array.from({ length: SCRAPE_WORKERS }, worker));
+
+    if (!isRunDegraded(run)) archiveStaleListings(run);
+    const columns = metricsToColumns(run.metrics);
+    db.prepare(`
+      UPDATE scrape_runs SET finished_at = datetime('now'), municipalities_ok = ?, municipalities_failed = ?,
+        pages_fetched = ?, decode_failures = ?, docs_total = ?, detail_fetched = ?, detail_failures = ?,
+        degraded = ?, degraded_reason = ?
+      WHERE id = ?
+    `).run(run.ok, run.failed, columns.pages_fetched, columns.decode_failures, columns.docs_total,
+      columns.detail_fetched, columns.detail_failures, run.degradedReason ? 1 : 0, run.degradedReason, run.id);
+
+    await evaluateSavedSearches();
+  } finally {
+    // A failed run must not leave /api/refresh reporting a refresh in progress
+    isRefreshing = false;
+    currentRun = null;
+  }
   console.log(`[${new Date().toISOString()}] Update complete.`);
 }
 
 // Schedule updates every 6 hours
 cron.schedule('0 */6 * * *', () => {
+  if (isRefreshing) {
+    console.log('Scheduled update skipped: a refresh is still running');
+    return;
+  }
   console.log('Scheduled update triggered');
   runUpdate().catch(err => console.error('Scheduled update failed:', err));
 });
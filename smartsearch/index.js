@@ -0,0 +1,207 @@
+/**
+ * Smart search providers turn a free-text query into listing filters. Each
+ * provider exports:
+ *
+ *   name    id used in SMART_SEARCH_PROVIDER and returned to the client
+ *   label   display name (e.g. 'DeepSeek')
+ *   model   model name, part of the cache key (LLM providers only)
+ *   parse(query, context) -> Promise<object>
+ *           raw filter object; throws when the provider is unavailable.
+ *           With context ({ current, history }) the query refines the
+ *           current filters: only changed keys are returned, null removes one.
+ *
+ * SMART_SEARCH_PROVIDER picks one of:
+ *
+ *   deepseek  DeepSeek API (DEEPSEEK_API_KEY, optional DEEPSEEK_MODEL)
+ *   openai    any OpenAI-compatible endpoint, e.g. a local llama.cpp server
+ *             or Ollama: SMART_SEARCH_URL (".../v1"), SMART_SEARCH_MODEL and
+ *             an optional SMART_SEARCH_API_KEY
+ *   rules     offline keyword parser, no network
+ *
+ * Unset, it is deepseek when DEEPSEEK_API_KEY is set, openai when
+ * SMART_SEARCH_URL is, else rules. A failing LLM provider falls back to rules.
+ */
+const crypto = require('crypto');
+const { createChatProvider } = require('./llm');
+const { rulesProvider } = require('./rules');
+const { SMART_SEARCH_SYSTEM_PROMPT } = require('./prompt');
+
+const PROVIDERS = {
+  deepseek: () => createChatProvider({
+    name: 'deepseek',
+    label: 'DeepSeek',
+    url: 'https://api.deepseek.com/chat/completions',
+    model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+    apiKey: process.env.DEEPSEEK_API_KEY,
+  }),
+  openai: () => createChatProvider({
+    name: 'openai',
+    label: 'OpenAI-compatible endpoint',
+    url: process.env.SMART_SEARCH_URL,
+    model: process.env.SMART_SEARCH_MODEL,
+    apiKey: process.env.SMART_SEARCH_API_KEY,
+  }),
+  rules: () => rulesProvider,
+};
+
+const ALLOWED_SMART_KEYS = new Set([
+  'municipality', 'category', 'min_price', 'max_price', 'min_area',
+  'property_type', 'developed', 'building_obligation', 'plot_owned',
+  'winter_access', 'concession', 'water_supply', 'sewer', 'max_municipal_fees',
+  'sort', 'new_only', 'no_fees', 'max_tax_rate',
+  'from', 'min_drive_minutes', 'max_drive_minutes'
+]);
+
+// Driving time keys describe one zone, so a follow-up replaces all three
+const DRIVE_KEYS = ['from', 'min_drive_minutes', 'max_drive_minutes'];
+
+// Earlier queries of a refinement session passed on to the model
+const MAX_HISTORY = 5;
+const MAX_HISTORY_QUERY_LENGTH = 200;
+
+/**
+ * Provider selected by the environment (read on each call, so a changed
+ * .env only needs a restart and tests can switch providers)
+ */
+function getSmartSearchProvider() {
+  const name = process.env.SMART_SEARCH_PROVIDER
+    || (process.env.DEEPSEEK_API_KEY ? 'deepseek' : process.env.SMART_SEARCH_URL ? 'openai' : 'rules');
+  if (!PROVIDERS[name]) throw new Error(`Unknown smart search provider "${name}"`);
+  return PROVIDERS[name]();
+}
+
+/**
+ * Whitelist-sanitize: only keep allowed keys with a value
+ */
+function sanitizeFilters(parsed) {
+  const filters = {};
+  for (const [key, value] of Object.entries(parsed || {})) {
+    if (ALLOWED_SMART_KEYS.has(key) && value !== null && value !== undefined && value !== '') {
+      filters[key] = value;
+    }
+  }
+  return filters;
+}
+
+/**
+ * Whitelist-sanitize a follow-up's changes: like sanitizeFilters, but null
+ * (remove the filter) is kept
+ */
+function sanitizeChanges(parsed) {
+  const changes = {};
+  for (const [key, value] of Object.entries(parsed || {})) {
+    if (ALLOWED_SMART_KEYS.has(key) && value !== undefined && value !== '') {
+      changes[key] = value;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Current filters with a follow-up's changes applied. A municipality and a
+ * driving time zone exclude each other, so setting one drops the other.
+ */
+function applyChanges(current, changes) {
+  const filters = { ...current };
+  if (DRIVE_KEYS.some(key => key in changes) || changes.municipality != null) {
+    DRIVE_KEYS.forEach(key => delete filters[key]);
+  }
+  if (changes.max_drive_minutes != null) delete filters.municipality;
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete filters[key];
+    else filters[key] = value;
+  }
+  return filters;
+}
+
+/**
+ * What a refinement changed, as { added, changed, removed }: added and
+ * removed map keys to values, changed maps keys to { from, to }. Values are
+ * compared as strings ("2000000" from the URL equals 2000000 from a model).
+ */
+function diffFilters(before, after) {
+  const diff = { added: {}, changed: {}, removed: {} };
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) diff.added[key] = value;
+    else if (String(before[key]) !== String(value)) diff.changed[key] = { from: before[key], to: value };
+  }
+  for (const [key, value] of Object.entries(before)) {
+    if (!(key in after)) diff.removed[key] = value;
+  }
+  return diff;
+}
+
+/**
+ * Session history as sent by the client: the last few non-empty query strings
+ */
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(q => typeof q === 'string' && q.trim())
+    .map(q => q.trim().slice(0, MAX_HISTORY_QUERY_LENGTH))
+    .slice(-MAX_HISTORY);
+}
+
+/**
+ * Query text as cached and logged: case, spacing and closing punctuation
+ * don't change what it asks for
+ */
+function normaliseQuery(query) {
+  return String(query).normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[\s.!?]+$/, '');
+}
+
+/**
+ * Cache key for a provider's answer. The prompt is part of it, so a new
+ * prompt (or travel-time dataset) does not reuse old interpretations.
+ */
+function cacheKey(provider, query, context) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider.name, provider.model || null, SMART_SEARCH_SYSTEM_PROMPT, normaliseQuery(query), context]))
+    .digest('hex');
+}
+
+/**
+ * Interpret a query with the configured provider. Returns { filters, diff,
+ * provider, fallback, cached }, where fallback is true when the LLM provider
+ * failed and the offline parser answered instead.
+ *
+ * Given `current` filters the query is a follow-up ("now only freehold"):
+ * filters is the current state with the query's changes applied and diff
+ * says what changed. `history` holds the session's earlier queries. Without
+ * `current`, filters comes from the query alone and diff is null.
+ *
+ * `cache` ({ get(key), set(key, changes) }) keeps LLM answers; cached is true
+ * when one was reused. Offline parser answers are not cached.
+ */
+async function smartSearch(query, { current = null, history = [], cache = null } = {}) {
+  const context = current ? { current: sanitizeFilters(current), history: sanitizeHistory(history) } : null;
+  const result = parsed => {
+    if (!context) return { filters: sanitizeFilters(parsed), diff: null };
+    const filters = applyChanges(context.current, sanitizeChanges(parsed));
+    return { filters, diff: diffFilters(context.current, filters) };
+  };
+
+  const provider = getSmartSearchProvider();
+  if (provider !== rulesProvider) {
+    const key = cache ? cacheKey(provider, query, context) : null;
+    const hit = key ? cache.get(key) : null;
+    if (hit) return { ...result(hit), provider: provider.name, fallback: false, cached: true };
+    try {
+      const changes = sanitizeChanges(await provider.parse(query, context));
+      if (key) cache.set(key, changes);
+      return { ...result(changes), provider: provider.name, fallback: false, cached: false };
+    } catch (err) {
+      console.error(`Smart search via ${provider.label} failed, using offline parser:`, err.message);
+    }
+  }
+  return {
+    ...result(await rulesProvider.parse(query, context)),
+    provider: rulesProvider.name,
+    fallback: provider !== rulesProvider,
+    cached: false,
+  };
+}
+
+module.exports = {
+  smartSearch, getSmartSearchProvider, sanitizeFilters, applyChanges, diffFilters, normaliseQuery, ALLOWED_SMART_KEYS,
+};
@@ -0,0 +1,91 @@
+// Smart-search provider for any OpenAI-compatible chat completions endpoint:
+// DeepSeek, or a local llama.cpp server / Ollama / LM Studio.
+const { SMART_SEARCH_SYSTEM_PROMPT } = require('./prompt');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Full chat completions URL from either a base URL ("http://localhost:11434/v1")
+ * or the endpoint itself
+ */
+function completionsUrl(url) {
+  const trimmed = url.replace(/\/+$/, '');
+  return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+}
+
+/**
+ * The JSON object in a model reply. Local models sometimes wrap it in a
+ * markdown fence or a sentence despite the prompt.
+ */
+function extractJson(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start < 0 || end < start) throw new Error('No JSON object in model reply');
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+/**
+ * User message for a query. A follow-up also carries the current filters and
+ * the session's earlier queries (see FOLLOW-UP QUERIES in the prompt).
+ */
+function userMessage(query, context) {
+  if (!context) return query;
+  const lines = [`Current filters: ${JSON.stringify(context.current)}`];
+  if (context.history.length > 0) {
+    lines.push(`Earlier queries: ${context.history.map(q => JSON.stringify(q)).join(', ')}`);
+  }
+  lines.push(`Follow-up: ${query}`);
+  return lines.join('\n');
+}
+
+/**
+ * Provider that asks a chat model to turn the query into filters. `url` and
+ * `model` are required; `apiKey` may be omitted for local servers. parse()
+ * throws when the provider is not configured, the request fails or the reply
+ * is not a JSON object.
+ */
+function createChatProvider({ name, label, url, model, apiKey = null }) {
+  return {
+    name,
+    label,
+    model,
+    async parse(query, context = null) {
+      if (!url || !model) throw new Error(`${label} is not configured`);
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(completionsUrl(url), {
+        method: 'POST',
+        headers,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: SMART_SEARCH_SYSTEM_PROMPT },
+            { role: 'user', content: userMessage(query, context) },
+          ],
+        }),
+      });
+
+      if (!response.ok) {
+        const errText = await response.text();
+        throw new Error(`${label} API error ${response.status}: ${errText.slice(0, 200)}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (!content) throw new Error(`No response from ${label}`);
+
+      const parsed = extractJson(content);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${label} did not return a filter object`);
+      }
+      return parsed;
+    },
+  };
+}
+
+module.exports = { createChatProvider, completionsUrl, extractJson, userMessage };
@@ -0,0 +1,275 @@
+// Offline smart-search parser. Turns a Norwegian or English query into the
+// same filters the LLM providers return, with keyword rules that mirror
+// SMART_SEARCH_SYSTEM_PROMPT. Deterministic, so it also backs the tests.
+const MUNICIPALITIES = require('../data/municipalities.json');
+const { findHub } = require('../traveltimes');
+const { hasHousingTaxRates } = require('../costs');
+
+// ‰ limits above 0 only mean something once tax rates are imported
+const TAX_RATES_KNOWN = hasHousingTaxRates(MUNICIPALITIES);
+
+// Short names that are also everyday words ("time", "hole", "moss", "ås",
+// "nes") only count as a municipality after a preposition: "house in Hole"
+const DISTINCT_SHORT_NAMES = new Set(['oslo', 'alta', 'bodø', 'voss', 'røst']);
+const COMMON_WORD_NAMES = new Set(['strand', 'marker', 'fjord']);
+const PLACE_PREPOSITION = '(?:in|i|near|nær|ved|at|på|from|fra|around|rundt|outside|utenfor)\\s+';
+
+// Letters, digits and hyphens belong to a word, so "stor" does not match inside "Stor-Elvdal"
+const WORD_START = '(?<![\\p{L}\\d-])';
+const WORD_END = '(?![\\p{L}\\d-])';
+
+function word(source) {
+  return new RegExp(`${WORD_START}(?:${source})${WORD_END}`, 'iu');
+}
+
+// Amounts: "2M", "2,5 mill", "500k", "1 500 000 kr", "2000000"
+const NUMBER = '(\\d{1,3}(?:[ \\u00a0.]\\d{3})+|\\d+(?:[.,]\\d+)?)';
+const AMOUNT_UNIT = '(m(?![²2])|mill(?:ion(?:er|s)?)?\\.?|mnok|k|kr|nok)?';
+const AMOUNT = `${NUMBER}\\s*${AMOUNT_UNIT}${WORD_END}`;
+const TIME_UNIT = '\\s*(h|hrs?|hours?|t|timer?|timers?|min|mins|minutes?|minutt(?:er)?)(?:\\s+(?:drive|driving|kjøring))?';
+const FROM = '\\s+(?:from|of|fra|away from|unna)\\s+';
+const PLACE = '(\\p{L}[\\p{L}-]*)';
+
+/**
+ * Number from query text: "1 500 000" and "1.500.000" are grouped
+ * thousands, "2,5" and "2.5" decimals
+ */
+function parseNumber(number) {
+  const grouped = /^\d{1,3}(?:[ \u00a0.]\d{3})+$/.test(number);
+  return grouped ? Number(number.replace(/[ \u00a0.]/g, '')) : Number(number.replace(',', '.'));
+}
+
+/**
+ * NOK value of a number and its unit. Bare numbers below 10 000 are not
+ * read as prices ("under 2" says nothing about money).
+ */
+function parseAmount(number, unit) {
+  const value = parseNumber(number);
+  if (!Number.isFinite(value)) return null;
+  const u = (unit || '').toLowerCase();
+  if (/^m/.test(u)) return Math.round(value * 1000000);
+  if (u === 'k') return Math.round(value * 1000);
+  if (u || value >= 10000) return Math.round(value);
+  return null;
+}
+
+/**
+ * Lowercased name variants of a municipality: Sámi and other official
+ * alternatives ("Harstad - Hárstták") each count on their own
+ */
+function nameVariants(muni) {
+  return muni.name.toLowerCase().split(' - ').map(n => n.trim()).filter(Boolean);
+}
+
+function isAmbiguousName(name) {
+  return (name.length <= 4 && !DISTINCT_SHORT_NAMES.has(name)) || COMMON_WORD_NAMES.has(name);
+}
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest names first so "Nordre Follo" wins over any shorter name inside it
+const NAME_MATCHERS = MUNICIPALITIES
+  .flatMap(m => nameVariants(m).map(name => ({ code: m.code, name })))
+  .sort((a, b) => b.name.length - a.name.length)
+  .map(({ code, name }) => ({
+    code,
+    name,
+    pattern: new RegExp(`${isAmbiguousName(name) ? `${WORD_START}${PLACE_PREPOSITION}` : WORD_START}${escapeRe(name)}${WORD_END}`, 'giu'),
+  }));
+
+const CODES_BY_NAME = new Map(NAME_MATCHERS.map(m => [m.name, m.code]));
+
+/**
+ * Minutes in a duration: hours unless the unit says minutes
+ */
+function toMinutes(number, unit) {
+  const value = parseNumber(number);
+  return Math.round(/^min/.test(unit) ? value : value * 60);
+}
+
+// Distance phrases, tried in order; each returns [minMinutes, maxMinutes]
+// from the hub named in capture group `place`
+const DISTANCE_RULES = [
+  { pattern: `${NUMBER}\\s*[-–]\\s*${NUMBER}${TIME_UNIT}${FROM}${PLACE}`, range: m => [toMinutes(m[1], m[3]), toMinutes(m[2], m[3])], place: 4 },
+  { pattern: `(?:between|mellom)\\s+${NUMBER}\\s+(?:and|og)\\s+${NUMBER}${TIME_UNIT}${FROM}${PLACE}`, range: m => [toMinutes(m[1], m[3]), toMinutes(m[2], m[3])], place: 4 },
+  { pattern: `(?:within|innen|under|less than|max|maks|inntil|up to)\\s+${NUMBER}${TIME_UNIT}${FROM}${PLACE}`, range: m => [0, toMinutes(m[1], m[2])], place: 3 },
+  { pattern: `${NUMBER}${TIME_UNIT}${FROM}${PLACE}`, range: m => [Math.max(0, toMinutes(m[1], m[2]) - 60), toMinutes(m[1], m[2])], place: 3 },
+  { pattern: `(?:near|close to|nær|nærme|i nærheten av|rundt|around|outside|utenfor)\\s+${PLACE}`, range: () => [0, 60], place: 1, town: true },
+].map(rule => ({ ...rule, pattern: new RegExp(`${WORD_START}${rule.pattern}`, 'giu') }));
+
+// Keyword rules. The first rule to set a key wins, so specific phrases come
+// before the general ones ("cheapest to own" before "cheap").
+const KEYWORD_RULES = [
+  ['tax[- ]?free|no (?:property )?tax|without property tax|skattefri|uten eiendomsskatt|ingen eiendomsskatt', { max_tax_rate: 0 }],
+  ...(TAX_RATES_KNOWN ? [['low (?:property )?tax|lav eiendomsskatt', { max_tax_rate: 2 }]] : []),
+
+  ['plots?|tomt(?:er|a|en)?|byggetomt(?:er)?|hyttetomt(?:er)?|building (?:plot|site)s?', { category: 'tomt' }],
+  ['farms?|farm ?land|agricultural land|småbruk(?:et)?|gårdsbruk(?:et)?|gård(?:er|en)?|landbrukseiendom(?:men)?|smallholdings?', { category: 'farm' }],
+  ['cabins?|hytter?|hytta|fritidsbolig(?:er)?|holiday homes?|cottages?', { category: 'cabin' }],
+  ['houses?|homes?|hus|bolig(?:er)?|enebolig(?:er)?|detached|leilighet(?:er)?|apartments?|flats?|rekkehus|townhouses?|tomannsbolig(?:er)?|semi-detached|duplex', { category: 'home' }],
+  // Bare "land" is a plot only when nothing above named the kind of property ("house with land")
+  ['land', { category: 'tomt' }],
+
+  ['enebolig(?:er)?|detached(?: house)?', { property_type: 'Enebolig' }],
+  ['leilighet(?:er)?|apartments?|flats?', { property_type: 'Leilighet' }],
+  ['rekkehus|townhouses?|terraced house', { property_type: 'Rekkehus' }],
+  ['tomannsbolig(?:er)?|semi-detached|duplex', { property_type: 'Tomannsbolig' }],
+
+  ['selveier|selveiet|freehold|eiet tomt|owned plot', { plot_owned: 'selveier' }],
+  ['tomtefeste|festetomt|leasehold|leased plot', { plot_owned: 'tomtefeste' }],
+
+  ['no (?:building )?obligation|no (?:byggeklausul|byggeplikt|building clause)|(?:uten|ingen) (?:byggeklausul|byggeplikt)|without (?:a )?(?:building )?(?:obligation|clause)', { building_obligation: 'none' }],
+
+  ['undeveloped|unserviced|uopparbeidet|(?:not|ikke|un-) ?(?:yet |er |fully |helt |ferdig )?(?:developed|serviced|opparbeidet)|raw land|no utilities', { developed: '0' }],
+  ['developed|serviced|opparbeidet|utilities connected', { developed: '1' }],
+
+  ['no winter (?:road|access)|ikke (?:vinter)?brøytet|ingen vinterbrøyting|summer road only', { winter_access: '0' }],
+  ['winter access|winter road|brøytet vei|brøyta vei|vinterbrøytet|helårsvei|year-round (?:road|access)', { winter_access: '1' }],
+
+  ['konsesjonsfri|no concession|concession[- ]free|uten konsesjon', { concession: 'free' }],
+  ['konsesjonsplikt(?:ig)?|concession required|requires concession', { concession: 'required' }],
+
+  ['(?:public|municipal|kommunalt?|offentlig) (?:water and sewer|vann og avløp|vann og kloakk)', { water_supply: 'public', sewer: 'public' }],
+  ['water (?:is )?not connected|no water|ikke tilknyttet vann|uten vann', { water_supply: 'none' }],
+  ['(?:public|municipal) water|(?:kommunalt|offentlig) vann', { water_supply: 'public' }],
+  ['own well|egen brønn|private water|privat vann|borehole|brønn|well water', { water_supply: 'private' }],
+  ['(?:public|municipal) sewer|(?:kommunalt|offentlig) avløp|kommunal kloakk', { sewer: 'public' }],
+  ['septic(?: tank)?|septiktank|slamavskiller|private sewer|privat avløp|minirenseanlegg', { sewer: 'septic' }],
+
+  ['cheapest to own|low running costs?|lowest (?:monthly|yearly|running) costs?|billig(?:st)? i drift|lave (?:drifts|bo)kostnader|lave boutgifter', { sort: 'cost_asc' }],
+  ['cheap(?:est)?|affordable|budget|billig(?:st|e)?|rimelig(?:e|st)?', { sort: 'price_asc' }],
+  ['most expensive|luxury|luksus|dyreste', { sort: 'price_desc' }],
+  ['large|big(?:gest)?|largest|spacious|stor|store|største|romslig(?:e)?', { sort: 'area_desc' }],
+  ['smallest|minste', { sort: 'area_asc' }],
+  ['newest|latest|nyeste|sist publisert', { sort: 'newest' }],
+
+  ['new listings?|new only|just listed|recently listed|nye annonser|nylig (?:lagt ut|publisert)', { new_only: '1' }],
+  ['no (?:shared |monthly |common )?(?:fees|costs)|no hoa|(?:uten|ingen) felleskost(?:nader)?|no felleskost(?:nader)?', { no_fees: '1' }],
+].map(([source, filters]) => ({ pattern: word(source), filters }));
+
+// Follow-ups that drop a filter ("any price", "anywhere"). Removed keys are
+// returned as null; a fresh search simply has nothing to remove.
+const DRIVE_CLEARED = { from: null, min_drive_minutes: null, max_drive_minutes: null };
+const CLEAR_RULES = [
+  ['any price|no price limit|remove the price(?: limit)?|uansett pris|ingen prisgrense', { min_price: null, max_price: null }],
+  ['anywhere|any municipality|all of norway|whole country|hvor som helst|hele landet|alle kommuner', { municipality: null, ...DRIVE_CLEARED }],
+  ['any distance|any drive time|no drive limit|uansett kjøretid|uansett avstand', DRIVE_CLEARED],
+  ['any size|uansett størrelse', { min_area: null }],
+  ['any type|all types|alle typer|uansett type', { property_type: null }],
+  ['any (?:property )?tax|uansett eiendomsskatt', { max_tax_rate: null }],
+  ['any fees|uansett avgifter', { max_municipal_fees: null, no_fees: null }],
+  ['not (?:only|just) new|older listings too|also older|include older|også eldre', { new_only: null }],
+].map(([source, filters]) => ({ pattern: word(source), filters }));
+
+/**
+ * Remove every match of a global pattern from the working text, calling fn
+ * on each. Consumed text cannot match a later rule ("under 2 promille" is
+ * not also a price).
+ */
+function consume(state, pattern, fn) {
+  state.text = state.text.replace(pattern, (...m) => (fn(m) === false ? m[0] : ' '));
+}
+
+/**
+ * Parse a free-text query into filters. Only keys the query implies are set,
+ * to null for a filter the query removes; an empty object means nothing was
+ * understood.
+ */
+function parseQuery(query) {
+  const filters = {};
+  const codes = [];
+  const state = { text: ` ${String(query || '').toLowerCase().replace(/\s+/g, ' ')} ` };
+  const set = (key, value) => {
+    if (!(key in filters) && value !== null && value !== undefined) filters[key] = value;
+  };
+  const addCodes = list => list.forEach(c => { if (!codes.includes(c)) codes.push(c); });
+
+  // Distances first, so the hub's name is not also read as a municipality.
+  // "near <town>" for a town that is not a hub means the town itself.
+  for (const rule of DISTANCE_RULES) {
+    consume(state, rule.pattern, m => {
+      const hub = findHub(m[rule.place]);
+      if (hub) {
+        const [min, max] = rule.range(m);
+        set('from', hub.code);
+        if (min > 0) set('min_drive_minutes', min);
+        set('max_drive_minutes', max);
+        return;
+      }
+      const town = rule.town && CODES_BY_NAME.get(m[rule.place]);
+      if (!town) return false;
+      addCodes([town]);
+    });
+  }
+
+  for (const { code, pattern } of NAME_MATCHERS) {
+    consume(state, pattern, () => addCodes([code]));
+  }
+  if (codes.length > 0) set('municipality', codes.join(','));
+
+  // Property tax: "eiendomsskatt under 2 promille", "property tax below 2‰".
+  // Consumed either way, so the rate is never read as a price.
+  consume(state, new RegExp(`(?:property tax|eiendomsskatt)\\s+(?:under|below|max|maks|at most|<|≤)\\s*${NUMBER}\\s*(?:promille|‰|per mille|permille)?`, 'giu'), m => {
+    const rate = parseNumber(m[1]);
+    if (rate === 0 || TAX_RATES_KNOWN) set('max_tax_rate', rate);
+  });
+
+  // Municipal fees: "kommunale avgifter under 15 000"
+  consume(state, new RegExp(`(?:kommunale avgifter|municipal fees)\\s+(?:under|below|max|maks|at most|<|≤)\\s*${AMOUNT}`, 'giu'), m => {
+    const amount = parseAmount(m[1], m[2]) ?? Number(m[1]);
+    set('max_municipal_fees', amount);
+  });
+
+  // Area: "over 100 m²", "120 kvm", "5 mål" (1 mål = 1 dekar = 1000 m²)
+  consume(state, new RegExp(`${WORD_START}(?:(over|above|more than|at least|min(?:imum)?|minst|fra|from|under|below|max|maks)\\s*)?${NUMBER}\\s*(m2|m²|kvm|sqm|square met(?:er|re)s?|kvadratmeter|mål|dekar|daa)${WORD_END}`, 'giu'), m => {
+    if (/^(?:under|below|max|maks)$/.test(m[1] || '')) return;
+    const value = parseNumber(m[2]);
+    set('min_area', Math.round(/^(?:mål|dekar|daa)$/.test(m[3]) ? value * 1000 : value));
+  });
+
+  // Price ranges, then upper and lower bounds
+  consume(state, new RegExp(`${WORD_START}(?:(?:between|mellom|from|fra)\\s+)?${NUMBER}\\s*${AMOUNT_UNIT}\\s*(?:-|–|to|til|and|og)\\s*${AMOUNT}`, 'giu'), m => {
+    const max = parseAmount(m[3], m[4]);
+    const min = parseAmount(m[1], m[2] || m[4]);
+    if (min === null || max === null) return false;
+    set('min_price', min);
+    set('max_price', max);
+  });
+  consume(state, new RegExp(`${WORD_START}(?:under|below|less than|max(?:imum)?|maks|up to|opp til|inntil|innen|cheaper than|billigere enn|<|≤)\\s*${AMOUNT}`, 'giu'), m => {
+    const amount = parseAmount(m[1], m[2]);
+    if (amount === null) return false;
+    set('max_price', amount);
+  });
+  consume(state, new RegExp(`${WORD_START}(?:over|above|more than|min(?:imum)?|minst|at least|from|fra|>|≥)\\s*${AMOUNT}`, 'giu'), m => {
+    const amount = parseAmount(m[1], m[2]);
+    if (amount === null) return false;
+    set('min_price', amount);
+  });
+
+  for (const { pattern, filters: implied } of KEYWORD_RULES) {
+    if (!pattern.test(state.text)) continue;
+    for (const [key, value] of Object.entries(implied)) set(key, value);
+  }
+
+  for (const { pattern, filters: cleared } of CLEAR_RULES) {
+    if (!pattern.test(state.text)) continue;
+    for (const key of Object.keys(cleared)) {
+      if (!(key in filters)) filters[key] = null;
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Provider wrapper, same shape as the LLM providers
+ */
+const rulesProvider = {
+  name: 'rules',
+  label: 'Offline parser',
+  async parse(query) {
+    return parseQuery(query);
+  },
+};
+
+module.exports = { parseQuery, parseAmount, rulesProvider };
@@ -0,0 +1,823 @@
+// Finn.no source adapter: search result pages and ad pages are React Router
+// turbo-stream payloads, decoded here into the shared listing shape.
+const path = require('path');
+const fs = require('fs');
+const { createTokenBucket } = require('../ratelimit');
+const { parseUtilityDetails } = require('../utilities');
+
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const MAX_PAGES = 10; // Max pages per search (500 listings)
+const MAX_RETRIES = 4; // Retries per request on 429/5xx/network errors
+const BACKOFF_BASE = 2000; // ms, doubled on each retry
+
+// One limiter for every Finn.no request (search and detail pages) across all workers
+const finnLimiter = createTokenBucket({
+  ratePerSecond: Number(process.env.FINN_REQUESTS_PER_SECOND) || 1,
+  burst: Number(process.env.FINN_REQUEST_BURST) || 2,
+});
+
+/**
+ * Rate-limited GET against Finn.no with exponential backoff on 429/5xx and
+ * network errors. Honours Retry-After; other non-OK responses are returned as-is.
+ */
+async function finnFetch(url) {
+  for (let attempt = 0; ; attempt++) {
+    await finnLimiter.take();
+
+    let resp = null;
+    let error = null;
+    try {
+      resp = await fetch(url, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml',
+          'Accept-Language': 'nb-NO,nb;q=0.9,no;q=0.8,en;q=0.7',
+        },
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    const retryable = error || resp.status === 429 || resp.status >= 500;
+    if (!retryable) return resp;
+    if (attempt >= MAX_RETRIES) {
+      if (error) throw error;
+      return resp;
+    }
+
+    const retryAfter = resp ? Number(resp.headers.get('retry-after')) : NaN;
+    const delay = Number.isFinite(retryAfter) && retryAfter > 0
+      ? retryAfter * 1000
+      : BACKOFF_BASE * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+    console.warn(`    ${error ? error.message : `HTTP ${resp.status}`} from Finn.no, retrying in ${Math.round(delay / 1000)}s...`);
+    await new Promise(r => setTimeout(r, delay));
+  }
+}
+
+/**
+ * Decode React Router turbo-stream data from Finn.no pages.
+ * Finn.no migrated from Remix (__remixContext) to React Router (__reactRouterContext)
+ * which uses a streamed indexed-array serialization format.
+ * Returns null without a payload; a payload that isn't valid JSON throws, and
+ * counts as a decode failure in metrics when given.
+ */
+function decodeTurboStream(html, metrics = null) {
+  // Extract the turbo-stream payload from the enqueue call
+  const enqueueStart = html.indexOf('streamController.enqueue(');
+  if (enqueueStart === -1) return null;
+
+  const strStart = html.indexOf('"', enqueueStart + 24);
+  if (strStart === -1) return null;
+
+  // Walk the JS string to find the closing quote, respecting escapes
+  let i = strStart + 1;
+  while (i < html.length) {
+    if (html[i] === '\\') { i += 2; continue; }
+    if (html[i] === '"') break;
+    i++;
+  }
+
+  const jsString = html.slice(strStart, i + 1);
+
+  // Double-parse: first JS string unescape, then JSON array
+  try {
+    const inner = JSON.parse(jsString);
+    return JSON.parse(inner);
+  } catch (err) {
+    if (metrics) metrics.decodeFailures++;
+    throw err;
+  }
+}
+
+/**
+ * Resolve a turbo-stream indexed reference into a plain JS object.
+ * The turbo-stream format stores data as a flat array where objects use
+ * {"_keyIndex": valueIndex} pairs referencing other positions in the array.
+ * Negative indices are special values (null/undefined).
+ */
+function resolveRef(arr, idx, depth = 0) {
+  if (depth > 15) return null;
+
+  let val;
+  if (typeof idx === 'number') {
+    if (idx < 0) return null; // -5 = undefined, -7 = null, etc.
+    val = arr[idx];
+  } else {
+    val = idx;
+  }
+
+  if (val && typeof val === 'object' && !Array.isArray(val)) {
+    const out = {};
+    for (const [k, v] of Object.entries(val)) {
+      const keyIdx = parseInt(k.replace('_', ''), 10);
+      const keyName = arr[keyIdx];
+      out[keyName] = resolveRef(arr, v, depth + 1);
+    }
+    return out;
+  }
+
+  if (Array.isArray(val)) {
+    return val.map(x => resolveRef(arr, x, depth + 1));
+  }
+
+  return val;
+}
+
+// Load Finn.no location code mapping
+let finnLocations = {};
+try {
+  finnLocations = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'finn_locations.json'), 'utf8'));
+} catch (e) {
+  console.warn('Warning: Could not load finn_locations.json, falling back to keyword search');
+}
+
+/**
+ * Find Finn.no location code for a municipality
+ */
+function getFinnLocationCode(municipalityName) {
+  const name = municipalityName.toLowerCase();
+  if (finnLocations[name]) return finnLocations[name];
+
+  const shortName = name.split(' - ')[0].trim();
+  if (finnLocations[shortName]) return finnLocations[shortName];
+
+  const altName = name.split(' - ')[1]?.trim();
+  if (altName && finnLocations[altName]) return finnLocations[altName];
+
+  return null;
+}
+
+/**
+ * Build search URL for a municipality
+ */
+function buildSearchUrl(municipality, section) {
+  const locationCode = getFinnLocationCode(municipality.name);
+  if (locationCode) {
+    return {
+      url: `https://www.finn.no/realestate/${section}/search.html?location=${encodeURIComponent(locationCode)}&sort=PUBLISHED_DESC`,
+      hasLocationFilter: true,
+    };
+  }
+  const name = municipality.name.split(' - ')[0].trim();
+  return {
+    url: `https://www.finn.no/realestate/${section}/search.html?q=${encodeURIComponent(name)}&sort=PUBLISHED_DESC`,
+    hasLocationFilter: false,
+  };
+}
+
+// Finn.no search section per listing category
+const SECTIONS = { home: 'homes', tomt: 'plots', cabin: 'leisuresale', farm: 'agriculture' };
+
+/**
+ * Search a municipality for one category (all pages). With options.known
+ * (Map of id -> { price, title }) paging is incremental: it stops at the
+ * first page made up entirely of already-known listings.
+ */
+async function search(municipality, category, options = {}) {
+  const { url, hasLocationFilter } = buildSearchUrl(municipality, SECTIONS[category]);
+  try {
+    return await scrapeAllPages(url, municipality, hasLocationFilter, category, options.known, options.metrics);
+  } catch (err) {
+    throw new Error(`Error scraping ${SECTIONS[category]} ${municipality.name}: ${err.message}`);
+  }
+}
+
+/**
+ * Fetch the detail fields for a listing. Homes have nothing worth a detail
+ * request; plots, cabins and farms each get their own extraction.
+ */
+async function detail(listing, options = {}) {
+  if (!DETAIL_EXTRACTORS[listing.category]) return null;
+  return fetchAdDetails(listing.url, listing.category, options.metrics);
+}
+
+/**
+ * Scrape all pages of a Finn.no search. Results are sorted newest first, so when
+ * a known-id map is given, paging stops after a page containing only known ids.
+ */
+async function scrapeAllPages(baseUrl, municipality, hasLocationFilter, category, known = null, metrics = null) {
+  let allListings = [];
+  let page = 1;
+  let lastPage = 1;
+
+  do {
+    const pageUrl = page === 1 ? baseUrl : `${baseUrl}&page=${page}`;
+    const { listings, paging } = await scrapeSearchPage(pageUrl, municipality, hasLocationFilter, category, metrics);
+
+    allListings.push(...listings);
+
+    if (known && listings.length > 0 && listings.every(l => known.has(l.id))) {
+      break;
+    }
+
+    if (paging) {
+      lastPage = Math.min(paging.last || 1, MAX_PAGES);
+    }
+    page++;
+  } while (page <= lastPage);
+
+  return allListings;
+}
+
+/**
+ * Scrape a single search page, returning listings + pagination info.
+ * A page without a decodable turbo-stream or a "docs" key throws (and counts
+ * as a decode failure) — an empty docs array is a genuine empty result.
+ */
+async function scrapeSearchPage(url, municipality, hasLocationFilter, category, metrics = null) {
+  const resp = await finnFetch(url);
+
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}`);
+  }
+
+  const html = await resp.text();
+  if (metrics) metrics.pagesFetched++;
+
+  const arr = decodeTurboStream(html, metrics);
+  if (!arr) {
+    if (metrics) metrics.decodeFailures++;
+    throw new Error('Could not find turbo-stream data in page');
+  }
+
+  // Find "docs" and "paging" keys in the flat array and resolve them
+  const docsIdx = arr.indexOf('docs');
+  const pagingIdx = arr.indexOf('paging');
+
+  if (docsIdx < 0) {
+    if (metrics) metrics.decodeFailures++;
+    throw new Error('No "docs" in turbo-stream data');
+  }
+
+  const docs = resolveRef(arr, arr[docsIdx + 1]);
+  const paging = pagingIdx >= 0 ? resolveRef(arr, arr[pagingIdx + 1]) : null;
+  if (metrics) metrics.docsTotal += docs ? docs.length : 0;
+
+  if (!docs || docs.length === 0) {
+    return { listings: [], paging };
+  }
+
+  let filtered = docs;
+
+  // If using keyword search, apply strict name filter
+  if (!hasLocationFilter) {
+    const muniNameShort = municipality.name.split(' - ')[0].trim().toLowerCase();
+    filtered = docs.filter(doc => {
+      const localArea = (doc.local_area_name || '').toLowerCase();
+      const location = (doc.location || '').toLowerCase();
+      if (localArea === muniNameShort) return true;
+      if (location.endsWith(muniNameShort)) return true;
+      if (location.includes(`, ${muniNameShort}`)) return true;
+      return false;
+    });
+  }
+
+  // Exclude standalone garage/parking listings
+  filtered = filtered.filter(doc => {
+    const propType = (doc.property_type_description || '').toLowerCase();
+    return !propType.includes('garasje') && !propType.includes('parkering');
+  });
+
+  const listings = filtered.map(doc => normalise(doc, { municipality, category }));
+
+  return { listings, paging };
+}
+
+/**
+ * Map a Finn.no search doc to the shared listing shape. Finn ids are stored
+ * unprefixed since they predate other sources.
+ */
+function normalise(doc, { municipality, category }) {
+  const price = doc.price_suggestion?.amount || 0;
+  const sharedCost = doc.price_shared_cost?.amount || 0;
+  const adId = String(doc.ad_id || doc.id);
+
+  return {
+    id: adId,
+    source: 'finn',
+    sourceId: adId,
+    title: doc.heading || '',
+    price: price > 0 ? price : null,
+    priceText: price > 0 ? `${price.toLocaleString('nb-NO')} kr` : '',
+    address: doc.location || municipality.name,
+    area: doc.area_range?.size_from || doc.area_plot?.size || null,
+    bedrooms: doc.number_of_bedrooms || null,
+    propertyType: doc.property_type_description || '',
+    imageUrl: doc.image?.url || (doc.image_urls?.[0] ? `https://images.finncdn.no/dynamic/default/${doc.image_urls[0]}` : ''),
+    url: doc.canonical_url || `https://www.finn.no/realestate/${SECTIONS[category]}/ad.html?finnkode=${adId}`,
+    latitude: doc.coordinates?.lat || null,
+    longitude: doc.coordinates?.lon || null,
+    sharedCost,
+    sharedDebt: 0,
+    category,
+    // isDeveloped will be determined from detail page facilities, not search results
+    isDeveloped: null,
+    buildingObligation: 'unknown',
+    buildingObligationText: null,
+  };
+}
+
+// --- BYGGEPLIKT DETECTION ---
+
+// Evidence for the building obligation classifier. Each pattern speaks to one
+// aspect — a builder clause (byggeklausul / leverandørbinding) or a deadline
+// to build (byggeplikt / byggefrist) — and either asserts or denies it.
+// Asserting patterns preceded by a negation ("ikke byggeplikt", "uten
+// byggeklausul") count as denials.
+const OBLIGATION_EVIDENCE = [
+  { pattern: 'boligen skal leveres av', aspect: 'clause', weight: 3 },
+  { pattern: 'skal oppføres av', aspect: 'clause', weight: 3 },
+  { pattern: 'må bygges av', aspect: 'clause', weight: 3 },
+  { pattern: 'byggeklausul', aspect: 'clause', weight: 2 },
+  { pattern: 'leverandørbinding', aspect: 'clause', weight: 2 },
+  { pattern: 'utbygger er', aspect: 'clause', weight: 1 },
+  { pattern: 'hustype', aspect: 'clause', weight: 1 },
+  { pattern: 'fritt valg av', aspect: 'clause', weight: 1, denies: true },
+  { pattern: 'velg selv', aspect: 'clause', weight: 1, denies: true },
+  { pattern: 'valgfri', aspect: 'clause', weight: 1, denies: true },
+  { pattern: 'bebygges innen', aspect: 'deadline', weight: 3 },
+  { pattern: 'bebygd innen', aspect: 'deadline', weight: 3 },
+  { pattern: 'frist for bebyggelse', aspect: 'deadline', weight: 3 },
+  { pattern: 'forpliktet til å bygge', aspect: 'deadline', weight: 3 },
+  { pattern: 'plikt til å bebygge', aspect: 'deadline', weight: 3 },
+  { pattern: 'byggeplikt', aspect: 'deadline', weight: 2 },
+  { pattern: 'byggefrist', aspect: 'deadline', weight: 2 },
+  { pattern: 'bolig skal oppføres', aspect: 'deadline', weight: 2 },
+  { pattern: 'må bebygges slik', aspect: 'deadline', weight: 2 },
+  { pattern: 'byggetid', aspect: 'deadline', weight: 1 },
+];
+
+// A negation up to three words before a pattern, within the same clause
+const NEGATION_RE = /(?:^|\s)(?:ikke|ingen|uten|verken|fri for|fritatt for)\s+(?:\S+\s+){0,2}$/;
+// Evidence weight at which a one-sided classification is fully confident
+const CONFIDENT_WEIGHT = 3;
+const MAX_EVIDENCE = 8;
+
+// Cabin road access in winter. Negative phrases are checked first since
+// "ikke brøytet" also contains "brøytet". Snowmobiles and summer roads only
+// count as closures when tied to winter or "only": "brøytet vei, også
+// snøscooterløype" is a cabin with winter access.
+const NO_WINTER_ACCESS_PATTERNS = [
+  'ikke brøytet',
+  'ikke vinterbrøytet',
+  'brøytes ikke',
+  'ingen brøyting',
+  'ikke helårsvei',
+  'ikke bilvei vinterstid',
+  'kun sommervei',
+  'bare sommervei',
+  'kun bilvei sommerstid',
+  'snøscooter vinterstid',
+  'snøscooter om vinteren',
+  'scooter vinterstid',
+  'scooter om vinteren',
+  'beltebil vinterstid',
+  'beltebil om vinteren',
+  'på ski vinterstid',
+  'på ski om vinteren',
+];
+
+const WINTER_ACCESS_PATTERNS = [
+  'vinterbrøytet',
+  'brøytet vei',
+  'brøytet helt frem',
+  'brøytes',
+  'brøyting',
+  'helårsvei',
+  'vei helt frem hele året',
+  'bilvei frem hele året',
+];
+
+// Farm concession (konsesjon) status. Exemptions first: "ikke konsesjonspliktig"
+// contains "konsesjonspliktig".
+const CONCESSION_FREE_PATTERNS = [
+  'konsesjonsfri',
+  'ikke konsesjonspliktig',
+  'ikke konsesjonsplikt',
+  'ingen konsesjonsplikt',
+  'uten konsesjonsplikt',
+  'fritatt for konsesjon',
+  'ikke krav om konsesjon',
+];
+
+const CONCESSION_REQUIRED_PATTERNS = [
+  'konsesjonspliktig',
+  'konsesjonsplikt',
+  'krever konsesjon',
+  'krav om konsesjon',
+  'søke konsesjon',
+  'søknad om konsesjon',
+];
+
+// --- TEXT HELPERS ---
+
+function stripHtml(html) {
+  if (!html) return '';
+  return html.replace(/<[^>]+>/g, ' ').replace(/&[^;]+;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function truncate(str, maxLen) {
+  if (!str || str.length <= maxLen) return str;
+  return str.substring(0, maxLen) + '...';
+}
+
+/**
+ * Find a text section by heading pattern — checks both agent format (generalText)
+ * and FSBO format (propertyInfo), returns stripped text or null
+ */
+function findTextSection(ad, pattern) {
+  // Agent format: generalText[].heading + textUnsafe
+  if (Array.isArray(ad.generalText)) {
+    for (const section of ad.generalText) {
+      const heading = (section.heading || '').toLowerCase();
+      if (heading.includes(pattern)) {
+        return stripHtml(section.textUnsafe);
+      }
+    }
+  }
+  // FSBO format: propertyInfo[].title + content
+  if (Array.isArray(ad.propertyInfo)) {
+    for (const section of ad.propertyInfo) {
+      const title = (section.title || '').toLowerCase();
+      if (title.includes(pattern)) {
+        return stripHtml(section.content || section.text || '');
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect all text from ad for keyword searching
+ */
+function collectAllText(ad) {
+  const parts = [];
+  if (ad.title) parts.push(ad.title);
+  if (ad.regulations) parts.push(stripHtml(ad.regulations));
+  if (Array.isArray(ad.generalText)) {
+    for (const s of ad.generalText) {
+      if (s.textUnsafe) parts.push(stripHtml(s.textUnsafe));
+    }
+  }
+  if (Array.isArray(ad.propertyInfo)) {
+    for (const s of ad.propertyInfo) {
+      if (s.content) parts.push(stripHtml(s.content));
+    }
+  }
+  return parts.join(' ').toLowerCase();
+}
+
+// --- DETAIL EXTRACTION ---
+
+// Fields every detail page can provide, and their values when it can't be read
+const COMMON_DETAIL_DEFAULTS = {
+  totalPrice: null, taxValue: null, cadastre: null, facilities: null,
+  regulations: null, yearlyCostsText: null, utilities: null,
+  municipalFees: null, roadFees: null, connectionFees: null, waterSupply: null, sewer: null,
+};
+
+// Category-specific fields on top of the common ones
+const CATEGORY_DETAIL_DEFAULTS = {
+  tomt: {
+    buildingObligation: 'unknown', buildingObligationText: null,
+    buildingObligationConfidence: null, buildingObligationEvidence: null, plotOwned: null,
+  },
+  cabin: { winterAccess: null, winterAccessText: null },
+  farm: { concession: null, concessionText: null },
+};
+
+const DETAIL_EXTRACTORS = {
+  tomt: extractPlotDetails,
+  cabin: extractCabinDetails,
+  farm: extractFarmDetails,
+};
+
+/**
+ * Fetch an ad's detail page and extract the common fields plus those specific
+ * to its category. Pages that fail to load or carry no ad return defaults;
+ * network errors and corrupt payloads throw. Both count as detail failures.
+ */
+async function fetchAdDetails(finnUrl, category, metrics = null) {
+  const defaults = { ...COMMON_DETAIL_DEFAULTS, ...CATEGORY_DETAIL_DEFAULTS[category] };
+
+  if (metrics) metrics.detailFetched++;
+  const failed = () => {
+    if (metrics) metrics.detailFailures++;
+    return defaults;
+  };
+
+  let resp;
+  try {
+    resp = await finnFetch(finnUrl);
+  } catch (err) {
+    if (metrics) metrics.detailFailures++;
+    throw err;
+  }
+
+  if (!resp.ok) return failed();
+
+  const html = await resp.text();
+  let arr;
+  try {
+    arr = decodeTurboStream(html);
+  } catch (err) {
+    if (metrics) metrics.detailFailures++;
+    throw err;
+  }
+  if (!arr) return failed();
+
+  const ad = findAdData(arr);
+  if (!ad) return failed();
+
+  const details = extractCommonDetails(ad);
+  const extract = DETAIL_EXTRACTORS[category];
+  return extract ? Object.assign(details, extract(ad, details)) : details;
+}
+
+/**
+ * Fetch a plot's detail page and extract all useful info
+ */
+async function fetchPlotDetails(finnUrl, metrics = null) {
+  return fetchAdDetails(finnUrl, 'tomt', metrics);
+}
+
+/**
+ * Format a Finn.no cadastre entry as "gnr. 12 bnr. 34", adding "fnr." and
+ * "snr." when set: sections of one building and leaseholds on one plot share
+ * gnr/bnr, so without them they would look like the same property. Zero means
+ * "none" in the land register.
+ */
+function formatCadastre(c) {
+  let text = `gnr. ${c.landNumber} bnr. ${c.titleNumber}`;
+  if (c.leaseholdNumber) text += ` fnr. ${c.leaseholdNumber}`;
+  if (c.sectionNumber) text += ` snr. ${c.sectionNumber}`;
+  return text;
+}
+
+/**
+ * Fields shared by all real estate ad pages
+ */
+function extractCommonDetails(ad) {
+  const details = {};
+
+  // 1. Total price incl. omkostninger
+  details.totalPrice = (ad.price && typeof ad.price.total === 'number') ? ad.price.total : null;
+
+  // 2. Tax assessed value (formuesverdi)
+  details.taxValue = (ad.price && typeof ad.price.taxValue === 'number') ? ad.price.taxValue : null;
+
+  // 3. Cadastre (gnr/bnr, plus fnr/snr for leaseholds and sections)
+  details.cadastre = Array.isArray(ad.cadastres) && ad.cadastres.length > 0
+    ? formatCadastre(ad.cadastres[0])
+    : null;
+
+  // 4. Facilities
+  if (Array.isArray(ad.facilities) && ad.facilities.length > 0) {
+    details.facilities = ad.facilities.join(', ');
+  } else {
+    details.facilities = null;
+  }
+
+  // 5. Regulations/zoning
+  let regs = findTextSection(ad, 'regulering');
+  if (!regs && ad.regulations && typeof ad.regulations === 'string') {
+    regs = stripHtml(ad.regulations);
+  }
+  details.regulations = regs ? truncate(regs, 500) : null;
+
+  // 6. Yearly running costs
+  let costs = findTextSection(ad, 'andre faste');
+  if (!costs) costs = findTextSection(ad, 'løpende kostnader');
+  if (!costs) costs = findTextSection(ad, 'kommunale avgifter');
+  details.yearlyCostsText = costs ? truncate(costs, 500) : null;
+
+  // 7. Utilities (vei/vann/avlop)
+  let utils = findTextSection(ad, 'vei / vann');
+  if (!utils) utils = findTextSection(ad, 'vann og avløp');
+  if (!utils) utils = findTextSection(ad, 'infrastruktur');
+  details.utilities = utils ? truncate(utils, 300) : null;
+
+  // 8. Fees and water/sewer from the full texts, before truncation
+  Object.assign(details, parseUtilityDetails({ yearlyCostsText: costs, utilities: utils, facilities: details.facilities }));
+
+  return details;
+}
+
+/**
+ * Plots: ownership, building obligation and whether utilities are connected
+ */
+function extractPlotDetails(ad, common) {
+  const details = {};
+
+  // Ownership (selveier vs tomtefeste)
+  if (ad.plot && typeof ad.plot.owned === 'boolean') {
+    details.plotOwned = ad.plot.owned ? 'selveier' : 'tomtefeste';
+  } else {
+    details.plotOwned = null;
+  }
+
+  // Building obligation (keyword analysis)
+  const fullText = collectAllText(ad);
+  const oblResult = classifyObligation(fullText);
+  details.buildingObligation = oblResult.obligation;
+  details.buildingObligationText = oblResult.text;
+  details.buildingObligationConfidence = oblResult.confidence;
+  details.buildingObligationEvidence = oblResult.evidence;
+
+  // Developed status — check if infrastructure (water/sewer/electricity) is connected
+  details.isDeveloped = classifyDeveloped(common.facilities, common.utilities, fullText);
+
+  return details;
+}
+
+/**
+ * Cabins: whether the road is kept open (brøytet) in winter
+ */
+function extractCabinDetails(ad, common) {
+  const text = [common.facilities, common.utilities, collectAllText(ad)].filter(Boolean).join(' ').toLowerCase();
+  const noAccess = findPatternSnippet(text, NO_WINTER_ACCESS_PATTERNS);
+  if (noAccess) return { winterAccess: 0, winterAccessText: noAccess };
+  const access = findPatternSnippet(text, WINTER_ACCESS_PATTERNS);
+  if (access) return { winterAccess: 1, winterAccessText: access };
+  return { winterAccess: null, winterAccessText: null };
+}
+
+/**
+ * Farms: whether buying requires a concession (konsesjon) from the municipality
+ */
+function extractFarmDetails(ad) {
+  const text = collectAllText(ad);
+  const free = findPatternSnippet(text, CONCESSION_FREE_PATTERNS);
+  if (free) return { concession: 'free', concessionText: free };
+  const required = findPatternSnippet(text, CONCESSION_REQUIRED_PATTERNS);
+  if (required) return { concession: 'required', concessionText: required };
+  return { concession: null, concessionText: null };
+}
+
+/**
+ * Text around the first pattern found in (lowercased) text, or null
+ */
+function findPatternSnippet(text, patterns) {
+  for (const pattern of patterns) {
+    const idx = text.indexOf(pattern);
+    if (idx >= 0) {
+      return text.substring(Math.max(0, idx - 40), idx + pattern.length + 40).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Every obligation pattern found in (lowercased) text, in text order, as
+ * { aspect, asserts, weight, text }. Overlapping hits are counted once, and
+ * a denial also covers the word after it ("fritt valg av hustype").
+ */
+function findObligationEvidence(text) {
+  const hits = [];
+  for (const { pattern, aspect, weight, denies } of OBLIGATION_EVIDENCE) {
+    for (let idx = text.indexOf(pattern); idx >= 0; idx = text.indexOf(pattern, idx + 1)) {
+      const clause = text.substring(Math.max(0, idx - 40), idx).split(/[.!?;:,]/).pop();
+      const asserts = !denies === !NEGATION_RE.test(clause);
+      let end = idx + pattern.length;
+      if (!asserts) {
+        const next = text.substring(end).match(/^\s*\S+/);
+        if (next) end += next[0].length;
+      }
+      hits.push({ start: idx, end, aspect, weight, asserts });
+    }
+  }
+
+  hits.sort((a, b) => a.start - b.start || b.weight - a.weight);
+  const evidence = [];
+  let claimedTo = -1;
+  for (const hit of hits) {
+    if (hit.start < claimedTo) continue;
+    claimedTo = Math.max(claimedTo, hit.end);
+    evidence.push({
+      aspect: hit.aspect,
+      asserts: hit.asserts,
+      weight: hit.weight,
+      text: text.substring(Math.max(0, hit.start - 40), hit.end + 40).trim(),
+    });
+  }
+  return evidence;
+}
+
+/**
+ * How strongly evidence supports a conclusion: the share of weight on its
+ * side, scaled down while the supporting weight is below CONFIDENT_WEIGHT
+ */
+function obligationConfidence(support, against) {
+  if (support <= 0) return 0;
+  const share = (support - against) / (support + against);
+  return Math.round(share * Math.min(1, support / CONFIDENT_WEIGHT) * 100) / 100;
+}
+
+/**
+ * Classify building obligation from text by weighing all evidence. A builder
+ * clause outranks a deadline, and 'none' needs at least one denial with no
+ * obligation asserted on balance. Returns { obligation, text, confidence,
+ * evidence }, where text is the strongest snippet for the chosen label.
+ */
+function classifyObligation(text) {
+  const evidence = findObligationEvidence(text);
+  const sum = (aspect, asserts) => evidence
+    .filter(e => (!aspect || e.aspect === aspect) && e.asserts === asserts)
+    .reduce((total, e) => total + e.weight, 0);
+
+  let obligation = 'unknown';
+  let confidence = 0;
+  let supporting = [];
+  for (const [aspect, label] of [['clause', 'has_clause'], ['deadline', 'has_deadline']]) {
+    const asserted = sum(aspect, true);
+    const denied = sum(aspect, false);
+    if (asserted > denied) {
+      obligation = label;
+      confidence = obligationConfidence(asserted, denied);
+      supporting = evidence.filter(e => e.aspect === aspect && e.asserts);
+      break;
+    }
+  }
+  if (obligation === 'unknown' && sum(null, false) > 0) {
+    obligation = 'none';
+    confidence = obligationConfidence(sum(null, false), sum(null, true));
+    supporting = evidence.filter(e => !e.asserts);
+  }
+
+  const best = supporting.reduce((a, b) => (b.weight > a.weight ? b : a), supporting[0]);
+  return {
+    obligation,
+    text: best ? best.text : null,
+    confidence: evidence.length > 0 ? confidence : null,
+    evidence: evidence.slice(0, MAX_EVIDENCE),
+  };
+}
+
+/**
+ * Classify whether a plot is developed (infrastructure connected) or undeveloped.
+ * Developed = water, sewer, electricity, and road access are already connected/available.
+ * Returns: 1 (developed), 0 (undeveloped), or null (unknown/insufficient data).
+ */
+function classifyDeveloped(facilities, utilities, fullText) {
+  const facilLower = (facilities || '').toLowerCase();
+  const utilLower = (utilities || '').toLowerCase();
+  const combined = facilLower + ' ' + utilLower + ' ' + (fullText || '');
+
+  // Strong indicator: "Offentlig vann/kloakk" in facilities means public water/sewer connected
+  const hasPublicWater = facilLower.includes('offentlig vann');
+
+  // Check utilities text for connected infrastructure
+  const waterConnected = /vann.*tilkoblet|tilknyttet.*vann|koblet.*vann|vann.*lagt.*til|etablert.*vann|vann og avløp.*til tomtegrense|vann.*i tomtegrense/i.test(combined);
+  const sewerConnected = /avløp.*tilkoblet|tilknyttet.*avløp|koblet.*avløp|kloakk.*tilkoblet/i.test(combined);
+  const roadAccess = facilLower.includes('bilvei frem') || /adkomst.*vei|tilkomst.*vei|tilknyttet.*vei|vei.*til tomten/i.test(combined);
+  const powerConnected = /strøm.*til.*tomt|el.*satt av|byggestrøm|strøm.*lagt/i.test(combined);
+
+  // Check for NOT connected indicators
+  const notConnected = /ikke tilkoblet|ikke tilknyttet|ikke koblet|tomten er ikke.*vann|må selv.*tilknytt|kjøper.*besørge tilkn/i.test(combined);
+
+  // Developed: has public water/sewer OR multiple infrastructure items connected
+  if (hasPublicWater && roadAccess) return 1;
+  if (hasPublicWater && !notConnected) return 1;
+  if (waterConnected && !notConnected) return 1;
+
+  // Undeveloped: explicitly not connected
+  if (notConnected) return 0;
+
+  // If we have facilities data but no water/sewer mentioned, likely undeveloped
+  if (facilities && !hasPublicWater && !waterConnected) return 0;
+
+  // No data to determine
+  return null;
+}
+
+/**
+ * Find ad data in detail page turbo-stream array
+ */
+function findAdData(arr) {
+  try {
+    // Find "ad" key in the flat array and resolve the object it points to
+    const adIdx = arr.indexOf('ad');
+    if (adIdx < 0) return null;
+
+    // The value after "ad" key should be a reference to the ad object
+    const adRef = arr[adIdx + 1];
+    if (adRef === undefined || adRef === null) return null;
+
+    return resolveRef(arr, adRef);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Note: findDocs/findPaging no longer needed — turbo-stream decoder resolves
+// "docs" and "paging" directly by index lookup in decodeTurboStream output.
+
+module.exports = {
+  name: 'finn',
+  label: 'Finn.no',
+  categories: Object.keys(SECTIONS),
+  search, detail, normalise,
+  // Parsing internals, exercised by the fixture tests in test/
+  decodeTurboStream, resolveRef, scrapeSearchPage, scrapeAllPages, findAdData, fetchPlotDetails, fetchAdDetails,
+  classifyObligation, formatCadastre,
+};
@@ -0,0 +1,38 @@
+/**
+ * Listing source adapters. Each adapter module exports:
+ *
+ *   name        short id stored in listings.source (e.g. 'finn')
+ *   label       display name (e.g. 'Finn.no')
+ *   categories  listing categories it can search ('home', 'tomt', ...)
+ *   search(municipality, category, options) -> Promise<listing[]>
+ *               all result pages, already normalised; honours options.known
+ *               (incremental paging) and options.metrics (health counters)
+ *   detail(listing, options) -> Promise<object|null>
+ *               extra fields from the ad page, merged into the listing;
+ *               null when the category has no detail page
+ *   normalise(raw, { municipality, category }) -> listing
+ *               map one raw search result to the shared listing shape
+ *
+ * Listing ids must be unique across sources: prefix them with the adapter name
+ * (e.g. 'hjem:12345'). Finn ids are the one unprefixed exception.
+ */
+const finn = require('./finn');
+
+const ADAPTERS = { finn };
+
+/**
+ * Adapters enabled via LISTING_SOURCES (comma-separated names, default "finn")
+ */
+function getEnabledSources() {
+  const names = (process.env.LISTING_SOURCES || 'finn').split(',').map(n => n.trim()).filter(Boolean);
+  return names.map(name => {
+    if (!ADAPTERS[name]) throw new Error(`Unknown listing source "${name}"`);
+    return ADAPTERS[name];
+  });
+}
+
+function getSource(name) {
+  return ADAPTERS[name] || null;
+}
+
+module.exports = { getEnabledSources, getSource };
@@ -0,0 +1,279 @@
+// Listing writes shared by the scrape run and the API: the upsert of scraped
+// listings (with their price history) and manual corrections of classified
+// attributes, which survive re-scrapes. createListingStore binds them to a
+// better-sqlite3 handle whose schema server.js sets up.
+
+// Classified attributes that can be corrected by hand, with their allowed values
+const OVERRIDE_FIELDS = {
+  building_obligation: ['none', 'has_clause', 'has_deadline', 'unknown'],
+  is_developed: [1, 0, null],
+  plot_owned: ['selveier', 'tomtefeste', null],
+  winter_access: [1, 0, null],
+  concession: ['free', 'required', null],
+  water_supply: ['public', 'private', 'none', null],
+  sewer: ['public', 'septic', 'none', null],
+};
+
+// Detail-page columns, left untouched when a listing's details were not re-fetched
+const DETAIL_UPDATES = `
+      is_developed = excluded.is_developed,
+      building_obligation = excluded.building_obligation,
+      building_obligation_text = excluded.building_obligation_text,
+      building_obligation_confidence = excluded.building_obligation_confidence,
+      building_obligation_evidence = excluded.building_obligation_evidence,
+      plot_owned = excluded.plot_owned,
+      total_price = excluded.total_price,
+      tax_value = excluded.tax_value,
+      cadastre = excluded.cadastre,
+      facilities = excluded.facilities,
+      regulations = excluded.regulations,
+      yearly_costs_text = excluded.yearly_costs_text,
+      utilities = excluded.utilities,
+      municipal_fees = excluded.municipal_fees,
+      road_fees = excluded.road_fees,
+      connection_fees = excluded.connection_fees,
+      water_supply = excluded.water_supply,
+      sewer = excluded.sewer,
+      winter_access = excluded.winter_access,
+      winter_access_text = excluded.winter_access_text,
+      concession = excluded.concession,
+      concession_text = excluded.concession_text,`;
+
+function buildUpsertSql(withDetails) {
+  return `
+    INSERT INTO listings (id, source, municipality_code, municipality_name, title, price, price_text,
+      address, address_key, area_m2, bedrooms, property_type, image_url, url, latitude, longitude,
+      shared_cost, shared_debt, category, is_developed, building_obligation, building_obligation_text,
+      building_obligation_confidence, building_obligation_evidence,
+      plot_owned, total_price, tax_value, cadastre, facilities, regulations, yearly_costs_text, utilities,
+      municipal_fees, road_fees, connection_fees, water_supply, sewer,
+      winter_access, winter_access_text, concession, concession_text, has_property_tax, last_seen)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+      ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(id) DO UPDATE SET
+      price = excluded.price,
+      price_text = excluded.price_text,
+      title = excluded.title,
+      address_key = excluded.address_key,
+      image_url = excluded.image_url,
+      shared_cost = excluded.shared_cost,
+      shared_debt = excluded.shared_debt,
+      -- Farms also show up in the homes search; keep the more specific category
+      category = CASE WHEN excluded.category = 'home' AND listings.category IN ('cabin', 'farm')
+        THEN listings.category ELSE excluded.category END,${withDetails ? DETAIL_UPDATES : ''}
+      has_property_tax = excluded.has_property_tax,
+      status = 'active',
+      removed_at = NULL,
+      last_seen = datetime('now'),
+      is_new = 0
+  `;
+}
+
+/**
+ * Check a correction body ({ field: value, ... }) against OVERRIDE_FIELDS;
+ * returns an error message, or null when every field and value is allowed
+ */
+function validateOverrides(fields) {
+  const entries = Object.entries(fields);
+  if (entries.length === 0) {
+    return `Nothing to correct; allowed fields: ${Object.keys(OVERRIDE_FIELDS).join(', ')}`;
+  }
+  for (const [field, value] of entries) {
+    if (!OVERRIDE_FIELDS[field]) return `Field ${field} cannot be corrected`;
+    if (!OVERRIDE_FIELDS[field].includes(value)) {
+      return `Invalid ${field}: expected one of ${OVERRIDE_FIELDS[field].map(v => JSON.stringify(v)).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Listing store on a database handle
+ */
+function createListingStore(db) {
+  /**
+   * Manual corrections of a listing as { field: { value, scraped_value, note, updated_at } }
+   */
+  function getOverrides(listingId) {
+    const overrides = {};
+    for (const row of db.prepare('SELECT * FROM listing_overrides WHERE listing_id = ?').all(listingId)) {
+      overrides[row.field] = {
+        value: JSON.parse(row.value),
+        scraped_value: row.scraped_value === null ? null : JSON.parse(row.scraped_value),
+        note: row.note,
+        updated_at: row.updated_at,
+      };
+    }
+    return overrides;
+  }
+
+  // Add an overrides map to listings that were corrected by hand (shown as "verified by team")
+  function attachOverrides(listings) {
+    const ids = listings.map(l => l.id);
+    if (ids.length === 0) return;
+    const corrected = new Set(db.prepare(
+      `SELECT DISTINCT listing_id FROM listing_overrides WHERE listing_id IN (${ids.map(() => '?').join(',')})`
+    ).pluck().all(...ids));
+    for (const listing of listings) {
+      if (corrected.has(listing.id)) listing.overrides = getOverrides(listing.id);
+    }
+  }
+
+  /**
+   * Write a listing's overrides onto its row. With captureScraped, the row holds
+   * freshly scraped values, which are kept as scraped_value first.
+   */
+  function applyOverrides(listingId, { captureScraped = false } = {}) {
+    const overrides = db.prepare('SELECT field, value FROM listing_overrides WHERE listing_id = ?').all(listingId);
+    for (const { field, value } of overrides) {
+      if (!OVERRIDE_FIELDS[field]) continue;
+      if (captureScraped) {
+        const current = db.prepare(`SELECT ${field} AS value FROM listings WHERE id = ?`).get(listingId);
+        db.prepare('UPDATE listing_overrides SET scraped_value = ? WHERE listing_id = ? AND field = ?')
+          .run(JSON.stringify(current ? current.value : null), listingId, field);
+      }
+      db.prepare(`UPDATE listings SET ${field} = ? WHERE id = ?`).run(JSON.parse(value), listingId);
+    }
+  }
+
+  // Listing columns returned after a correction, for re-rendering the card
+  function getCorrectedListing(id) {
+    const listing = db.prepare(`SELECT id, ${Object.keys(OVERRIDE_FIELDS).join(', ')} FROM listings WHERE id = ?`).get(id);
+    listing.overrides = getOverrides(id);
+    return listing;
+  }
+
+  /**
+   * Store corrections (already validated) for a listing and write them onto
+   * its row. The first correction of a field keeps the classifier's value to
+   * restore later.
+   */
+  function saveOverrides(listingId, fields, note = null) {
+    const save = field => db.prepare(`
+      INSERT INTO listing_overrides (listing_id, field, value, scraped_value, note)
+      SELECT id, ?, ?, json_quote(${field}), ? FROM listings WHERE id = ?
+      ON CONFLICT(listing_id, field) DO UPDATE SET
+        value = excluded.value, note = excluded.note, updated_at = datetime('now')
+    `);
+    db.transaction(() => {
+      for (const [field, value] of Object.entries(fields)) {
+        save(field).run(field, JSON.stringify(value), note ? note.trim().slice(0, 500) : null, listingId);
+      }
+      applyOverrides(listingId);
+    })();
+  }
+
+  /**
+   * Remove a correction and restore the scraped value; false if there was none
+   */
+  function removeOverride(listingId, field) {
+    const override = db.prepare('SELECT scraped_value FROM listing_overrides WHERE listing_id = ? AND field = ?')
+      .get(listingId, field);
+    if (!override || !OVERRIDE_FIELDS[field]) return false;
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM listing_overrides WHERE listing_id = ? AND field = ?').run(listingId, field);
+      db.prepare(`UPDATE listings SET ${field} = ? WHERE id = ?`)
+        .run(override.scraped_value === null ? null : JSON.parse(override.scraped_value), listingId);
+    })();
+    return true;
+  }
+
+  /**
+   * Active listings already stored for a municipality/source/category, as id -> { price, title }.
+   * Passed to the scraper so incremental runs can stop paging and skip unchanged details.
+   */
+  function getKnownListings(municipalityCode, source, category) {
+    const rows = db.prepare(
+      "SELECT id, price, title FROM listings WHERE municipality_code = ? AND source = ? AND category = ? AND status = 'active'"
+    ).all(municipalityCode, source, category);
+    return new Map(rows.map(r => [r.id, { price: r.price, title: r.title }]));
+  }
+
+  // Upsert one source's listings into database. Stale listings are archived
+  // separately, once the run is known to be healthy (archiveStaleListings in server.js).
+  function upsertListings(municipalityCode, municipalityName, listings, { hasPropertyTax, source = 'finn' }) {
+    const upsert = db.prepare(buildUpsertSql(true));
+    const upsertSummary = db.prepare(buildUpsertSql(false));
+
+    const lastPrice = db.prepare(
+      'SELECT price FROM price_history WHERE listing_id = ? ORDER BY observed_at DESC, id DESC LIMIT 1'
+    );
+    const recordPrice = db.prepare('INSERT INTO price_history (listing_id, price) VALUES (?, ?)');
+    const corrected = new Set(db.prepare('SELECT DISTINCT listing_id FROM listing_overrides').pluck().all());
+
+    let newCount = 0;
+    const transaction = db.transaction((items) => {
+      for (const listing of items) {
+        const existing = db.prepare('SELECT id FROM listings WHERE id = ?').get(listing.id);
+        if (!existing) newCount++;
+
+        // Record the asking price whenever it differs from the last observed one
+        if (listing.price != null) {
+          const last = lastPrice.get(listing.id);
+          if (!last || last.price !== listing.price) {
+            recordPrice.run(listing.id, listing.price);
+          }
+        }
+
+        (listing.detailsSkipped ? upsertSummary : upsert).run(
+          listing.id,
+          source,
+          municipalityCode,
+          municipalityName,
+          listing.title,
+          listing.price,
+          listing.priceText,
+          listing.address,
+          listing.addressKey || null,
+          listing.area,
+          listing.bedrooms,
+          listing.propertyType,
+          listing.imageUrl,
+          listing.url,
+          listing.latitude || null,
+          listing.longitude || null,
+          listing.sharedCost || 0,
+          listing.sharedDebt || 0,
+          listing.category || 'home',
+          listing.isDeveloped ?? null,
+          listing.buildingObligation || 'unknown',
+          listing.buildingObligationText || null,
+          listing.buildingObligationConfidence ?? null,
+          listing.buildingObligationEvidence ? JSON.stringify(listing.buildingObligationEvidence) : null,
+          listing.plotOwned || null,
+          listing.totalPrice || null,
+          listing.taxValue || null,
+          listing.cadastre || null,
+          listing.facilities || null,
+          listing.regulations || null,
+          listing.yearlyCostsText || null,
+          listing.utilities || null,
+          listing.municipalFees ?? null,
+          listing.roadFees ?? null,
+          listing.connectionFees ?? null,
+          listing.waterSupply || null,
+          listing.sewer || null,
+          listing.winterAccess ?? null,
+          listing.winterAccessText || null,
+          listing.concession || null,
+          listing.concessionText || null,
+          hasPropertyTax ? 1 : 0
+        );
+
+        // Put manual corrections back over the freshly scraped values
+        if (corrected.has(listing.id)) applyOverrides(listing.id, { captureScraped: !listing.detailsSkipped });
+      }
+    });
+
+    transaction(listings);
+    return newCount;
+  }
+
+  return {
+    getOverrides, attachOverrides, applyOverrides, getCorrectedListing, saveOverrides, removeOverride,
+    getKnownListings, upsertListings,
+  };
+}
+
+module.exports = { OVERRIDE_FIELDS, validateOverrides, createListingStore };
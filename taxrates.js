@@ -0,0 +1,211 @@
+// Property tax (eiendomsskatt) rates from SSB's KOSTRA tables, merged into
+// data/municipalities.json. Run with a CSV exported from statistikkbanken:
+//
+//   npm run import-tax-rates -- path/to/kostra-eiendomsskatt.csv
+//
+// Both SSB export layouts are understood: wide (one column per variable and
+// year) and long (statistikkvariabel / år / value columns). Restart the
+// server afterwards to pick up the new rates.
+const fs = require('fs');
+const path = require('path');
+
+const MUNICIPALITIES_FILE = path.join(__dirname, 'data', 'municipalities.json');
+
+// KOSTRA variable names (bokmål and nynorsk) mapped to the fields we keep
+const VARIABLES = [
+  { field: 'deduction', test: v => /bunnfradrag|botnfrådrag/.test(v) },
+  { field: 'housingRate', test: v => /promille/.test(v) && /bolig|bustad/.test(v) },
+  { field: 'generalRate', test: v => /promille/.test(v) },
+  { field: 'housingTaxed', test: v => /bolig|bustad/.test(v) && /1\s*=\s*ja/.test(v) },
+  { field: 'commercialTaxed', test: v => /verk og bruk|kraft|næring|annen eiendom|anna eigedom/.test(v) && /1\s*=\s*ja/.test(v) },
+];
+
+/**
+ * Decode a CSV file: SSB exports are UTF-8 or Windows-1252 depending on the tool
+ */
+function readCsvFile(file) {
+  const buf = fs.readFileSync(file);
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buf);
+  } catch (e) {
+    text = buf.toString('latin1');
+  }
+  return text;
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells and picks ';' or ','
+ * as delimiter from the header line.
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(c => c.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some(c => c.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Number from a KOSTRA cell ("2,5", "500 000"); SSB's ".", ".." and ":" mean missing
+ */
+function parseValue(cell) {
+  const value = String(cell || '').trim();
+  if (!value || /^[.:]+$/.test(value)) return null;
+  const number = Number(value.replace(/[\s ]/g, '').replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+function variableField(name) {
+  const lower = name.toLowerCase();
+  const variable = VARIABLES.find(v => v.test(lower));
+  return variable ? variable.field : null;
+}
+
+/**
+ * Parse a KOSTRA eiendomsskatt CSV into Map<code, Map<year, fields>>, where
+ * fields holds any of housingRate, generalRate, deduction, housingTaxed and
+ * commercialTaxed found for that municipality and year.
+ */
+function parseKostraCsv(text) {
+  const rows = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  if (rows.length < 2) throw new Error('CSV has no data rows');
+
+  const header = rows[0].map(h => h.trim());
+  const records = new Map();
+  const set = (code, year, field, value) => {
+    if (!code || !year || !field || value === null) return;
+    if (!records.has(code)) records.set(code, new Map());
+    const years = records.get(code);
+    if (!years.has(year)) years.set(year, {});
+    years.get(year)[field] = value;
+  };
+  const codeOf = cell => (String(cell).match(/\b(\d{4})\b/) || [])[1] || null;
+
+  const variableCol = header.findIndex(h => /^(statistikkvariabel|contents)$/i.test(h));
+  const yearCol = header.findIndex(h => /^(år|year|tid)$/i.test(h));
+
+  if (variableCol >= 0 && yearCol >= 0) {
+    // Long layout: region; statistikkvariabel; år; value
+    const regionCol = header.findIndex((h, i) => i !== variableCol && i !== yearCol);
+    for (const row of rows.slice(1)) {
+      set(codeOf(row[regionCol]), Number(row[yearCol]), variableField(row[variableCol] || ''), parseValue(row[row.length - 1]));
+    }
+  } else {
+    // Wide layout: region; "<variable> <year>" columns
+    const columns = header.map(h => {
+      const year = (h.match(/\b(?:19|20)\d{2}\b/) || [])[0];
+      return year ? { year: Number(year), field: variableField(h) } : null;
+    });
+    for (const row of rows.slice(1)) {
+      const code = codeOf(row[0]);
+      columns.forEach((col, i) => {
+        if (col) set(code, col.year, col.field, parseValue(row[i]));
+      });
+    }
+  }
+
+  return records;
+}
+
+/**
+ * One history entry from a year's KOSTRA fields. Tax on homes is the housing
+ * flag when reported, else implied by a positive rate; commercialOnly marks
+ * municipalities taxing only verk og bruk / power plants / business property.
+ */
+function historyEntry(year, fields) {
+  const rate = fields.housingRate ?? fields.generalRate ?? null;
+  const housingTaxed = fields.housingTaxed != null ? fields.housingTaxed === 1 : rate != null ? rate > 0 : null;
+  return {
+    year,
+    housingTaxed,
+    rate: housingTaxed === false ? 0 : rate,
+    deduction: fields.deduction ?? null,
+    commercialOnly: housingTaxed === false && (fields.commercialTaxed === 1 || (fields.generalRate || 0) > 0),
+  };
+}
+
+/**
+ * Merge parsed records into the municipality list (in place). The latest
+ * year with a known housing status sets the current fields; every year is
+ * kept in propertyTaxHistory. Returns { updated, unmatched } counts/codes.
+ */
+function applyTaxRates(municipalities, records) {
+  const byCode = new Map(municipalities.map(m => [m.code, m]));
+  let updated = 0;
+
+  for (const [code, years] of records) {
+    const muni = byCode.get(code);
+    if (!muni) continue;
+
+    const history = [...years.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([year, fields]) => historyEntry(year, fields))
+      .filter(h => h.housingTaxed !== null || h.deduction !== null);
+    const current = [...history].reverse().find(h => h.housingTaxed !== null);
+    if (!current) continue;
+
+    muni.hasPropertyTax = current.housingTaxed;
+    muni.propertyTaxRate = current.rate;
+    muni.propertyTaxDeduction = current.housingTaxed ? current.deduction : 0;
+    muni.propertyTaxCommercialOnly = current.commercialOnly;
+    muni.propertyTaxYear = current.year;
+    muni.propertyTaxHistory = history.map(({ year, rate, deduction, commercialOnly }) => ({ year, rate, deduction, commercialOnly }));
+    updated++;
+  }
+
+  const unmatched = [...records.keys()].filter(code => !byCode.has(code));
+  return { updated, unmatched };
+}
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: npm run import-tax-rates -- <kostra.csv>');
+    process.exit(1);
+  }
+
+  const municipalities = JSON.parse(fs.readFileSync(MUNICIPALITIES_FILE, 'utf8'));
+  const records = parseKostraCsv(readCsvFile(file));
+  const { updated, unmatched } = applyTaxRates(municipalities, records);
+  fs.writeFileSync(MUNICIPALITIES_FILE, JSON.stringify(municipalities, null, 2));
+
+  console.log(`Updated property tax for ${updated} of ${municipalities.length} municipalities`);
+  if (unmatched.length > 0) {
+    console.log(`Skipped ${unmatched.length} codes not in municipalities.json (old or merged kommuner): ${unmatched.slice(0, 10).join(', ')}${unmatched.length > 10 ? ', ...' : ''}`);
+  }
+  console.log('Restart the server to apply the new rates.');
+}
+
+module.exports = { parseKostraCsv, applyTaxRates, parseCsv, parseValue };
@@ -0,0 +1,30 @@
+// Save a live Finn.no page into test/fixtures/ so parser changes can be
+// checked offline. Usage: node test/capture-fixtures.js <name> <finn.no url>
+const fs = require('fs');
+const path = require('path');
+
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+(async () => {
+  const [name, url] = process.argv.slice(2);
+  if (!name || !url) {
+    console.error('Usage: node test/capture-fixtures.js <name> <finn.no url>');
+    process.exit(1);
+  }
+
+  const resp = await fetch(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml',
+      'Accept-Language': 'nb-NO,nb;q=0.9,no;q=0.8,en;q=0.7',
+    },
+  });
+  if (!resp.ok) {
+    console.error(`HTTP ${resp.status} for ${url}`);
+    process.exit(1);
+  }
+
+  const file = path.join(__dirname, 'fixtures', `${name}.html`);
+  fs.writeFileSync(file, await resp.text());
+  console.log(`Saved ${file}`);
+})();
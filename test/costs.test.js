@@ -0,0 +1,85 @@
+// Cost-of-ownership model: property tax and mortgage maths.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimatePropertyTax, hasHousingTaxRates, parseMortgage, ownershipCost } = require('../costs');
+
+const TAX_FREE = { code: '3203', hasPropertyTax: false, propertyTaxRate: 0, propertyTaxDeduction: 0 };
+const TAXED = { code: '0301', hasPropertyTax: true, propertyTaxRate: 2.5, propertyTaxDeduction: 1000000 };
+const TAXED_UNKNOWN = { code: '4601', hasPropertyTax: true, propertyTaxRate: null, propertyTaxDeduction: null };
+
+describe('estimatePropertyTax', () => {
+  test('is zero in tax-free municipalities', () => {
+    assert.deepEqual(estimatePropertyTax({ price: 5000000 }, TAX_FREE), { amount: 0, rate: 0, estimated: false });
+  });
+
+  test('applies the reduction factor, bunnfradrag and rate', () => {
+    // (4 000 000 * 0.7 - 1 000 000) * 2.5 / 1000
+    assert.deepEqual(estimatePropertyTax({ price: 5000000, tax_value: 4000000 }, TAXED), { amount: 4500, rate: 2.5, estimated: false });
+  });
+
+  test('falls back to the asking price and a default rate', () => {
+    const tax = estimatePropertyTax({ price: 3000000 }, TAXED_UNKNOWN);
+    assert.equal(tax.estimated, true);
+    assert.equal(tax.rate, 2);
+    assert.equal(tax.amount, 4200);
+  });
+});
+
+describe('hasHousingTaxRates', () => {
+  test('needs a known rate for a municipality that taxes homes', () => {
+    assert.equal(hasHousingTaxRates([TAX_FREE, TAXED_UNKNOWN]), false);
+    assert.equal(hasHousingTaxRates([{ ...TAXED, propertyTaxCommercialOnly: true }]), false);
+    assert.equal(hasHousingTaxRates([TAX_FREE, TAXED]), true);
+  });
+});
+
+describe('parseMortgage', () => {
+  test('uses defaults and clamps values', () => {
+    assert.deepEqual(parseMortgage({}), { rate: 5, equity: 10, years: 30 });
+    assert.deepEqual(parseMortgage({ mortgage_rate: '4.2', equity: '150', mortgage_years: '0' }), { rate: 4.2, equity: 100, years: 1 });
+    assert.deepEqual(parseMortgage({ mortgage_rate: 'abc', equity: '' }), { rate: 5, equity: 10, years: 30 });
+  });
+});
+
+describe('ownershipCost', () => {
+  test('adds interest, shared costs, fees and property tax', () => {
+    const cost = ownershipCost(
+      { price: 4000000, shared_cost: 2000, municipal_fees: 12000, road_fees: 3000, tax_value: null },
+      TAXED,
+      { rate: 5, equity: 10, years: 30 }
+    );
+
+    assert.equal(cost.mortgage_interest, 180000);
+    assert.equal(cost.shared_costs, 24000);
+    assert.equal(cost.municipal_fees, 12000);
+    assert.equal(cost.road_fees, 3000);
+    assert.equal(cost.property_tax, 4500);
+    assert.equal(cost.yearly, 223500);
+    assert.equal(cost.estimated, false);
+    assert.equal(cost.document_fee, 100000);
+    assert.equal(cost.upfront, 500000);
+    assert.ok(cost.mortgage_payment > cost.mortgage_interest);
+  });
+
+  test('marks a total that includes property tax at an assumed rate', () => {
+    const cost = ownershipCost({ price: 3000000 }, TAXED_UNKNOWN);
+    assert.equal(cost.estimated, true);
+    assert.equal(cost.property_tax_estimated, true);
+    assert.equal(cost.property_tax_rate, 2);
+    assert.equal(ownershipCost({ price: 3000000 }, TAX_FREE).estimated, false);
+  });
+
+  test('uses the fee columns rather than re-reading the ad text', () => {
+    const cost = ownershipCost(
+      { price: 3000000, yearly_costs_text: 'Kommunale avgifter kr 12 000 per år', municipal_fees: null, road_fees: null },
+      TAX_FREE
+    );
+    assert.equal(cost.municipal_fees, null);
+    assert.equal(cost.road_fees, null);
+    assert.equal(cost.yearly, cost.mortgage_interest);
+  });
+
+  test('returns null without a price', () => {
+    assert.equal(ownershipCost({ price: null }, TAX_FREE), null);
+  });
+});
@@ -0,0 +1,122 @@
+// Likely-duplicate grouping on plain listing rows (as stored in `listings`).
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { isLikelyDuplicate, groupDuplicates } = require('../dedupe');
+
+function row(overrides) {
+  return {
+    id: '1', category: 'home', status: 'active', first_seen: '2026-09-01 10:00:00',
+    cadastre: null, address_key: null, latitude: null, longitude: null,
+    area_m2: null, image_url: null, price: null,
+    ...overrides,
+  };
+}
+
+describe('isLikelyDuplicate', () => {
+  test('different cadastres never match', () => {
+    assert.equal(isLikelyDuplicate(
+      row({ cadastre: 'gnr. 12 bnr. 34', address_key: 'bakken 4', area_m2: 120 }),
+      row({ cadastre: 'gnr. 12 bnr. 35', address_key: 'bakken 4', area_m2: 120 })
+    ), false);
+  });
+
+  test('a shared cadastre needs the same spot or area as well', () => {
+    const a = row({ cadastre: 'gnr. 12 bnr. 34', latitude: 59.8412, longitude: 10.4301, area_m2: 800 });
+    assert.equal(isLikelyDuplicate(a, row({ cadastre: 'gnr. 12 bnr. 34', latitude: 59.8413, longitude: 10.4302 })), true);
+    assert.equal(isLikelyDuplicate(a, row({ cadastre: 'gnr. 12 bnr. 34', area_m2: 810 })), true);
+    assert.equal(isLikelyDuplicate(a, row({ cadastre: 'gnr. 12 bnr. 34', latitude: 59.85, longitude: 10.44 })), false);
+    assert.equal(isLikelyDuplicate(a, row({ cadastre: 'gnr. 12 bnr. 34', area_m2: 1200 })), false);
+  });
+
+  test('two sections on one gnr/bnr are distinct', () => {
+    const spot = { latitude: 59.9101, longitude: 10.7501, area_m2: 64, address_key: 'storgata 1' };
+    const a = row({ ...spot, cadastre: 'gnr. 208 bnr. 11 snr. 3' });
+    const b = row({ ...spot, cadastre: 'gnr. 208 bnr. 11 snr. 4' });
+    assert.equal(isLikelyDuplicate(a, b), false);
+    assert.deepEqual(groupDuplicates([{ ...a, id: 'a' }, { ...b, id: 'b' }]), []);
+
+    // A row stored before sections were recorded still matches either one
+    assert.equal(isLikelyDuplicate(a, row({ ...spot, cadastre: 'gnr. 208 bnr. 11' })), true);
+    assert.equal(isLikelyDuplicate(a, row({ ...spot, cadastre: 'gnr. 208 bnr. 11 snr. 3' })), true);
+  });
+
+  test('a shared image needs the same spot, or the same area and price', () => {
+    const a = row({ category: 'tomt', image_url: 'https://img/1.jpg', latitude: 59.8412, longitude: 10.4301, area_m2: 800, price: 1500000 });
+    assert.equal(isLikelyDuplicate(a, row({ category: 'tomt', image_url: 'https://img/1.jpg', latitude: 59.8413, longitude: 10.4301 })), true);
+    assert.equal(isLikelyDuplicate(a, row({ category: 'tomt', image_url: 'https://img/1.jpg', area_m2: 800, price: 1500000 })), true);
+    assert.equal(isLikelyDuplicate(row({ image_url: 'https://img/1.jpg' }), row({ image_url: 'https://img/1.jpg' })), false);
+  });
+
+  test('two plots sharing a stock photo are distinct', () => {
+    const photo = 'https://img/feltet-illustrasjon.jpg';
+    const a = row({ id: 'a', category: 'tomt', image_url: photo, latitude: 60.1201, longitude: 11.0501, area_m2: 750, price: 1200000 });
+    const b = row({ id: 'b', category: 'tomt', image_url: photo, latitude: 60.1206, longitude: 11.0509, area_m2: 760, price: 1350000 });
+    assert.equal(isLikelyDuplicate(a, b), false);
+    assert.deepEqual(groupDuplicates([a, b]), []);
+  });
+
+  test('matches the same address backed by location or area', () => {
+    const a = row({ address_key: 'bakken 4', latitude: 59.8412, longitude: 10.4301, area_m2: 120 });
+    assert.equal(isLikelyDuplicate(a, row({ address_key: 'bakken 4', latitude: 59.8413, longitude: 10.4302 })), true);
+    assert.equal(isLikelyDuplicate(a, row({ address_key: 'bakken 4', area_m2: 118 })), true);
+    assert.equal(isLikelyDuplicate(a, row({ address_key: 'bakken 4' })), false);
+  });
+
+  test('units of different size at the same address are distinct', () => {
+    const a = row({ address_key: 'storgata 1', latitude: 59.91, longitude: 10.75, area_m2: 54 });
+    const b = row({ address_key: 'storgata 1', latitude: 59.91, longitude: 10.75, area_m2: 78 });
+    assert.equal(isLikelyDuplicate(a, b), false);
+  });
+
+  test('a plot and a home at the same spot match despite different areas', () => {
+    const plot = row({ category: 'tomt', address_key: 'bakken 4', latitude: 59.8412, longitude: 10.4301, area_m2: 900 });
+    const home = row({ category: 'home', address_key: 'bakken 4', latitude: 59.8412, longitude: 10.4301, area_m2: 140 });
+    assert.equal(isLikelyDuplicate(plot, home), true);
+  });
+
+  test('neighbouring plots without an address need the same price', () => {
+    const a = row({ category: 'tomt', latitude: 59.8412, longitude: 10.4301, area_m2: 800, price: 1500000 });
+    assert.equal(isLikelyDuplicate(a, row({ ...a, id: '2', latitude: 59.8413 })), true);
+    assert.equal(isLikelyDuplicate(a, row({ ...a, id: '2', latitude: 59.8413, price: 1650000 })), false);
+  });
+});
+
+describe('groupDuplicates', () => {
+  test('groups a republished ad with the active one as canonical and keeps the earliest first_seen', () => {
+    const groups = groupDuplicates([
+      row({ id: 'old', status: 'removed', first_seen: '2026-06-01 08:00:00', cadastre: 'gnr. 12 bnr. 34', area_m2: 800 }),
+      row({ id: 'new', first_seen: '2026-09-15 08:00:00', cadastre: 'gnr. 12 bnr. 34', area_m2: 800 }),
+      row({ id: 'other', first_seen: '2026-09-01 08:00:00', cadastre: 'gnr. 99 bnr. 1', area_m2: 800 }),
+    ]);
+
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].canonicalId, 'new');
+    assert.equal(groups[0].firstSeen, '2026-06-01 08:00:00');
+    assert.deepEqual(groups[0].ids, ['new', 'old']);
+  });
+
+  test('the earliest active listing is canonical and matches chain into one group', () => {
+    const groups = groupDuplicates([
+      row({ id: 'c', first_seen: '2026-09-03 08:00:00', area_m2: 120, price: 4200000, image_url: 'https://img/2.jpg' }),
+      row({ id: 'b', first_seen: '2026-09-02 08:00:00', address_key: 'bakken 4', area_m2: 120, price: 4200000, image_url: 'https://img/2.jpg' }),
+      row({ id: 'a', first_seen: '2026-09-01 08:00:00', address_key: 'bakken 4', area_m2: 121 }),
+    ]);
+
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].canonicalId, 'a');
+    assert.deepEqual(groups[0].ids, ['a', 'b', 'c']);
+  });
+
+  test('compares nearby listings across grid cell borders', () => {
+    const base = { category: 'tomt', area_m2: 800, price: 1500000, longitude: 10.43 };
+    const groups = groupDuplicates([
+      row({ ...base, id: 'a', latitude: 59.84999 }),
+      row({ ...base, id: 'b', latitude: 59.85001 }),
+    ]);
+    assert.equal(groups.length, 1);
+  });
+
+  test('returns no groups for distinct listings', () => {
+    assert.deepEqual(groupDuplicates([row({ id: 'a', address_key: 'x 1' }), row({ id: 'b', address_key: 'y 2' })]), []);
+  });
+});
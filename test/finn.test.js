@@ -0,0 +1,384 @@
+// Offline Finn.no adapter tests: fixture pages in test/fixtures are served by a local
+// stub server, so a change in Finn.no's markup shows up here rather than as an
+// empty database after the next refresh.
+process.env.FINN_REQUESTS_PER_SECOND = process.env.FINN_REQUESTS_PER_SECOND || '1000';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  decodeTurboStream, resolveRef, scrapeSearchPage, scrapeAllPages, findAdData, fetchPlotDetails, fetchAdDetails,
+  classifyObligation, formatCadastre,
+} = require('../sources/finn');
+const { createScrapeMetrics } = require('../scraper');
+const { startStubServer, readFixture } = require('./stub-server');
+
+const ASKER = { code: '3203', name: 'Asker' };
+const RINDAL = { code: '5061', name: 'Rindal' };
+
+describe('decodeTurboStream', () => {
+  test('decodes the enqueued turbo-stream payload into a flat array', () => {
+    const arr = decodeTurboStream(readFixture('search-plots.html'));
+    assert.ok(Array.isArray(arr));
+    assert.ok(arr.includes('docs'));
+    assert.ok(arr.includes('paging'));
+  });
+
+  test('returns null for pages without a turbo-stream (old __remixContext markup)', () => {
+    assert.equal(decodeTurboStream(readFixture('search-legacy-remix.html')), null);
+  });
+
+  test('throws on a corrupted payload and counts it as a decode failure', () => {
+    const metrics = createScrapeMetrics();
+    assert.throws(() => decodeTurboStream(readFixture('search-corrupt.html'), metrics), SyntaxError);
+    assert.equal(metrics.decodeFailures, 1);
+    assert.throws(() => decodeTurboStream(readFixture('search-corrupt.html')), SyntaxError);
+  });
+});
+
+describe('resolveRef', () => {
+  test('resolves keyed objects, arrays and nested references', () => {
+    const arr = [{ _1: 2, _3: 4 }, 'name', 'Asker', 'tags', [5, 6], 'a', { _7: 8 }, 'b', 1];
+    assert.deepEqual(resolveRef(arr, 0), { name: 'Asker', tags: ['a', { b: 1 }] });
+  });
+
+  test('maps negative special indices to null', () => {
+    const arr = [{ _1: -5, _2: -7 }, 'missing', 'empty'];
+    assert.deepEqual(resolveRef(arr, 0), { missing: null, empty: null });
+  });
+
+  test('stops at the depth limit on cyclic references', () => {
+    const arr = [{ _1: 0 }, 'self'];
+    assert.doesNotThrow(() => resolveRef(arr, 0));
+  });
+});
+
+describe('findAdData', () => {
+  test('finds the ad object in a detail page', () => {
+    const ad = findAdData(decodeTurboStream(readFixture('ad-plot-agent.html')));
+    assert.equal(ad.adId, 398877112);
+    assert.equal(ad.generalText.length, 4);
+  });
+
+  test('returns null when the page has no ad', () => {
+    assert.equal(findAdData(decodeTurboStream(readFixture('search-empty.html'))), null);
+  });
+});
+
+describe('scrapeSearchPage', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer({
+      '/plots': 'search-plots.html',
+      '/homes': 'search-homes-keyword.html',
+      '/empty': 'search-empty.html',
+      '/legacy': 'search-legacy-remix.html',
+      '/corrupt': 'search-corrupt.html',
+      '/no-docs': 'ad-plot-agent.html',
+      '/flaky': (req, res, hit) => {
+        if (hit === 1) {
+          res.writeHead(503, { 'Retry-After': '1' });
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(readFixture('search-plots.html'));
+      },
+    });
+  });
+
+  after(() => stub.close());
+
+  test('maps plot docs to listings and drops garage/parking ads', async () => {
+    const { listings, paging } = await scrapeSearchPage(`${stub.url}/plots`, ASKER, true, 'tomt');
+
+    assert.equal(paging.last, 3);
+    assert.deepEqual(listings.map(l => l.id), ['398877112', '398812045']);
+
+    const [first, second] = listings;
+    assert.equal(first.source, 'finn');
+    assert.equal(first.title, 'Solrik selveiertomt med utsikt - uten byggeklausul');
+    assert.equal(first.price, 2450000);
+    assert.equal(first.area, 812);
+    assert.equal(first.url, 'https://www.finn.no/realestate/plots/ad.html?finnkode=398877112');
+    assert.equal(first.imageUrl, 'https://images.finncdn.no/dynamic/default/2026/9/vertical-0/28/2/398/877/112_1893.jpg');
+    assert.equal(first.latitude, 59.8412);
+    assert.equal(first.category, 'tomt');
+
+    // No asking price, no canonical_url, image only in image_urls
+    assert.equal(second.price, null);
+    assert.equal(second.priceText, '');
+    assert.equal(second.url, 'https://www.finn.no/realestate/plots/ad.html?finnkode=398812045');
+    assert.equal(second.imageUrl, 'https://images.finncdn.no/dynamic/default/2026/9/vertical-0/27/5/398/812/045_2211.jpg');
+  });
+
+  test('keyword searches keep only listings located in the municipality', async () => {
+    const { listings } = await scrapeSearchPage(`${stub.url}/homes`, RINDAL, false, 'home');
+
+    assert.deepEqual(listings.map(l => l.id), ['399001234', '399007890']);
+    assert.equal(listings[0].bedrooms, 4);
+    assert.equal(listings[0].area, 164);
+    assert.equal(listings[0].sharedCost, 0);
+  });
+
+  test('returns no listings for an empty result page', async () => {
+    const { listings, paging } = await scrapeSearchPage(`${stub.url}/empty`, ASKER, true, 'tomt');
+    assert.deepEqual(listings, []);
+    assert.equal(paging.last, 1);
+  });
+
+  test('throws when the page has no turbo-stream data', async () => {
+    await assert.rejects(
+      scrapeSearchPage(`${stub.url}/legacy`, ASKER, true, 'tomt'),
+      /Could not find turbo-stream data/
+    );
+  });
+
+  test('throws when the decoded page has no "docs" key', async () => {
+    await assert.rejects(scrapeSearchPage(`${stub.url}/no-docs`, ASKER, true, 'tomt'), /No "docs"/);
+  });
+
+  test('counts pages, docs and decode failures in run metrics', async () => {
+    const metrics = createScrapeMetrics();
+    await scrapeSearchPage(`${stub.url}/plots`, ASKER, true, 'tomt', metrics);
+    await scrapeSearchPage(`${stub.url}/empty`, ASKER, true, 'tomt', metrics);
+    await assert.rejects(scrapeSearchPage(`${stub.url}/legacy`, ASKER, true, 'tomt', metrics));
+    await assert.rejects(scrapeSearchPage(`${stub.url}/no-docs`, ASKER, true, 'tomt', metrics));
+    await assert.rejects(scrapeSearchPage(`${stub.url}/corrupt`, ASKER, true, 'tomt', metrics), SyntaxError);
+
+    assert.equal(metrics.pagesFetched, 5);
+    assert.equal(metrics.decodeFailures, 3);
+    assert.equal(metrics.docsTotal, 3);
+  });
+
+  test('throws on HTTP errors', async () => {
+    await assert.rejects(scrapeSearchPage(`${stub.url}/missing`, ASKER, true, 'tomt'), /HTTP 404/);
+  });
+
+  test('retries after a 503 with Retry-After', async () => {
+    const { listings } = await scrapeSearchPage(`${stub.url}/flaky`, ASKER, true, 'tomt');
+    assert.equal(stub.hits['/flaky'], 2);
+    assert.equal(listings.length, 2);
+  });
+});
+
+describe('scrapeAllPages', () => {
+  const PAGE_IDS = ['398877112', '398812045'];
+  let stub;
+
+  before(async () => {
+    // Three pages of the plots fixture; page 1 carries one ad that is not known yet
+    stub = await startStubServer({
+      '/plots?q=1': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(readFixture('search-plots.html').replaceAll('398812045', '398899999'));
+      },
+      '/plots?q=1&page=2': 'search-plots.html',
+      '/plots?q=1&page=3': 'search-plots.html',
+    });
+  });
+
+  after(() => stub.close());
+
+  test('fetches every page without known listings', async () => {
+    const listings = await scrapeAllPages(`${stub.url}/plots?q=1`, ASKER, true, 'tomt');
+    assert.equal(listings.length, 6);
+    assert.equal(stub.hits['/plots?q=1&page=3'], 1);
+  });
+
+  test('continues past a page with new listings and stops at a fully known page', async () => {
+    const before = { ...stub.hits };
+    const known = new Map(PAGE_IDS.map(id => [id, { price: null, title: '' }]));
+    const listings = await scrapeAllPages(`${stub.url}/plots?q=1`, ASKER, true, 'tomt', known);
+
+    assert.deepEqual(listings.map(l => l.id), ['398877112', '398899999', ...PAGE_IDS]);
+    assert.equal(stub.hits['/plots?q=1&page=2'] - (before['/plots?q=1&page=2'] || 0), 1);
+    assert.equal(stub.hits['/plots?q=1&page=3'], before['/plots?q=1&page=3']);
+  });
+
+  test('stops after the first page when it is fully known', async () => {
+    const before = { ...stub.hits };
+    const known = new Map([...PAGE_IDS, '398899999'].map(id => [id, { price: null, title: '' }]));
+    const listings = await scrapeAllPages(`${stub.url}/plots?q=1`, ASKER, true, 'tomt', known);
+
+    assert.equal(listings.length, 2);
+    assert.equal(stub.hits['/plots?q=1&page=2'], before['/plots?q=1&page=2']);
+  });
+});
+
+describe('fetchPlotDetails', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer({
+      '/agent': 'ad-plot-agent.html',
+      '/fsbo': 'ad-plot-fsbo.html',
+    });
+  });
+
+  after(() => stub.close());
+
+  test('extracts details from an agent ad (generalText sections)', async () => {
+    const details = await fetchPlotDetails(`${stub.url}/agent`);
+
+    assert.equal(details.plotOwned, 'selveier');
+    assert.equal(details.totalPrice, 2518250);
+    assert.equal(details.taxValue, 612000);
+    assert.equal(details.cadastre, 'gnr. 41 bnr. 287');
+    assert.equal(details.facilities, 'Offentlig vann/kloakk, Bilvei frem, Utsikt, Turterreng');
+    assert.match(details.regulations, /^Eiendommen er regulert til boligformål \(B2\)/);
+    assert.match(details.yearlyCostsText, /^Ca\. kr 14 200,- per år/);
+    assert.match(details.utilities, /tilknyttet offentlig vei, vann og avløp/);
+    assert.equal(details.municipalFees, 14200);
+    assert.equal(details.waterSupply, 'public');
+    assert.equal(details.sewer, 'public');
+    assert.equal(details.buildingObligation, 'none');
+    assert.match(details.buildingObligationText, /uten byggeklausul/);
+    assert.equal(details.buildingObligationConfidence, 1);
+    assert.equal(details.buildingObligationEvidence.length, 2);
+    assert.equal(details.isDeveloped, 1);
+  });
+
+  test('extracts details from a for-sale-by-owner ad (propertyInfo sections)', async () => {
+    const details = await fetchPlotDetails(`${stub.url}/fsbo`);
+
+    assert.equal(details.plotOwned, 'tomtefeste');
+    assert.equal(details.totalPrice, null);
+    assert.equal(details.taxValue, null);
+    assert.equal(details.cadastre, null);
+    assert.equal(details.facilities, null);
+    assert.equal(details.regulations, 'Fritidsbebyggelse i kommuneplanens arealdel.');
+    assert.match(details.yearlyCostsText, /^Festeavgift ca\. 6 500 kr\/år/);
+    assert.match(details.utilities, /ikke tilkoblet/);
+    assert.equal(details.municipalFees, 1900);
+    assert.equal(details.waterSupply, 'none');
+    assert.equal(details.buildingObligation, 'has_deadline');
+    assert.match(details.buildingObligationText, /må bebygges innen/);
+    assert.equal(details.buildingObligationConfidence, 1);
+    assert.equal(details.isDeveloped, 0);
+  });
+
+  test('falls back to defaults when the detail page is missing', async () => {
+    const details = await fetchPlotDetails(`${stub.url}/gone`);
+    assert.equal(details.buildingObligation, 'unknown');
+    assert.equal(details.plotOwned, null);
+  });
+
+  test('counts detail fetches and failures in run metrics', async () => {
+    const metrics = createScrapeMetrics();
+    await fetchPlotDetails(`${stub.url}/agent`, metrics);
+    await fetchPlotDetails(`${stub.url}/gone`, metrics);
+
+    assert.equal(metrics.detailFetched, 2);
+    assert.equal(metrics.detailFailures, 1);
+  });
+});
+
+describe('fetchAdDetails', () => {
+  let stub;
+
+  // The cabin ad with its access paragraph swapped for another description
+  const cabinWithAccess = text => (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(readFixture('ad-cabin.html').replace(/<p>Bilvei frem til hytta.*?<\/p>/, `<p>${text}</p>`));
+  };
+
+  before(async () => {
+    stub = await startStubServer({
+      '/cabin': 'ad-cabin.html',
+      '/cabin-scooter-trail': cabinWithAccess('Brøytet vei helt frem, også snøscooterløype rett ved hytta.'),
+      '/cabin-summer-road': cabinWithAccess('Kun sommervei. Adkomst med snøscooter vinterstid.'),
+      '/farm': 'ad-farm.html',
+      '/corrupt': 'search-corrupt.html',
+    });
+  });
+
+  after(() => stub.close());
+
+  test('extracts winter road access from a cabin ad', async () => {
+    const details = await fetchAdDetails(`${stub.url}/cabin`, 'cabin');
+
+    assert.equal(details.winterAccess, 0);
+    assert.match(details.winterAccessText, /ikke brøytet/);
+    assert.equal(details.totalPrice, 1794560);
+    assert.equal(details.cadastre, 'gnr. 112 bnr. 9');
+    assert.match(details.utilities, /egen brønn/);
+    assert.equal(details.waterSupply, 'private');
+    assert.equal(details.sewer, 'septic');
+    assert.equal(details.buildingObligation, undefined);
+  });
+
+  test('reads snowmobiles and summer roads as closed in winter only when the ad says so', async () => {
+    const trail = await fetchAdDetails(`${stub.url}/cabin-scooter-trail`, 'cabin');
+    assert.equal(trail.winterAccess, 1);
+    assert.match(trail.winterAccessText, /brøytet vei/);
+
+    const summerRoad = await fetchAdDetails(`${stub.url}/cabin-summer-road`, 'cabin');
+    assert.equal(summerRoad.winterAccess, 0);
+    assert.match(summerRoad.winterAccessText, /kun sommervei/);
+  });
+
+  test('extracts konsesjon status from a farm ad', async () => {
+    const details = await fetchAdDetails(`${stub.url}/farm`, 'farm');
+
+    assert.equal(details.concession, 'free');
+    assert.match(details.concessionText, /konsesjonsfri/);
+    assert.equal(details.cadastre, 'gnr. 27 bnr. 4');
+  });
+
+  test('falls back to category defaults when the detail page is missing', async () => {
+    const details = await fetchAdDetails(`${stub.url}/gone`, 'cabin');
+    assert.equal(details.winterAccess, null);
+    assert.equal(details.totalPrice, null);
+  });
+
+  test('throws on a corrupted page and counts a detail failure, not a decode failure', async () => {
+    const metrics = createScrapeMetrics();
+    await assert.rejects(fetchAdDetails(`${stub.url}/corrupt`, 'cabin', metrics), SyntaxError);
+    assert.equal(metrics.detailFailures, 1);
+    assert.equal(metrics.decodeFailures, 0);
+  });
+});
+
+describe('formatCadastre', () => {
+  test('adds festenummer and seksjonsnummer when set', () => {
+    assert.equal(formatCadastre({ landNumber: 12, titleNumber: 34 }), 'gnr. 12 bnr. 34');
+    assert.equal(formatCadastre({ landNumber: 12, titleNumber: 34, leaseholdNumber: 0, sectionNumber: 0 }), 'gnr. 12 bnr. 34');
+    assert.equal(formatCadastre({ landNumber: 208, titleNumber: 11, sectionNumber: 3 }), 'gnr. 208 bnr. 11 snr. 3');
+    assert.equal(formatCadastre({ landNumber: 5, titleNumber: 2, leaseholdNumber: 7 }), 'gnr. 5 bnr. 2 fnr. 7');
+  });
+});
+
+describe('classifyObligation', () => {
+  test('weighs a stated deadline over a denied builder clause', () => {
+    const result = classifyObligation('tomten selges uten byggeklausul. byggefrist 3 år fra overtakelse.');
+    assert.equal(result.obligation, 'has_deadline');
+    assert.match(result.text, /byggefrist 3 år/);
+    assert.deepEqual(result.evidence.map(e => [e.aspect, e.asserts]), [['clause', false], ['deadline', true]]);
+  });
+
+  test('reads negated obligations as denials', () => {
+    assert.equal(classifyObligation('det er ikke byggeplikt på tomten.').obligation, 'none');
+    assert.equal(classifyObligation('verken byggeklausul eller byggeplikt.').obligation, 'none');
+    const free = classifyObligation('selges uten byggeklausul og med fritt valg av hustype.');
+    assert.equal(free.obligation, 'none');
+    assert.equal(free.confidence, 1);
+    assert.ok(free.evidence.every(e => !e.asserts), 'hustype after "fritt valg av" is not a clause');
+  });
+
+  test('ranks a builder clause above a deadline', () => {
+    const result = classifyObligation('tomten må bebygges innen 3 år. boligen skal leveres av abc hus as.');
+    assert.equal(result.obligation, 'has_clause');
+    assert.equal(result.evidence.length, 2);
+  });
+
+  test('lowers confidence for weak or conflicting evidence', () => {
+    assert.equal(classifyObligation('byggetid ca. 6 måneder.').confidence, 0.33);
+    const mixed = classifyObligation('byggeklausul på tomten. fritt valg av kjøkken.');
+    assert.equal(mixed.obligation, 'has_clause');
+    assert.ok(mixed.confidence < 0.5);
+  });
+
+  test('returns unknown without confidence when nothing matches', () => {
+    assert.deepEqual(classifyObligation('fin tomt med utsikt.'), { obligation: 'unknown', text: null, confidence: null, evidence: [] });
+  });
+});
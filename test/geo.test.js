@@ -0,0 +1,166 @@
+// Kommune outline simplification, area selection and the distance-from-pin
+// helpers behind near_lat / near_lon / radius_km.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toleranceForZoom, simplifyGeometry, getSimplifiedBoundaries,
+  pointInPolygon, pointInArea, parseAreaParam, kommunePolygons, loadBoundaries,
+  haversineKm, parseNearParams, radiusBbox,
+} = require('../geo');
+
+function ringsOf(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.flat();
+}
+
+describe('simplifyGeometry', () => {
+  test('keeps a kommune smaller than the tolerance instead of dropping it', () => {
+    const islet = [[5.0, 60.0], [5.01, 60.0], [5.01, 60.005], [5.0, 60.005], [5.0, 60.0]];
+    const polygon = simplifyGeometry({ type: 'Polygon', coordinates: [islet] }, 0.03);
+    assert.deepEqual(polygon.coordinates, [islet]);
+
+    const multi = simplifyGeometry({ type: 'MultiPolygon', coordinates: [[islet]] }, 0.03);
+    assert.deepEqual(multi.coordinates, [[islet]]);
+  });
+
+  test('drops islets of a larger kommune but keeps the main outline', () => {
+    const main = [[5.0, 60.0], [5.2, 60.0], [5.2, 60.1], [5.1, 60.15], [5.0, 60.1], [5.0, 60.0]];
+    const islet = [[5.3, 60.0], [5.301, 60.0], [5.301, 60.001], [5.3, 60.0]];
+    const multi = simplifyGeometry({ type: 'MultiPolygon', coordinates: [[main], [islet]] }, 0.008);
+    assert.equal(multi.coordinates.length, 1);
+    assert.deepEqual(multi.coordinates[0][0][0], main[0]);
+  });
+});
+
+describe('getSimplifiedBoundaries', () => {
+  const full = getSimplifiedBoundaries(20);
+
+  for (const zoom of [4, 6, 8]) {
+    test(`zoom ${zoom} keeps every kommune with closed rings of at least 4 points`, () => {
+      assert.ok(toleranceForZoom(zoom) > 0);
+      const simplified = getSimplifiedBoundaries(zoom);
+      assert.equal(simplified.features.length, full.features.length);
+      for (const feature of simplified.features) {
+        const rings = ringsOf(feature.geometry);
+        assert.ok(rings.length > 0, `kommune ${feature.properties.code} has no rings`);
+        for (const ring of rings) {
+          assert.ok(ring.length >= 4, `kommune ${feature.properties.code} has a ring of ${ring.length} points`);
+          assert.deepEqual(ring[ring.length - 1], ring[0], `kommune ${feature.properties.code} has an open ring`);
+        }
+      }
+    });
+  }
+
+  test('reduces the vertex count at low zoom', () => {
+    const count = (collection) => collection.features.reduce((n, f) => n + ringsOf(f.geometry).reduce((m, r) => m + r.length, 0), 0);
+    assert.ok(count(getSimplifiedBoundaries(4)) < count(full) / 2);
+  });
+});
+
+// 10x10 square with a 2x2 hole in the middle, as [lon, lat]
+const SQUARE = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+const HOLE = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+
+describe('pointInPolygon', () => {
+  test('excludes points inside a hole', () => {
+    assert.equal(pointInPolygon(2, 2, [SQUARE, HOLE]), true);
+    assert.equal(pointInPolygon(5, 5, [SQUARE, HOLE]), false);
+    assert.equal(pointInPolygon(5, 5, [SQUARE]), true);
+    assert.equal(pointInPolygon(11, 5, [SQUARE, HOLE]), false);
+  });
+
+  test('counts points on an edge or vertex as inside', () => {
+    for (const [lon, lat] of [[0, 5], [10, 5], [5, 0], [5, 10], [0, 0], [10, 10]]) {
+      assert.equal(pointInPolygon(lon, lat, [SQUARE]), true, `${lon},${lat}`);
+    }
+    assert.equal(pointInPolygon(4, 5, [SQUARE, HOLE]), true);
+    assert.equal(pointInPolygon(3, 3, [[[0, 0], [6, 6], [0, 6], [0, 0]]]), true);
+    assert.equal(pointInPolygon(10.000001, 5, [SQUARE]), false);
+  });
+});
+
+describe('pointInArea', () => {
+  test('matches any part of a MultiPolygon', () => {
+    const parts = [[SQUARE, HOLE], [[[20, 0], [30, 0], [30, 10], [20, 0]]]];
+    assert.equal(pointInArea(2, 2, parts), true);
+    assert.equal(pointInArea(28, 2, parts), true);
+    assert.equal(pointInArea(5, 5, parts), false);
+    assert.equal(pointInArea(15, 5, parts), false);
+    assert.equal(pointInArea(5, 5, []), false);
+  });
+
+  test('uses every part of a MultiPolygon kommune', () => {
+    const multi = loadBoundaries().features.find(f => f.geometry.type === 'MultiPolygon');
+    const polygons = kommunePolygons([multi.properties.kommunenummer]);
+    assert.equal(polygons.length, multi.geometry.coordinates.length);
+    const [lon, lat] = polygons[polygons.length - 1][0][0];
+    assert.equal(pointInArea(lon, lat, polygons), true);
+  });
+});
+
+describe('parseAreaParam', () => {
+  test('reads lat,lon vertices into [lon, lat] rings', () => {
+    assert.deepEqual(parseAreaParam('59.9,10.7;60.0,10.8;59.9,10.9'), [[[[10.7, 59.9], [10.8, 60.0], [10.9, 59.9]]]]);
+    assert.equal(parseAreaParam('59.9,10.7;60.0,10.8;59.9,10.9|60,5;61,5;61,6').length, 2);
+  });
+
+  test('skips malformed vertices and polygons', () => {
+    assert.deepEqual(parseAreaParam(''), []);
+    assert.deepEqual(parseAreaParam(undefined), []);
+    assert.deepEqual(parseAreaParam(['59.9,10.7']), []);
+    assert.deepEqual(parseAreaParam('garbage'), []);
+    assert.deepEqual(parseAreaParam('59.9,10.7;60.0,10.8'), []);
+    assert.deepEqual(parseAreaParam('59.9,10.7;abc;60.0,10.8;1,2,3;95,10;59.9,10.9'), [[[[10.7, 59.9], [10.8, 60.0], [10.9, 59.9]]]]);
+    assert.equal(parseAreaParam('59.9,10.7;60.0,10.8|60,5;61,5;61,6').length, 1);
+  });
+
+  test('rejects oversized params', () => {
+    const ring = (n) => Array.from({ length: n }, (_, i) => `${60 + Math.sin(i) / 10},${10 + Math.cos(i) / 10}`).join(';');
+    assert.equal(parseAreaParam(ring(150)).length, 1);
+    assert.deepEqual(parseAreaParam(ring(500)), []);
+    assert.deepEqual(parseAreaParam(Array(30).fill(ring(3)).join('|')), []);
+    assert.deepEqual(parseAreaParam('1'.repeat(200000)), []);
+  });
+});
+
+const OSLO = { lat: 59.9139, lon: 10.7522 };
+const BERGEN = { lat: 60.3913, lon: 5.3221 };
+
+describe('haversineKm', () => {
+  test('measures straight-line distance', () => {
+    assert.equal(haversineKm(OSLO, OSLO), 0);
+    const km = haversineKm(OSLO, BERGEN);
+    assert.ok(km > 300 && km < 310, `Oslo-Bergen ${km} km`);
+    assert.equal(haversineKm(BERGEN, OSLO), km);
+  });
+});
+
+describe('parseNearParams', () => {
+  test('reads a point with an optional radius', () => {
+    assert.deepEqual(parseNearParams({ near_lat: '59.91', near_lon: '10.75', radius_km: '25' }), { lat: 59.91, lon: 10.75, radiusKm: 25 });
+    assert.deepEqual(parseNearParams({ near_lat: '59.91', near_lon: '10.75' }), { lat: 59.91, lon: 10.75, radiusKm: null });
+    assert.equal(parseNearParams({ near_lat: '59.91', near_lon: '10.75', radius_km: '-5' }).radiusKm, null);
+  });
+
+  test('ignores a missing or invalid point', () => {
+    assert.equal(parseNearParams({}), null);
+    assert.equal(parseNearParams({ near_lat: '59.91' }), null);
+    assert.equal(parseNearParams({ near_lat: 'abc', near_lon: '10.75' }), null);
+    assert.equal(parseNearParams({ near_lat: '95', near_lon: '10.75' }), null);
+  });
+});
+
+describe('radiusBbox', () => {
+  test('contains every point within the radius', () => {
+    const box = radiusBbox(OSLO.lat, OSLO.lon, 50);
+    for (const bearing of [0, 45, 90, 135, 180, 225, 270, 315]) {
+      const rad = bearing * Math.PI / 180;
+      const point = {
+        lat: OSLO.lat + (49.9 / 111.32) * Math.cos(rad),
+        lon: OSLO.lon + (49.9 / (111.32 * Math.cos(OSLO.lat * Math.PI / 180))) * Math.sin(rad),
+      };
+      assert.ok(haversineKm(OSLO, point) <= 50);
+      assert.ok(point.lat >= box.south && point.lat <= box.north && point.lon >= box.west && point.lon <= box.east);
+    }
+  });
+});
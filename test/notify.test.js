@@ -0,0 +1,111 @@
+// Saved-search alerts: RSS rendering and webhook delivery against a stub endpoint.
+process.env.WEBHOOK_TIMEOUT_MS = '300';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { deliverSavedSearchAlert, buildRssFeed, escapeXml } = require('../notify');
+const { startStubServer } = require('./stub-server');
+
+const SEARCH = { id: 7, name: 'Tomter <Asker> & "Bærum"', params: 'category=tomt&municipality=3203' };
+const LISTINGS = [
+  { id: '1002', title: 'Tomt i Asker', price: 1500000, url: 'https://www.finn.no/1002', municipality_name: 'Asker', address: 'Askerveien 2', matched_at: '2026-10-01 08:30:00' },
+  { id: '1004', title: null, price: null, url: 'https://www.finn.no/1004?a=1&b=2', municipality_name: 'Bærum', address: null, matched_at: '2026-09-30 12:00:00' },
+];
+
+describe('escapeXml', () => {
+  test('escapes markup characters and tolerates missing values', () => {
+    assert.equal(escapeXml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    assert.equal(escapeXml(null), '');
+    assert.equal(escapeXml(undefined), '');
+    assert.equal(escapeXml(42), '42');
+  });
+});
+
+describe('buildRssFeed', () => {
+  const xml = buildRssFeed(SEARCH, LISTINGS, 'https://homes.example');
+
+  test('renders one escaped item per match', () => {
+    assert.equal(xml.match(/<item>/g).length, 2);
+    assert.match(xml, /<title>Norway Property Finder — Tomter &lt;Asker&gt; &amp; &quot;Bærum&quot;<\/title>/);
+    assert.match(xml, /<link>https:\/\/homes\.example\/\?category=tomt&amp;municipality=3203<\/link>/);
+    assert.match(xml, /<link>https:\/\/www\.finn\.no\/1004\?a=1&amp;b=2<\/link>/);
+    assert.match(xml, /<title>Untitled — Price on request<\/title>/);
+    assert.match(xml, /<guid isPermaLink="false">7-1002<\/guid>/);
+  });
+
+  test('dates items from when they matched, in UTC', () => {
+    assert.match(xml, /<pubDate>Thu, 01 Oct 2026 08:30:00 GMT<\/pubDate>/);
+  });
+
+  test('renders an empty channel without matches', () => {
+    const empty = buildRssFeed(SEARCH, [], 'https://homes.example');
+    assert.doesNotMatch(empty, /<item>/);
+    assert.match(empty, /<\/channel>\s*<\/rss>/);
+  });
+});
+
+describe('deliverSavedSearchAlert', () => {
+  test('POSTs the new matches as JSON to the webhook', async () => {
+    let received = null;
+    const stub = await startStubServer({
+      '/hook': (req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { method: req.method, type: req.headers['content-type'], body: JSON.parse(body) };
+          res.end('ok');
+        });
+      },
+    });
+    try {
+      await deliverSavedSearchAlert({ ...SEARCH, webhook_url: `${stub.url}/hook` }, LISTINGS);
+      assert.equal(received.method, 'POST');
+      assert.equal(received.type, 'application/json');
+      assert.deepEqual(received.body.search, { id: 7, name: SEARCH.name, params: SEARCH.params });
+      assert.deepEqual(received.body.new_listings.map(l => l.id), ['1002', '1004']);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('skips delivery when there are no new matches', async () => {
+    const stub = await startStubServer({ '/hook': (req, res) => res.end('ok') });
+    try {
+      await deliverSavedSearchAlert({ ...SEARCH, webhook_url: `${stub.url}/hook` }, []);
+      assert.equal(stub.hits['/hook'], undefined);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('logs a failing webhook instead of throwing', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const stub = await startStubServer({
+      '/hook': (req, res) => { res.writeHead(500); res.end(); },
+    });
+    try {
+      await deliverSavedSearchAlert({ ...SEARCH, webhook_url: `${stub.url}/hook` }, LISTINGS);
+      assert.equal(errors.mock.callCount(), 1);
+      assert.match(errors.mock.calls[0].arguments[1], /HTTP 500/);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('gives up on a webhook that never answers', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const pending = [];
+    const stub = await startStubServer({ '/hook': (req, res) => pending.push(res) });
+    try {
+      const started = Date.now();
+      await deliverSavedSearchAlert({ ...SEARCH, webhook_url: `${stub.url}/hook` }, LISTINGS);
+      assert.ok(Date.now() - started < 5000);
+      assert.equal(stub.hits['/hook'], 1);
+      assert.equal(errors.mock.callCount(), 1);
+      assert.match(errors.mock.calls[0].arguments[1], /timeout|aborted/i);
+    } finally {
+      pending.forEach(res => res.destroy());
+      await stub.close();
+    }
+  });
+});
@@ -0,0 +1,77 @@
+// Token-bucket limiter behind the Finn.no request rate, driven by a fake clock.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenBucket } = require('../ratelimit');
+
+/**
+ * Fake clock: sleep() advances time instantly and records what was waited for
+ */
+function fakeClock() {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+describe('createTokenBucket', () => {
+  test('hands out the burst capacity without waiting', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket({ ratePerSecond: 2, burst: 3, now: clock.now, sleep: clock.sleep });
+
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+    assert.deepEqual(clock.sleeps, []);
+
+    await bucket.take();
+    assert.deepEqual(clock.sleeps, [500]);
+  });
+
+  test('refills at the configured rate', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket({ ratePerSecond: 4, burst: 1, now: clock.now, sleep: clock.sleep });
+
+    await bucket.take();
+    clock.time += 250;
+    await bucket.take();
+    assert.deepEqual(clock.sleeps, []);
+
+    clock.time += 100;
+    await bucket.take();
+    assert.deepEqual(clock.sleeps, [150]);
+  });
+
+  test('never refills past the burst capacity', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket({ ratePerSecond: 1, burst: 2, now: clock.now, sleep: clock.sleep });
+
+    clock.time += 60000;
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+    assert.deepEqual(clock.sleeps, [1000]);
+  });
+
+  test('serves waiters in the order they asked', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket({ ratePerSecond: 10, burst: 1, now: clock.now, sleep: clock.sleep });
+    const order = [];
+
+    await Promise.all(['a', 'b', 'c', 'd'].map(name => bucket.take().then(() => order.push([name, clock.time]))));
+    assert.deepEqual(order, [['a', 0], ['b', 100], ['c', 200], ['d', 300]]);
+  });
+
+  test('keeps serving after a failed wait', async () => {
+    const clock = fakeClock();
+    let fail = true;
+    const sleep = async (ms) => {
+      if (fail) { fail = false; throw new Error('timer failed'); }
+      await clock.sleep(ms);
+    };
+    const bucket = createTokenBucket({ ratePerSecond: 10, burst: 1, now: clock.now, sleep });
+
+    await bucket.take();
+    await assert.rejects(bucket.take(), /timer failed/);
+    await bucket.take();
+    assert.deepEqual(clock.sleeps, [100]);
+  });
+});
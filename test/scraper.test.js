@@ -0,0 +1,106 @@
+// Source-independent scrape steps, run against an in-memory adapter.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScrapeMetrics, detectDegradation, addressKey, fetchMunicipalityListings } = require('../scraper');
+
+const ASKER = { code: '3203', name: 'Asker' };
+
+/**
+ * Minimal adapter returning fixed search results and recording detail calls
+ */
+function fakeSource(results, detailFn) {
+  const detailCalls = [];
+  return {
+    name: 'fake',
+    label: 'Fake',
+    categories: ['tomt'],
+    detailCalls,
+    async search() {
+      return results.map(r => ({ ...r }));
+    },
+    async detail(listing) {
+      detailCalls.push(listing.id);
+      return detailFn(listing);
+    },
+  };
+}
+
+describe('detectDegradation', () => {
+  const metrics = (fields) => ({ ...createScrapeMetrics(), ...fields });
+
+  test('reports a healthy run', () => {
+    assert.equal(detectDegradation(createScrapeMetrics()), null);
+    assert.equal(detectDegradation(metrics({ pagesFetched: 50, decodeFailures: 5, docsTotal: 900, detailFetched: 40, detailFailures: 10 })), null);
+  });
+
+  test('flags a high decode failure rate once enough pages are fetched', () => {
+    assert.equal(detectDegradation(metrics({ pagesFetched: 9, decodeFailures: 9 })), null);
+    assert.match(detectDegradation(metrics({ pagesFetched: 20, decodeFailures: 5, docsTotal: 100 })), /25% of search pages could not be decoded/);
+  });
+
+  test('flags decoded pages without any listings', () => {
+    assert.equal(detectDegradation(metrics({ pagesFetched: 9, docsTotal: 0 })), null);
+    assert.match(detectDegradation(metrics({ pagesFetched: 12, decodeFailures: 1, docsTotal: 0 })), /No listings on any of 11 decoded search pages/);
+  });
+
+  test('flags failing detail pages once enough are fetched', () => {
+    assert.equal(detectDegradation(metrics({ pagesFetched: 20, docsTotal: 100, detailFetched: 9, detailFailures: 9 })), null);
+    assert.match(detectDegradation(metrics({ pagesFetched: 20, docsTotal: 100, detailFetched: 10, detailFailures: 6 })), /60% of detail pages failed/);
+  });
+});
+
+describe('addressKey', () => {
+  test('normalises the street part of an address', () => {
+    assert.equal(addressKey('Solbergveien 12B, 1384 Asker'), 'solbergveien 12b');
+    assert.equal(addressKey('SOLBERGVEIEN 12 B'), 'solbergveien 12 b');
+    assert.equal(addressKey('Storgata 3-5, Rindal'), 'storgata 3 5');
+  });
+
+  test('returns null without a house number', () => {
+    assert.equal(addressKey('Solbergveien, 1384 Asker'), null);
+    assert.equal(addressKey(''), null);
+    assert.equal(addressKey(null), null);
+  });
+});
+
+describe('fetchMunicipalityListings', () => {
+  test('merges detail fields and sets the address key', async () => {
+    const source = fakeSource(
+      [{ id: 'fake:1', price: 100, title: 'Tomt', address: 'Bakken 4, Asker' }],
+      () => ({ buildingObligation: 'free', cadastre: '3203-12/34' })
+    );
+    const [listing] = await fetchMunicipalityListings(source, ASKER, 'tomt');
+
+    assert.equal(listing.addressKey, 'bakken 4');
+    assert.equal(listing.buildingObligation, 'free');
+    assert.equal(listing.cadastre, '3203-12/34');
+  });
+
+  test('skips details for known listings whose price and title are unchanged', async () => {
+    const source = fakeSource(
+      [
+        { id: 'fake:1', price: 100, title: 'Tomt' },
+        { id: 'fake:2', price: 200, title: 'Tomt' },
+        { id: 'fake:3', price: 300, title: 'Tomt' },
+      ],
+      () => null
+    );
+    const known = new Map([
+      ['fake:1', { price: 100, title: 'Tomt' }],
+      ['fake:2', { price: 250, title: 'Tomt' }],
+    ]);
+    const listings = await fetchMunicipalityListings(source, ASKER, 'tomt', { known });
+
+    assert.deepEqual(source.detailCalls, ['fake:2', 'fake:3']);
+    assert.deepEqual(listings.map(l => !!l.detailsSkipped), [true, false, false]);
+  });
+
+  test('marks details skipped when the detail step throws, so stored details are kept', async () => {
+    const source = fakeSource([{ id: 'fake:1', price: 100, title: 'Tomt' }], () => {
+      throw new Error('boom');
+    });
+    const [listing] = await fetchMunicipalityListings(source, ASKER, 'tomt');
+    assert.equal(listing.detailsSkipped, true);
+    assert.equal(listing.buildingObligation, undefined);
+  });
+});
@@ -0,0 +1,284 @@
+// Offline smart-search parser, provider fallback, follow-up refinement and caching.
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, parseAmount } = require('../smartsearch/rules');
+const { smartSearch, getSmartSearchProvider, applyChanges, diffFilters, normaliseQuery } = require('../smartsearch');
+const { PROMPT_EXAMPLES } = require('../smartsearch/prompt');
+const { startStubServer } = require('./stub-server');
+const { hasHousingTaxRates } = require('../costs');
+
+// ‰ limits are only read once data/municipalities.json has imported tax rates
+const TAX_RATES_KNOWN = hasHousingTaxRates(require('../data/municipalities.json'));
+
+const ENV_KEYS = ['SMART_SEARCH_PROVIDER', 'SMART_SEARCH_URL', 'SMART_SEARCH_MODEL', 'SMART_SEARCH_API_KEY', 'DEEPSEEK_API_KEY'];
+
+describe('parseQuery', () => {
+  for (const [query, expected] of PROMPT_EXAMPLES) {
+    test(`matches the prompt example "${query}"`, () => {
+      assert.deepEqual(parseQuery(query), expected);
+    });
+  }
+
+  test('understands Norwegian queries', () => {
+    assert.deepEqual(parseQuery('billig selveiet tomt i Hole med kommunalt vann og avløp'), {
+      municipality: '3310', category: 'tomt', plot_owned: 'selveier', water_supply: 'public', sewer: 'public', sort: 'price_asc',
+    });
+    assert.deepEqual(parseQuery('enebolig mellom 2 og 3,5 mill over 120 kvm'), {
+      category: 'home', property_type: 'Enebolig', min_price: 2000000, max_price: 3500000, min_area: 120,
+    });
+    assert.deepEqual(parseQuery('småbruk konsesjonsfri, eiendomsskatt under 0 promille'), {
+      category: 'farm', concession: 'free', max_tax_rate: 0,
+    });
+  });
+
+  test('reads short municipality names only after a preposition', () => {
+    assert.deepEqual(parseQuery('time to find a hole'), {});
+    assert.equal(parseQuery('leilighet i Ås').municipality, '3218');
+  });
+
+  test('does not read a property tax rate or area as a price', () => {
+    const filters = parseQuery('tomt over 5 mål, property tax below 3‰');
+    assert.equal(filters.min_area, 5000);
+    assert.equal(filters.max_tax_rate, TAX_RATES_KNOWN ? 3 : undefined);
+    assert.equal(filters.min_price, undefined);
+    assert.equal(filters.max_price, undefined);
+  });
+
+  test('only reads a property tax limit above 0 when rates are known', () => {
+    const expected = TAX_RATES_KNOWN ? 2 : undefined;
+    assert.equal(parseQuery('eiendomsskatt under 2 promille').max_tax_rate, expected);
+    assert.equal(parseQuery('hytte med lav eiendomsskatt').max_tax_rate, expected);
+    assert.equal(parseQuery('skattefri tomt').max_tax_rate, 0);
+  });
+
+  test('reads drive times in minutes and from hub cities only', () => {
+    assert.deepEqual(parseQuery('hytte innen 90 min fra Trondheim'), { category: 'cabin', from: '5001', max_drive_minutes: 90 });
+    assert.deepEqual(parseQuery('2 timer fra Oslo'), { from: '0301', min_drive_minutes: 60, max_drive_minutes: 120 });
+    // Not a hub: near means the town itself
+    assert.deepEqual(parseQuery('near Hamar'), { municipality: '3403' });
+  });
+
+  test('reads land as a plot only when no other kind of property is named', () => {
+    assert.equal(parseQuery('land in Bærum').category, 'tomt');
+    assert.deepEqual(parseQuery('house with land in Bærum'), { municipality: '3201', category: 'home' });
+    assert.deepEqual(parseQuery('farmland near Hamar'), { municipality: '3403', category: 'farm' });
+  });
+
+  test('reads a negated "developed" as not developed', () => {
+    assert.equal(parseQuery('not developed plot').developed, '0');
+    assert.equal(parseQuery('tomt som ikke er opparbeidet').developed, '0');
+    assert.equal(parseQuery('ikke opparbeidet tomt').developed, '0');
+    assert.equal(parseQuery('un-developed plot').developed, '0');
+    assert.equal(parseQuery('developed plot').developed, '1');
+  });
+
+  test('prefers cost of ownership over plain price sorting', () => {
+    assert.equal(parseQuery('cheapest to own cabin').sort, 'cost_asc');
+  });
+
+  test('returns null for filters a follow-up removes', () => {
+    assert.deepEqual(parseQuery('any price'), { min_price: null, max_price: null });
+    assert.deepEqual(parseQuery('hytter hvor som helst'), {
+      category: 'cabin', municipality: null, from: null, min_drive_minutes: null, max_drive_minutes: null,
+    });
+    // A filter the query sets is not also removed
+    assert.deepEqual(parseQuery('any price under 3M'), { max_price: 3000000, min_price: null });
+  });
+});
+
+describe('parseAmount', () => {
+  test('understands common ways of writing prices', () => {
+    assert.equal(parseAmount('2', 'M'), 2000000);
+    assert.equal(parseAmount('2,5', 'mill'), 2500000);
+    assert.equal(parseAmount('500', 'k'), 500000);
+    assert.equal(parseAmount('1 500 000', 'kr'), 1500000);
+    assert.equal(parseAmount('2000000', undefined), 2000000);
+    assert.equal(parseAmount('2', undefined), null);
+  });
+});
+
+describe('smartSearch', () => {
+  let savedEnv;
+  let stub;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(k => [k, process.env[k]]));
+    ENV_KEYS.forEach(k => delete process.env[k]);
+  });
+
+  afterEach(async () => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    if (stub) await stub.close();
+    stub = null;
+  });
+
+  function completion(content) {
+    return (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+    };
+  }
+
+  test('uses the offline parser when no provider is configured', async () => {
+    assert.equal(getSmartSearchProvider().name, 'rules');
+    const result = await smartSearch('plots near Bergen');
+    assert.deepEqual(result, { filters: { from: '4601', max_drive_minutes: 60, category: 'tomt' }, diff: null, provider: 'rules', fallback: false, cached: false });
+  });
+
+  test('asks an OpenAI-compatible endpoint and keeps only allowed keys', async () => {
+    stub = await startStubServer({
+      '/v1/chat/completions': completion('```json\n{"category":"tomt","max_price":2000000,"evil":"1","sort":""}\n```'),
+    });
+    process.env.SMART_SEARCH_URL = `${stub.url}/v1`;
+    process.env.SMART_SEARCH_MODEL = 'qwen2.5:7b';
+
+    const result = await smartSearch('tomt under 2M');
+    assert.deepEqual(result, { filters: { category: 'tomt', max_price: 2000000 }, diff: null, provider: 'openai', fallback: false, cached: false });
+    assert.equal(stub.hits['/v1/chat/completions'], 1);
+  });
+
+  test('falls back to the offline parser when the endpoint fails', async () => {
+    stub = await startStubServer({
+      '/v1/chat/completions': (req, res) => { res.writeHead(503); res.end('model loading'); },
+    });
+    process.env.SMART_SEARCH_PROVIDER = 'openai';
+    process.env.SMART_SEARCH_URL = `${stub.url}/v1/chat/completions`;
+    process.env.SMART_SEARCH_MODEL = 'local';
+
+    const result = await smartSearch('tomt under 2M');
+    assert.deepEqual(result, { filters: { category: 'tomt', max_price: 2000000 }, diff: null, provider: 'rules', fallback: true, cached: false });
+  });
+
+  test('falls back when the chosen provider has no configuration', async () => {
+    process.env.SMART_SEARCH_PROVIDER = 'openai';
+    const result = await smartSearch('selveier tomt');
+    assert.equal(result.provider, 'rules');
+    assert.equal(result.fallback, true);
+    assert.deepEqual(result.filters, { category: 'tomt', plot_owned: 'selveier' });
+  });
+
+  test('rejects an unknown provider name', () => {
+    process.env.SMART_SEARCH_PROVIDER = 'gpt-9';
+    assert.throws(() => getSmartSearchProvider(), /Unknown smart search provider/);
+  });
+
+  test('refines the current filters with a follow-up', async () => {
+    const current = { municipality: '3203', category: 'tomt', max_price: '2000000', sort: 'newest', mortgage_rate: '5' };
+    const result = await smartSearch('now only freehold, any price', { current, history: ['plots in Asker under 2M'] });
+    assert.deepEqual(result.filters, { municipality: '3203', category: 'tomt', sort: 'newest', plot_owned: 'selveier' });
+    assert.deepEqual(result.diff, { added: { plot_owned: 'selveier' }, changed: {}, removed: { max_price: '2000000' } });
+  });
+
+  test('sends the current filters and session history to the model', async () => {
+    let message;
+    stub = await startStubServer({
+      '/v1/chat/completions': (req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          message = JSON.parse(body).messages[1].content;
+          completion('{"category":"cabin","max_price":null,"evil":1}')(req, res);
+        });
+      },
+    });
+    process.env.SMART_SEARCH_URL = `${stub.url}/v1`;
+    process.env.SMART_SEARCH_MODEL = 'local';
+
+    const result = await smartSearch('make it cabins, no budget', {
+      current: { category: 'tomt', max_price: 2000000 },
+      history: ['', 'plots under 2M', 42],
+    });
+    assert.equal(message, 'Current filters: {"category":"tomt","max_price":2000000}\nEarlier queries: "plots under 2M"\nFollow-up: make it cabins, no budget');
+    assert.deepEqual(result.filters, { category: 'cabin' });
+    assert.deepEqual(result.diff, { added: {}, changed: { category: { from: 'tomt', to: 'cabin' } }, removed: { max_price: 2000000 } });
+  });
+});
+
+describe('smartSearch cache', () => {
+  let savedEnv;
+  let stub;
+
+  beforeEach(async () => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(k => [k, process.env[k]]));
+    ENV_KEYS.forEach(k => delete process.env[k]);
+    stub = await startStubServer({
+      '/v1/chat/completions': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: '{"category":"tomt","max_price":2000000}' } }] }));
+      },
+    });
+    process.env.SMART_SEARCH_URL = `${stub.url}/v1`;
+    process.env.SMART_SEARCH_MODEL = 'local';
+  });
+
+  afterEach(async () => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await stub.close();
+  });
+
+  function memoryCache() {
+    const entries = new Map();
+    return { entries, get: key => entries.get(key) || null, set: (key, value) => entries.set(key, value) };
+  }
+
+  test('reuses the answer for the same normalised query', async () => {
+    const cache = memoryCache();
+    const first = await smartSearch('Tomt under 2M', { cache });
+    const second = await smartSearch('  tomt   under 2m?', { cache });
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.filters, first.filters);
+    assert.equal(stub.hits['/v1/chat/completions'], 1);
+  });
+
+  test('keys follow-ups by their current filters', async () => {
+    const cache = memoryCache();
+    await smartSearch('now plots under 2M', { cache, current: { category: 'home' } });
+    const other = await smartSearch('now plots under 2M', { cache, current: { category: 'cabin' } });
+    assert.equal(other.cached, false);
+    assert.equal(cache.entries.size, 2);
+  });
+
+  test('does not cache the offline parser', async () => {
+    process.env.SMART_SEARCH_PROVIDER = 'rules';
+    const cache = memoryCache();
+    await smartSearch('tomt under 2M', { cache });
+    assert.equal((await smartSearch('tomt under 2M', { cache })).cached, false);
+    assert.equal(cache.entries.size, 0);
+  });
+});
+
+describe('normaliseQuery', () => {
+  test('ignores case, spacing and closing punctuation', () => {
+    assert.equal(normaliseQuery('  Hytte  i\tHAMAR?! '), 'hytte i hamar');
+    assert.equal(normaliseQuery('2.5M'), '2.5m');
+  });
+});
+
+describe('applyChanges', () => {
+  test('replaces the whole driving time zone', () => {
+    assert.deepEqual(
+      applyChanges({ from: '0301', min_drive_minutes: 60, max_drive_minutes: 180, category: 'tomt' }, { max_drive_minutes: 60 }),
+      { category: 'tomt', max_drive_minutes: 60 });
+  });
+
+  test('keeps a municipality and a drive zone from combining', () => {
+    const zone = { from: '0301', max_drive_minutes: 60 };
+    assert.deepEqual(applyChanges({ municipality: '3203', category: 'home' }, zone), { category: 'home', ...zone });
+    assert.deepEqual(applyChanges({ ...zone, category: 'home' }, { municipality: '3201' }), { category: 'home', municipality: '3201' });
+  });
+});
+
+describe('diffFilters', () => {
+  test('compares values as strings', () => {
+    assert.deepEqual(diffFilters({ max_price: '2000000', sort: 'newest' }, { max_price: 2000000, sort: 'price_asc' }), {
+      added: {}, changed: { sort: { from: 'newest', to: 'price_asc' } }, removed: {},
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// Listing writes: scraped upserts, price history and manual corrections.
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { validateOverrides, createListingStore } = require('../store');
+
+// The listing columns the store reads and writes; server.js builds the same
+// schema through its migrations.
+const SCHEMA = `
+  CREATE TABLE listings (
+    id TEXT PRIMARY KEY,
+    source TEXT DEFAULT 'finn',
+    municipality_code TEXT NOT NULL,
+    municipality_name TEXT NOT NULL,
+    title TEXT, price INTEGER, price_text TEXT, address TEXT, address_key TEXT,
+    area_m2 INTEGER, bedrooms INTEGER, property_type TEXT, image_url TEXT, url TEXT NOT NULL,
+    latitude REAL, longitude REAL, shared_cost INTEGER DEFAULT 0, shared_debt INTEGER DEFAULT 0,
+    first_seen TEXT DEFAULT (datetime('now')), last_seen TEXT DEFAULT (datetime('now')),
+    is_new INTEGER DEFAULT 1, category TEXT DEFAULT 'home', is_developed INTEGER,
+    building_obligation TEXT DEFAULT 'unknown', building_obligation_text TEXT,
+    building_obligation_confidence REAL, building_obligation_evidence TEXT,
+    plot_owned TEXT, total_price INTEGER, tax_value INTEGER, cadastre TEXT, facilities TEXT,
+    regulations TEXT, yearly_costs_text TEXT, utilities TEXT,
+    municipal_fees INTEGER, road_fees INTEGER, connection_fees INTEGER, water_supply TEXT, sewer TEXT,
+    winter_access INTEGER, winter_access_text TEXT, concession TEXT, concession_text TEXT,
+    has_property_tax INTEGER DEFAULT 0, status TEXT DEFAULT 'active', removed_at TEXT
+  );
+  CREATE TABLE price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    listing_id TEXT NOT NULL,
+    price INTEGER NOT NULL,
+    observed_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE listing_overrides (
+    listing_id TEXT NOT NULL,
+    field TEXT NOT NULL,
+    value TEXT,
+    scraped_value TEXT,
+    note TEXT,
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (listing_id, field)
+  );
+`;
+
+function scraped(fields = {}) {
+  return {
+    id: '1001',
+    title: 'Tomt ved sjøen',
+    price: 1500000,
+    url: 'https://www.finn.no/realestate/plots/ad.html?finnkode=1001',
+    category: 'plot',
+    buildingObligation: 'has_deadline',
+    waterSupply: 'public',
+    ...fields,
+  };
+}
+
+describe('createListingStore', () => {
+  let db;
+  let store;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec(SCHEMA);
+    store = createListingStore(db);
+  });
+
+  const row = () => db.prepare('SELECT * FROM listings WHERE id = ?').get('1001');
+  const prices = () => db.prepare('SELECT price FROM price_history ORDER BY id').pluck().all();
+  const upsert = (listing, opts = {}) => store.upsertListings('4601', 'Bergen', [listing], { hasPropertyTax: true, ...opts });
+
+  test('counts new listings and records the price when it changes', () => {
+    assert.equal(upsert(scraped()), 1);
+    assert.equal(upsert(scraped()), 0);
+    upsert(scraped({ price: 1400000 }));
+    assert.deepEqual(prices(), [1500000, 1400000]);
+    assert.equal(row().has_property_tax, 1);
+  });
+
+  test('keeps a correction over a re-scrape and remembers the new scraped value', () => {
+    upsert(scraped());
+    store.saveOverrides('1001', { building_obligation: 'none' }, '  Checked with the municipality  ');
+    assert.equal(row().building_obligation, 'none');
+
+    upsert(scraped({ buildingObligation: 'has_clause' }));
+    assert.equal(row().building_obligation, 'none');
+    const { building_obligation: override } = store.getCorrectedListing('1001').overrides;
+    assert.equal(override.value, 'none');
+    assert.equal(override.scraped_value, 'has_clause');
+    assert.equal(override.note, 'Checked with the municipality');
+  });
+
+  test('leaves the scraped value alone when details were skipped', () => {
+    upsert(scraped());
+    store.saveOverrides('1001', { water_supply: 'private' });
+    upsert(scraped({ waterSupply: null, detailsSkipped: true }));
+    assert.equal(row().water_supply, 'private');
+    assert.equal(store.getCorrectedListing('1001').overrides.water_supply.scraped_value, 'public');
+  });
+
+  test('restores the scraped value when a correction is removed', () => {
+    upsert(scraped());
+    store.saveOverrides('1001', { building_obligation: 'none' });
+    upsert(scraped({ buildingObligation: 'has_clause' }));
+
+    assert.equal(store.removeOverride('1001', 'building_obligation'), true);
+    assert.equal(row().building_obligation, 'has_clause');
+    assert.equal(store.removeOverride('1001', 'building_obligation'), false);
+    assert.equal(store.removeOverride('1001', 'title'), false);
+  });
+
+  test('attaches overrides only to corrected listings', () => {
+    upsert(scraped());
+    upsert(scraped({ id: '1002' }));
+    store.saveOverrides('1001', { is_developed: 1 });
+    const listings = [{ id: '1001' }, { id: '1002' }];
+    store.attachOverrides(listings);
+    assert.equal(listings[0].overrides.is_developed.value, 1);
+    assert.equal(listings[1].overrides, undefined);
+  });
+
+  test('lists the known active listings of a municipality', () => {
+    upsert(scraped());
+    const known = store.getKnownListings('4601', 'finn', 'plot');
+    assert.deepEqual(known.get('1001'), { price: 1500000, title: 'Tomt ved sjøen' });
+    assert.equal(store.getKnownListings('4601', 'finn', 'home').size, 0);
+  });
+});
+
+describe('validateOverrides', () => {
+  test('accepts allowed values', () => {
+    assert.equal(validateOverrides({ sewer: 'septic', winter_access: null }), null);
+  });
+
+  test('rejects empty, unknown and invalid corrections', () => {
+    assert.match(validateOverrides({}), /^Nothing to correct; allowed fields: building_obligation/);
+    assert.equal(validateOverrides({ title: 'x' }), 'Field title cannot be corrected');
+    assert.equal(validateOverrides({ concession: 'maybe' }), 'Invalid concession: expected one of "free", "required", null');
+  });
+});
@@ -0,0 +1,43 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Start a local HTTP server standing in for Finn.no. `routes` maps a path
+ * (including query string) to a fixture file name, or to a handler
+ * (req, res, hitCount) for custom responses. Unknown paths get a 404.
+ */
+function startStubServer(routes) {
+  const hits = {};
+
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    hits[req.url] = (hits[req.url] || 0) + 1;
+
+    if (typeof route === 'function') return route(req, res, hits[req.url]);
+    if (typeof route === 'string') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(readFixture(route));
+    }
+    res.writeHead(404);
+    res.end('Not found');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        hits,
+        close: () => new Promise(r => server.close(r)),
+      });
+    });
+  });
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+module.exports = { startStubServer, readFixture };
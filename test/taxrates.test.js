@@ -0,0 +1,98 @@
+// KOSTRA property tax importer: CSV layouts, missing values and dataset merge.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseKostraCsv, applyTaxRates, parseValue } = require('../taxrates');
+const { housingTaxRate, estimatePropertyTax } = require('../costs');
+
+const LONG_CSV = fs.readFileSync(path.join(__dirname, 'fixtures', 'kostra-eiendomsskatt.csv'), 'utf8');
+
+const municipalities = () => [
+  { code: '0301', name: 'Oslo', hasPropertyTax: true, propertyTaxRate: null, propertyTaxDeduction: null, propertyTaxCommercialOnly: false, propertyTaxYear: null, propertyTaxHistory: [] },
+  { code: '3203', name: 'Asker', hasPropertyTax: true, propertyTaxRate: null, propertyTaxDeduction: null, propertyTaxCommercialOnly: false, propertyTaxYear: null, propertyTaxHistory: [] },
+  { code: '3201', name: 'Bærum', hasPropertyTax: false, propertyTaxRate: 0, propertyTaxDeduction: 0, propertyTaxCommercialOnly: false, propertyTaxYear: null, propertyTaxHistory: [] },
+  { code: '4601', name: 'Bergen', hasPropertyTax: true, propertyTaxRate: null, propertyTaxDeduction: null, propertyTaxCommercialOnly: false, propertyTaxYear: null, propertyTaxHistory: [] },
+];
+
+describe('parseValue', () => {
+  test('reads decimal commas and thousands spaces', () => {
+    assert.equal(parseValue('2,5'), 2.5);
+    assert.equal(parseValue('4 000 000'), 4000000);
+  });
+
+  test('treats SSB missing-value symbols as null', () => {
+    assert.equal(parseValue('..'), null);
+    assert.equal(parseValue('.'), null);
+    assert.equal(parseValue(':'), null);
+    assert.equal(parseValue(''), null);
+  });
+});
+
+describe('parseKostraCsv', () => {
+  test('reads the long layout per municipality and year', () => {
+    const records = parseKostraCsv(LONG_CSV);
+    assert.deepEqual(records.get('0301').get(2024), { housingTaxed: 1, housingRate: 2.5, deduction: 4000000 });
+    assert.deepEqual(records.get('3203').get(2024), { housingTaxed: 0, commercialTaxed: 1, generalRate: 7 });
+  });
+
+  test('reads the wide layout with the year in the column header', () => {
+    const csv = '\uFEFFregion,"Skattesats for eiendomsskatt på boliger og fritidsboliger (promille) 2024","Bunnfradrag i kroner per boenhet 2024"\n' +
+      '"4601 Bergen","2,8","1 000 000"\n';
+    const records = parseKostraCsv(csv);
+    assert.deepEqual(records.get('4601').get(2024), { housingRate: 2.8, deduction: 1000000 });
+  });
+
+  test('rejects a file without data rows', () => {
+    assert.throws(() => parseKostraCsv('region;år\n'), /no data rows/);
+  });
+});
+
+describe('applyTaxRates', () => {
+  test('sets current fields from the latest year and keeps the history', () => {
+    const list = municipalities();
+    const { updated, unmatched } = applyTaxRates(list, parseKostraCsv(LONG_CSV));
+    assert.equal(updated, 3);
+    assert.deepEqual(unmatched, ['9999']);
+
+    const oslo = list[0];
+    assert.equal(oslo.hasPropertyTax, true);
+    assert.equal(oslo.propertyTaxRate, 2.5);
+    assert.equal(oslo.propertyTaxDeduction, 4000000);
+    assert.equal(oslo.propertyTaxYear, 2024);
+    assert.deepEqual(oslo.propertyTaxHistory.map(h => [h.year, h.rate]), [[2023, 2], [2024, 2.5]]);
+  });
+
+  test('marks municipalities that only tax commercial property', () => {
+    const list = municipalities();
+    applyTaxRates(list, parseKostraCsv(LONG_CSV));
+    const asker = list[1];
+    assert.equal(asker.hasPropertyTax, false);
+    assert.equal(asker.propertyTaxRate, 0);
+    assert.equal(asker.propertyTaxCommercialOnly, true);
+    assert.deepEqual(asker.propertyTaxHistory[0], { year: 2023, rate: 1.8, deduction: null, commercialOnly: false });
+    assert.equal(list[2].propertyTaxCommercialOnly, false);
+  });
+
+  test('leaves municipalities missing from the file untouched', () => {
+    const list = municipalities();
+    applyTaxRates(list, parseKostraCsv(LONG_CSV));
+    assert.equal(list[3].hasPropertyTax, true);
+    assert.equal(list[3].propertyTaxRate, null);
+    assert.equal(list[3].propertyTaxYear, null);
+  });
+});
+
+describe('housingTaxRate', () => {
+  test('is zero for tax-free and commercial-only municipalities, null when unknown', () => {
+    assert.equal(housingTaxRate({ hasPropertyTax: false, propertyTaxRate: 0 }), 0);
+    assert.equal(housingTaxRate({ hasPropertyTax: true, propertyTaxRate: 3, propertyTaxCommercialOnly: true }), 0);
+    assert.equal(housingTaxRate({ hasPropertyTax: true, propertyTaxRate: 2.5 }), 2.5);
+    assert.equal(housingTaxRate({ hasPropertyTax: true, propertyTaxRate: null }), null);
+  });
+
+  test('keeps homes in commercial-only municipalities out of the tax estimate', () => {
+    const muni = { hasPropertyTax: true, propertyTaxRate: 7, propertyTaxDeduction: 0, propertyTaxCommercialOnly: true };
+    assert.deepEqual(estimatePropertyTax({ price: 4000000 }, muni), { amount: 0, rate: 0, estimated: false });
+  });
+});
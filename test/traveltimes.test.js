@@ -0,0 +1,101 @@
+// Travel-time dataset: great-circle estimate, OSRM table import and lookups.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTravelTimes, estimateMinutes, findHub, municipalitiesWithinDrive, driveMinutes } = require('../traveltimes');
+const { startStubServer } = require('./stub-server');
+
+const OSLO = { code: '0301', name: 'Oslo', lat: 59.9139, lon: 10.7522 };
+const BAERUM = { code: '3201', name: 'Bærum', lat: 59.8944, lon: 10.5463 };
+const HAMAR = { code: '3403', name: 'Hamar', lat: 60.7945, lon: 11.0680 };
+const TROMSO = { code: '5501', name: 'Tromsø', lat: 69.6492, lon: 18.9553 };
+
+describe('estimateMinutes', () => {
+  test('is zero for the hub itself and grows with distance', () => {
+    assert.equal(estimateMinutes(OSLO, OSLO), 0);
+    const baerum = estimateMinutes(BAERUM, OSLO);
+    const hamar = estimateMinutes(HAMAR, OSLO);
+    assert.ok(baerum > 0 && baerum < 60, `Bærum ${baerum} min`);
+    assert.ok(hamar > 60 && hamar < 180, `Hamar ${hamar} min`);
+  });
+
+  // Typical road times (minutes) including the ferries on the way
+  const KNOWN_ROAD_MINUTES = [
+    ['0301', '4601', 420], // Oslo–Bergen
+    ['0301', '5001', 390], // Oslo–Trondheim
+    ['0301', '1103', 450], // Oslo–Stavanger
+    ['4601', '1103', 280], // Bergen–Stavanger, two ferries
+    ['4601', '1508', 420], // Bergen–Ålesund
+    ['4204', '1103', 200], // Kristiansand–Stavanger
+    ['1804', '5501', 540], // Bodø–Tromsø
+    ['4625', '4601', 80], // Austevoll–Bergen, ferry
+  ];
+
+  test('is within 25 % of known road times across fjords and ferries', () => {
+    const municipalities = require('../data/municipalities.json');
+    const byCode = new Map(municipalities.map(m => [m.code, m]));
+    for (const [from, to, minutes] of KNOWN_ROAD_MINUTES) {
+      const estimate = estimateMinutes(byCode.get(from), byCode.get(to));
+      assert.ok(Math.abs(estimate - minutes) <= minutes * 0.25, `${from}–${to}: ${estimate} min, expected about ${minutes}`);
+    }
+  });
+
+  test('shipped dataset puts fjord towns and ferry islands out of short-drive range', () => {
+    assert.ok(driveMinutes('4625', '4601') > 60, 'Austevoll is not within an hour of Bergen');
+    for (const code of ['4601', '5001', '1103']) {
+      assert.ok(driveMinutes(code, '0301') > 360, `${code} is over six hours from Oslo`);
+    }
+  });
+});
+
+describe('buildTravelTimes', () => {
+  test('estimates every municipality to every hub without OSRM', async () => {
+    const { dataset, estimated } = await buildTravelTimes([OSLO, BAERUM, HAMAR, TROMSO], ['0301', '5501']);
+    assert.equal(dataset.method, 'great-circle');
+    assert.deepEqual(dataset.hubs, [{ code: '0301', name: 'Oslo' }, { code: '5501', name: 'Tromsø' }]);
+    assert.equal(dataset.minutes['0301']['0301'], 0);
+    assert.equal(dataset.minutes['3403']['0301'], estimateMinutes(HAMAR, OSLO));
+    assert.equal(estimated, 0);
+  });
+
+  test('uses OSRM road times and estimates pairs it cannot route', async () => {
+    // Source: the Oslo hub; destinations: Oslo, Bærum, Hamar (unroutable)
+    const stub = await startStubServer({
+      '/table/v1/driving/10.7522,59.9139;10.7522,59.9139;10.5463,59.8944;11.068,60.7945?sources=0&destinations=1;2;3&annotations=duration': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 'Ok', durations: [[0, 1260, null]] }));
+      },
+    });
+    try {
+      const { dataset, estimated } = await buildTravelTimes([OSLO, BAERUM, HAMAR], ['0301'], { osrmUrl: `${stub.url}/` });
+      assert.equal(dataset.method, 'osrm');
+      assert.equal(dataset.minutes['3201']['0301'], 21);
+      assert.equal(dataset.minutes['3403']['0301'], estimateMinutes(HAMAR, OSLO));
+      assert.equal(estimated, 1);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('rejects a hub that is not a municipality', async () => {
+    await assert.rejects(buildTravelTimes([OSLO], ['9999']), /Unknown hub municipality 9999/);
+  });
+});
+
+describe('dataset lookups', () => {
+  test('finds hubs by code or name', () => {
+    assert.equal(findHub('0301').name, 'Oslo');
+    assert.equal(findHub('bergen').code, '4601');
+    assert.equal(findHub('Hamar'), null);
+  });
+
+  test('lists municipalities within a drive time band', () => {
+    const nearOslo = municipalitiesWithinDrive('0301', 60);
+    assert.ok(nearOslo.includes('0301'));
+    assert.ok(nearOslo.includes('3201'));
+    assert.ok(!nearOslo.includes('5001'));
+
+    const band = municipalitiesWithinDrive('0301', 180, 60);
+    assert.ok(!band.includes('0301'));
+    assert.ok(band.every(code => driveMinutes(code, '0301') > 60 && driveMinutes(code, '0301') <= 180));
+  });
+});
@@ -0,0 +1,73 @@
+// Structured fees and water/sewer parsed from an ad's cost and utilities text.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUtilityDetails } = require('../utilities');
+
+describe('parseUtilityDetails', () => {
+  test('splits kommunale avgifter, road fees and connection fees', () => {
+    const parsed = parseUtilityDetails({
+      yearlyCostsText: 'Kommunale avgifter kr 9 800 per år. Veilag kr 250 pr. mnd. Tilknytningsavgift vann og avløp kr 45 000,-',
+    });
+    assert.equal(parsed.municipalFees, 9800);
+    assert.equal(parsed.roadFees, 3000);
+    assert.equal(parsed.connectionFees, 45000);
+  });
+
+  test('reads yearly amounts with a currency marker', () => {
+    assert.equal(parseUtilityDetails({ yearlyCostsText: 'Ca. kr 14 200,- per år (2026). Eiendomsskatt: kr 0,-.' }).municipalFees, 14200);
+    assert.equal(parseUtilityDetails({ yearlyCostsText: 'Ifølge budsjett for 2026 er avgiftene ikke fastsatt' }).municipalFees, null);
+    assert.equal(parseUtilityDetails({ yearlyCostsText: 'Formuesverdi kr 2 400 000' }).municipalFees, null);
+  });
+
+  test('scales monthly and quarterly amounts', () => {
+    assert.equal(parseUtilityDetails({ yearlyCostsText: 'Vann og avløp kr 850 pr. mnd' }).municipalFees, 10200);
+    assert.equal(parseUtilityDetails({ yearlyCostsText: 'Kommunale avgifter kr 3.000 per kvartal' }).municipalFees, 12000);
+  });
+
+  test('leaves festeavgift and eiendomsskatt out of municipal fees', () => {
+    const parsed = parseUtilityDetails({
+      yearlyCostsText: 'Festeavgift ca. 6 500 kr/år, renovasjon ca. 1 900 kr/år. Eiendomsskatt kr 4 000 per år.',
+    });
+    assert.equal(parsed.municipalFees, 1900);
+    assert.equal(parsed.roadFees, null);
+  });
+
+  test('finds connection and road fees in the utilities text too', () => {
+    const parsed = parseUtilityDetails({
+      utilities: 'Privat vei, brøyting ca. 3 000 kr per år. Anleggsbidrag kr 120 000,- betales av kjøper.',
+    });
+    assert.equal(parsed.roadFees, 3000);
+    assert.equal(parsed.connectionFees, 120000);
+    assert.equal(parsed.municipalFees, null);
+  });
+
+  test('classifies public, private and septic water and sewer', () => {
+    assert.deepEqual(
+      pick(parseUtilityDetails({ facilities: 'Offentlig vann/kloakk, Bilvei frem' })),
+      { waterSupply: 'public', sewer: 'public' });
+    assert.deepEqual(
+      pick(parseUtilityDetails({ utilities: 'Tomten er tilknyttet offentlig vei, vann og avløp.' })),
+      { waterSupply: 'public', sewer: 'public' });
+    assert.deepEqual(
+      pick(parseUtilityDetails({ utilities: 'Innlagt vann fra borebrønn. Avløp til slamavskiller med infiltrasjon.' })),
+      { waterSupply: 'private', sewer: 'septic' });
+  });
+
+  test('marks water and sewer as not connected when the ad says so', () => {
+    const parsed = parseUtilityDetails({
+      utilities: 'Offentlig vann i vei. Vann og avløp er ikke tilkoblet - kjøper må selv besørge tilknytning.',
+    });
+    assert.deepEqual(pick(parsed), { waterSupply: 'none', sewer: 'none' });
+    assert.equal(parsed.connectionFees, null);
+  });
+
+  test('returns nulls without any text', () => {
+    assert.deepEqual(parseUtilityDetails({}), {
+      municipalFees: null, roadFees: null, connectionFees: null, waterSupply: null, sewer: null,
+    });
+  });
+});
+
+function pick({ waterSupply, sewer }) {
+  return { waterSupply, sewer };
+}
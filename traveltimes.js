@@ -0,0 +1,249 @@
+// Driving times from every municipality to a set of hub cities, kept in
+// data/travel-times.json for the max_drive_minutes filter and the smart-search
+// prompt. Rebuild after changing hubs or municipalities:
+//
+//   npm run build-travel-times                       great-circle estimate
+//   npm run build-travel-times -- --osrm http://localhost:5000
+//   npm run build-travel-times -- --hubs 0301,4601,5001
+//
+// The estimate scales the straight-line distance between municipality centres
+// by a road detour factor and an average speed that depend on the region,
+// and adds time for ferries and mountain crossings. It is within about 20 %
+// of real road times between the big towns (see test/traveltimes.test.js)
+// but rough for individual fjord villages. A local OSRM server (car profile)
+// gives real road times. Hubs default to TRAVEL_HUBS or the list below.
+// Restart the server afterwards.
+const fs = require('fs');
+const path = require('path');
+const { haversineKm } = require('./geo');
+
+const MUNICIPALITIES_FILE = path.join(__dirname, 'data', 'municipalities.json');
+const TRAVEL_TIMES_FILE = path.join(__dirname, 'data', 'travel-times.json');
+
+const DEFAULT_HUBS = ['0301', '4601', '5001', '1103', '4204', '5501'];
+
+// Regions by county (first two digits of the municipality code)
+const REGIONS = {
+  '03': 'east', '31': 'east', '32': 'east', '33': 'east', '34': 'east', '39': 'east', '40': 'east',
+  '42': 'agder', '11': 'rogaland', '46': 'vestland', '15': 'more', '50': 'trondelag',
+  '18': 'nordland', '55': 'troms', '56': 'finnmark',
+};
+
+// Road detour factor and average speed per region; a trip uses the mean of
+// both ends. Roads in the west and north wind around fjords and mountains.
+const REGION_ROADS = {
+  east: { factor: 1.25, speedKmh: 85 },
+  agder: { factor: 1.3, speedKmh: 75 },
+  rogaland: { factor: 1.4, speedKmh: 70 },
+  vestland: { factor: 1.55, speedKmh: 62 },
+  more: { factor: 1.55, speedKmh: 62 },
+  trondelag: { factor: 1.3, speedKmh: 72 },
+  nordland: { factor: 1.7, speedKmh: 65 },
+  troms: { factor: 1.75, speedKmh: 62 },
+  finnmark: { factor: 1.45, speedKmh: 70 },
+};
+
+// Minutes added between regions: E39 ferries along the west coast, and the
+// mountain crossings (or the detour round the south) from eastern Norway
+const REGION_CROSSINGS = {
+  'rogaland-vestland': 70,
+  'more-vestland': 45,
+  'more-trondelag': 20,
+  'east-rogaland': 90,
+  'east-vestland': 45,
+  'east-more': 20,
+};
+
+// Island municipalities without a fixed link: crossing plus a typical wait
+const FERRY_MINUTES = {
+  '1144': 40, // Kvitsøy
+  '1151': 80, // Utsira
+  '1573': 50, // Smøla
+  '1815': 60, // Vega
+  '1827': 40, // Dønna
+  '1835': 150, // Træna
+  '1836': 60, // Rødøy
+  '1856': 240, // Røst
+  '1857': 180, // Værøy
+  '4616': 40, // Tysnes
+  '4625': 30, // Austevoll
+  '4633': 40, // Fedje
+  '4636': 60, // Solund
+  '5052': 40, // Leka
+  '5534': 40, // Karlsøy
+  '5616': 60, // Hasvik
+};
+
+// Time to get going at either end
+const FIXED_MINUTES = 10;
+
+// OSRM's default max-table-size is 100 coordinates per request
+const OSRM_BATCH_SIZE = 90;
+
+let travelTimes = null;
+
+/**
+ * Load data/travel-times.json (lazily, once)
+ */
+function loadTravelTimes() {
+  if (!travelTimes) {
+    travelTimes = JSON.parse(fs.readFileSync(TRAVEL_TIMES_FILE, 'utf8'));
+  }
+  return travelTimes;
+}
+
+/**
+ * Hub cities in the dataset, as [{ code, name }]
+ */
+function travelHubs() {
+  return loadTravelTimes().hubs;
+}
+
+/**
+ * Hub by municipality code or (case-insensitive) name, else null
+ */
+function findHub(from) {
+  const value = String(from || '').trim().toLowerCase();
+  if (!value) return null;
+  return travelHubs().find(h => h.code === value || h.name.toLowerCase() === value) || null;
+}
+
+/**
+ * Minutes by car from a municipality to a hub, or null if unknown
+ */
+function driveMinutes(code, hubCode) {
+  const row = loadTravelTimes().minutes[code];
+  return row && row[hubCode] != null ? row[hubCode] : null;
+}
+
+/**
+ * Codes of municipalities more than minMinutes and at most maxMinutes from
+ * the hub. The hub itself (0 minutes) counts when minMinutes is 0.
+ */
+function municipalitiesWithinDrive(hubCode, maxMinutes, minMinutes = 0) {
+  const codes = [];
+  for (const [code, row] of Object.entries(loadTravelTimes().minutes)) {
+    const minutes = row[hubCode];
+    if (minutes == null || minutes > maxMinutes) continue;
+    if (minMinutes > 0 && minutes <= minMinutes) continue;
+    codes.push(code);
+  }
+  return codes;
+}
+
+function regionOf(code) {
+  return REGIONS[String(code).slice(0, 2)] || 'east';
+}
+
+/**
+ * Driving time estimate in whole minutes from the straight-line distance,
+ * regional road factors, crossings between regions and island ferries
+ */
+function estimateMinutes(from, to) {
+  if (from.code === to.code) return 0;
+  const a = regionOf(from.code);
+  const b = regionOf(to.code);
+  const factor = (REGION_ROADS[a].factor + REGION_ROADS[b].factor) / 2;
+  const speed = (REGION_ROADS[a].speedKmh + REGION_ROADS[b].speedKmh) / 2;
+  const crossing = REGION_CROSSINGS[[a, b].sort().join('-')] || 0;
+  const ferries = (FERRY_MINUTES[from.code] || 0) + (FERRY_MINUTES[to.code] || 0);
+  return Math.round(haversineKm(from, to) * factor / speed * 60 + FIXED_MINUTES + crossing + ferries);
+}
+
+/**
+ * Road times from an OSRM table service, as Map<code, Map<hubCode, minutes>>.
+ * Pairs OSRM cannot route (islands without a ferry in the graph) are left out.
+ */
+async function osrmMinutes(osrmUrl, hubs, municipalities) {
+  const base = osrmUrl.replace(/\/+$/, '');
+  const result = new Map();
+
+  for (let i = 0; i < municipalities.length; i += OSRM_BATCH_SIZE) {
+    const batch = municipalities.slice(i, i + OSRM_BATCH_SIZE);
+    const points = [...hubs, ...batch].map(m => `${m.lon},${m.lat}`).join(';');
+    const sources = hubs.map((_, k) => k).join(';');
+    const destinations = batch.map((_, k) => hubs.length + k).join(';');
+    const resp = await fetch(`${base}/table/v1/driving/${points}?sources=${sources}&destinations=${destinations}&annotations=duration`);
+    if (!resp.ok) throw new Error(`OSRM returned ${resp.status}`);
+    const data = await resp.json();
+    if (data.code !== 'Ok') throw new Error(`OSRM error: ${data.message || data.code}`);
+
+    batch.forEach((muni, k) => {
+      const row = new Map();
+      hubs.forEach((hub, h) => {
+        const seconds = data.durations[h][k];
+        if (seconds != null) row.set(hub.code, Math.round(seconds / 60));
+      });
+      result.set(muni.code, row);
+    });
+  }
+  return result;
+}
+
+/**
+ * Build the dataset: minutes from every municipality to each hub. With an
+ * OSRM URL, road times are used and unroutable pairs fall back to the
+ * estimate; `estimated` counts those pairs.
+ */
+async function buildTravelTimes(municipalities, hubCodes, { osrmUrl = null } = {}) {
+  const byCode = new Map(municipalities.map(m => [m.code, m]));
+  const hubs = hubCodes.map(code => {
+    const muni = byCode.get(code);
+    if (!muni) throw new Error(`Unknown hub municipality ${code}`);
+    return muni;
+  });
+  const located = municipalities.filter(m => m.lat != null && m.lon != null);
+  const routed = osrmUrl ? await osrmMinutes(osrmUrl, hubs, located) : new Map();
+
+  const minutes = {};
+  let estimated = 0;
+  for (const muni of located) {
+    minutes[muni.code] = {};
+    for (const hub of hubs) {
+      let value = routed.get(muni.code)?.get(hub.code);
+      if (value == null) {
+        value = estimateMinutes(muni, hub);
+        if (osrmUrl) estimated++;
+      }
+      minutes[muni.code][hub.code] = muni.code === hub.code ? 0 : value;
+    }
+  }
+
+  return {
+    dataset: {
+      method: osrmUrl ? 'osrm' : 'great-circle',
+      generatedAt: new Date().toISOString(),
+      hubs: hubs.map(h => ({ code: h.code, name: h.name.split(' - ')[0] })),
+      minutes,
+    },
+    estimated,
+  };
+}
+
+function argValue(args, flag) {
+  const i = args.indexOf(flag);
+  return i >= 0 ? args[i + 1] : null;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const osrmUrl = argValue(args, '--osrm');
+  const hubsArg = argValue(args, '--hubs') || process.env.TRAVEL_HUBS;
+  const hubCodes = hubsArg ? hubsArg.split(',').map(c => c.trim()).filter(Boolean) : DEFAULT_HUBS;
+
+  const municipalities = JSON.parse(fs.readFileSync(MUNICIPALITIES_FILE, 'utf8'));
+  buildTravelTimes(municipalities, hubCodes, { osrmUrl }).then(({ dataset, estimated }) => {
+    fs.writeFileSync(TRAVEL_TIMES_FILE, JSON.stringify(dataset, null, 2));
+    console.log(`Wrote ${dataset.method} travel times for ${Object.keys(dataset.minutes).length} municipalities to ${dataset.hubs.map(h => h.name).join(', ')}`);
+    if (estimated > 0) console.log(`${estimated} pairs OSRM could not route were estimated from distance`);
+    console.log('Restart the server to apply the new travel times.');
+  }).catch(err => {
+    console.error('Failed to build travel times:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildTravelTimes, estimateMinutes,
+  loadTravelTimes, travelHubs, findHub, driveMinutes, municipalitiesWithinDrive,
+};
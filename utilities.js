@@ -0,0 +1,115 @@
+// Structured facts from an ad's running-costs and vei / vann / avløp text:
+// yearly kommunale avgifter, road association fees, one-off connection fees
+// (tilknytningsavgift) and how the property gets water and sewer.
+
+// "kr 14 200,-", "6 500 kr", "1 900,-": an amount needs a currency marker so years don't count
+const AMOUNT_RE = /kr\.?\s*(\d{1,3}(?:[ .]\d{3})+|\d+)|(\d{1,3}(?:[ .]\d{3})+|\d+)(?:,\d{2})?\s*(?:kr\b|,-)/i;
+const MONTHLY_RE = /(?:per|pr\.?)\s*(?:mnd|måned)|\/\s*mnd|i måneden|månedlig/i;
+const QUARTERLY_RE = /(?:per|pr\.?)\s*kvartal|kvartalsvis/i;
+// Ignore amounts no yearly fee would reach (sale price, tax value)
+const MAX_YEARLY_FEE = 200000;
+
+const ROAD_RE = /vei ?(?:lag|avgift|forening|andel|vedlikehold)|brøyting|bomvei|veiavgift/i;
+const CONNECTION_RE = /tilknytning|anleggsbidrag/i;
+// Running costs that are not kommunale avgifter
+const NOT_MUNICIPAL_RE = /eiendomsskatt|feste|forsikring|strøm|internett|bredbånd|tv\b|fellesutgift|felleskostnad|huseier|velforening/i;
+// Connection fees run from a few thousand to a few hundred thousand kroner
+const MAX_CONNECTION_FEE = 1000000;
+
+const WATER_PATTERNS = {
+  public: /(?:offentlig|kommunalt?) (?:vei, )?vann|offentlig vann\/kloakk/i,
+  private: /brønn|borehull|privat vann|privat vannverk|felles vannverk|vannlag|grunnvann/i,
+};
+const SEWER_PATTERNS = {
+  public: /(?:offentlig|kommunalt?) (?:vei, )?(?:vann (?:og|\/) ?)?(?:avløp|kloakk)|offentlig vann\/kloakk/i,
+  septic: /septik|slamavskiller|tett tank|minirenseanlegg|renseanlegg|infiltrasjon|privat avløp|privat kloakk/i,
+};
+const NOT_CONNECTED_RE = /(?:vann|avløp)[^.]{0,30}ikke (?:tilkoblet|tilknyttet|lagt inn)|ikke (?:tilkoblet|tilknyttet) (?:vann|avløp)/i;
+
+/**
+ * Split fee text into clauses that each state one amount: on ';', newlines,
+ * commas before a word and sentence ends
+ */
+function splitClauses(text) {
+  return String(text || '').split(/[;\n]|,\s+(?=\D)|\.\s+(?=[A-ZÆØÅ])/);
+}
+
+/**
+ * First amount stated in a clause, in NOK, or null
+ */
+function clauseAmount(clause) {
+  const match = clause.match(AMOUNT_RE);
+  return match ? Number((match[1] || match[2]).replace(/[ .]/g, '')) : null;
+}
+
+/**
+ * A clause's amount scaled to a year by its period (yearly unless it says per
+ * month or quarter), or null if missing or implausible for a running cost
+ */
+function clauseYearlyAmount(clause) {
+  const amount = clauseAmount(clause);
+  if (amount === null) return null;
+  const factor = MONTHLY_RE.test(clause) ? 12 : QUARTERLY_RE.test(clause) ? 4 : 1;
+  const yearly = amount * factor;
+  return yearly > 0 && yearly <= MAX_YEARLY_FEE ? yearly : null;
+}
+
+/**
+ * Which of a set of labelled patterns the text matches first, else null
+ */
+function matchKind(text, patterns) {
+  for (const [kind, pattern] of Object.entries(patterns)) {
+    if (pattern.test(text)) return kind;
+  }
+  return null;
+}
+
+/**
+ * Sum of yearly amounts over clauses the filter accepts, or null if none
+ */
+function sumYearly(clauses, accept) {
+  let total = null;
+  for (const clause of clauses) {
+    if (!accept(clause)) continue;
+    const yearly = clauseYearlyAmount(clause);
+    if (yearly !== null) total = (total || 0) + yearly;
+  }
+  return total;
+}
+
+/**
+ * Parse the detail-page texts into structured columns:
+ *  - municipalFees: kommunale avgifter in NOK per year. Amounts in the yearly
+ *    costs text count unless they are named as something else (festeavgift,
+ *    road, insurance, eiendomsskatt, ...)
+ *  - roadFees: veilag / brøyting in NOK per year
+ *  - connectionFees: one-off tilknytningsavgift / anleggsbidrag in NOK
+ *  - waterSupply: 'public', 'private' (well, private waterworks) or 'none'
+ *  - sewer: 'public', 'septic' (tank, slamavskiller, renseanlegg) or 'none'
+ * Anything not stated is null. 'none' means the ad says water and sewer are
+ * not connected yet, which wins over any mention of the public network.
+ */
+function parseUtilityDetails({ yearlyCostsText = null, utilities = null, facilities = null } = {}) {
+  const costClauses = splitClauses(yearlyCostsText);
+  const allClauses = costClauses.concat(splitClauses(utilities));
+
+  let connectionFees = null;
+  for (const clause of allClauses) {
+    if (!CONNECTION_RE.test(clause)) continue;
+    const amount = clauseAmount(clause);
+    if (amount > 0 && amount <= MAX_CONNECTION_FEE) connectionFees = (connectionFees || 0) + amount;
+  }
+
+  const infraText = [facilities, utilities].filter(Boolean).join('. ');
+  const notConnected = NOT_CONNECTED_RE.test(infraText);
+
+  return {
+    municipalFees: sumYearly(costClauses, c => !ROAD_RE.test(c) && !CONNECTION_RE.test(c) && !NOT_MUNICIPAL_RE.test(c)),
+    roadFees: sumYearly(allClauses, c => ROAD_RE.test(c) && !CONNECTION_RE.test(c)),
+    connectionFees,
+    waterSupply: notConnected ? 'none' : matchKind(infraText, WATER_PATTERNS),
+    sewer: notConnected ? 'none' : matchKind(infraText, SEWER_PATTERNS),
+  };
+}
+
+module.exports = { parseUtilityDetails };